@@ -4,8 +4,13 @@
 const express = require('express');
 const router = express.Router();
 const { getDB } = require('./db');
+const { CREDENTIAL_PROJECTION } = require('./utils/passwords');
+const { permit } = require('./utils/permissions');
 const { ObjectId } = require('mongodb');
 
+// Every db-utils endpoint is for SAI admins only
+router.use(permit('db.access'));
+
 // Health check
 router.get('/health', async (req, res) => {
   try {
@@ -53,7 +58,7 @@ router.get('/stats', async (req, res) => {
 router.get('/users', async (req, res) => {
   try {
     const db = getDB();
-    const users = await db.collection('users').find({}).toArray();
+    const users = await db.collection('users').find({}, { projection: CREDENTIAL_PROJECTION }).toArray();
     res.json({ success: true, users, count: users.length });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
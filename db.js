@@ -20,6 +20,10 @@ async function connectDB() {
         { athleteName: 1, timestamp: -1 },
         { background: true }
       );
+      await db.collection("workout_sessions").createIndex(
+        { outputId: 1 },
+        { sparse: true, background: true }
+      );
       await db.collection("rep_images").createIndex(
         { sessionId: 1 },
         { background: true }
@@ -28,6 +32,63 @@ async function connectDB() {
         { sessionId: 1, repNumber: 1 },
         { unique: true, background: true }
       );
+      await db.collection("processing_jobs").createIndex(
+        { jobId: 1 },
+        { unique: true, background: true }
+      );
+      await db.collection("processing_jobs").createIndex(
+        { outputId: 1 },
+        { background: true }
+      );
+      await db.collection("processing_jobs").createIndex(
+        { videoHash: 1, activityId: 1, scriptVersion: 1, state: 1 },
+        { background: true }
+      );
+      await db.collection("processing_jobs").createIndex(
+        { state: 1, createdAt: 1 },
+        { background: true }
+      );
+      await db.collection("processing_batches").createIndex(
+        { batchId: 1 },
+        { unique: true, background: true }
+      );
+      await db.collection("refresh_tokens").createIndex(
+        { tokenHash: 1 },
+        { unique: true, background: true }
+      );
+      await db.collection("refresh_tokens").createIndex(
+        { familyId: 1 },
+        { background: true }
+      );
+      await db.collection("refresh_tokens").createIndex(
+        { userId: 1 },
+        { background: true }
+      );
+      await db.collection("account_tokens").createIndex(
+        { tokenHash: 1 },
+        { unique: true, background: true }
+      );
+      await db.collection("account_tokens").createIndex(
+        { userId: 1, purpose: 1 },
+        { background: true }
+      );
+      await db.collection("rate_limits").createIndex(
+        { key: 1 },
+        { unique: true, background: true }
+      );
+      // Expired refresh and account tokens and quiet rate limit keys are removed by MongoDB
+      await db.collection("rate_limits").createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0, background: true }
+      );
+      await db.collection("account_tokens").createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0, background: true }
+      );
+      await db.collection("refresh_tokens").createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0, background: true }
+      );
       console.log("✅ Database indexes created");
     } catch (indexErr) {
       // Ignore "already exists" errors
@@ -124,7 +124,19 @@ async function migrateData() {
     }
 
     // ============================================
-    // 4. DISPLAY FINAL STATS
+    // 4. MIGRATE USERS
+    // ============================================
+    console.log('\n🔄 Migrating users...');
+
+    // Accounts from before email verification count as verified; new signups store emailVerified: false
+    const verified = await db.collection('users').updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    console.log(`   ✅ Marked ${verified.modifiedCount} existing account(s) as email verified`);
+
+    // ============================================
+    // 5. DISPLAY FINAL STATS
     // ============================================
     console.log('\n📊 Final Database Statistics:');
     
@@ -0,0 +1,95 @@
+// Migration Script: Flag accounts that still have plaintext passwords
+// Plaintext passwords are replaced by a scrypt hash on the user's next successful
+// login. Once the cutoff date has passed, accounts that never logged in again are
+// flagged with passwordResetRequired; --purge also deletes their plaintext password.
+//
+// Usage: node migrate-passwords.js --cutoff=2026-12-31 [--dry-run] [--purge]
+// The cutoff can also come from PASSWORD_MIGRATION_CUTOFF.
+
+const { MongoClient } = require('mongodb');
+require('dotenv').config();
+
+const uri = process.env.MONGODB_URI;
+const client = new MongoClient(uri);
+
+function readOptions(argv) {
+  const option = name => argv.find(arg => arg.startsWith(`--${name}=`));
+  const cutoffArg = option('cutoff');
+  const cutoffValue = cutoffArg ? cutoffArg.split('=')[1] : process.env.PASSWORD_MIGRATION_CUTOFF;
+  const cutoff = cutoffValue ? new Date(cutoffValue) : null;
+
+  return {
+    cutoff: cutoff && !isNaN(cutoff) ? cutoff : null,
+    dryRun: argv.includes('--dry-run'),
+    purge: argv.includes('--purge')
+  };
+}
+
+async function flagUnhashedPasswords({ cutoff, dryRun, purge }) {
+  try {
+    await client.connect();
+    console.log('✅ Connected to MongoDB');
+
+    const db = client.db('talenttrack');
+    const users = db.collection('users');
+
+    const unhashedQuery = { password: { $exists: true, $ne: null }, passwordHash: { $exists: false } };
+    const [total, hashed, unhashed] = await Promise.all([
+      users.countDocuments(),
+      users.countDocuments({ passwordHash: { $exists: true } }),
+      users.find(unhashedQuery, { projection: { userId: 1, email: 1, role: 1, createdAt: 1, passwordResetRequired: 1 } }).toArray()
+    ]);
+
+    console.log(`\n📊 ${total} accounts: ${hashed} hashed, ${unhashed.length} still plaintext`);
+    unhashed.forEach((user) => {
+      console.log(`   - ${user.email} (${user.role}, ${user.userId})${user.passwordResetRequired ? ' - already flagged' : ''}`);
+    });
+
+    if (unhashed.length === 0) {
+      console.log('✅ No plaintext passwords left!');
+      return;
+    }
+
+    if (new Date() < cutoff) {
+      console.log(`\n⏳ Cutoff ${cutoff.toISOString().substring(0, 10)} not reached - these accounts can still upgrade by logging in`);
+      return;
+    }
+
+    if (dryRun) {
+      console.log(`\n📝 Dry run - would flag ${unhashed.length} accounts${purge ? ' and delete their plaintext passwords' : ''}`);
+      return;
+    }
+
+    const update = { $set: { passwordResetRequired: true, passwordFlaggedAt: new Date() } };
+    if (purge) {
+      update.$unset = { password: '' };
+    }
+    const result = await users.updateMany(
+      { ...unhashedQuery, _id: { $in: unhashed.map(user => user._id) } },
+      update
+    );
+
+    console.log(`\n✅ Migration complete!`);
+    console.log(`   Flagged: ${result.modifiedCount}`);
+    if (purge) {
+      console.log('   Plaintext passwords deleted - these users must reset their password');
+    }
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+    console.log('\n👋 Connection closed');
+  }
+}
+
+const options = readOptions(process.argv.slice(2));
+if (!options.cutoff) {
+  console.error('❌ A cutoff date is required: --cutoff=YYYY-MM-DD or PASSWORD_MIGRATION_CUTOFF');
+  process.exit(1);
+}
+
+// Run migration
+console.log('🚀 Starting password migration check...\n');
+flagUnhashedPasswords(options);
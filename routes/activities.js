@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const { getActivity, listActivities } = require("../utils/activityRegistry");
+
+// GET /api/activities - List all supported activities
+router.get("/", (req, res) => {
+  const activities = listActivities();
+
+  res.status(200).json({
+    success: true,
+    activities,
+    count: activities.length
+  });
+});
+
+// GET /api/activities/:name - Get one activity by id, display name or alias
+router.get("/:name", (req, res) => {
+  const activity = getActivity(req.params.name);
+
+  if (!activity) {
+    return res.status(404).json({
+      success: false,
+      error: 'Activity not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    activity
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require("express");
+const router = express.Router();
+const { ObjectId } = require("mongodb");
+const { getDB } = require("../db");
+const { planSweep, runSweep } = require("../utils/retention");
+const { getActivity } = require("../utils/activityRegistry");
+const { JOB_STATES, getJob } = require("../utils/jobQueue");
+const { queueVideoJob } = require("../utils/videoJobs");
+const { prepareSourceVideo, compareAnalysis } = require("../utils/reanalysis");
+const { permit } = require("../utils/permissions");
+
+const MAX_REANALYSIS_SESSIONS = 20;
+
+// Every admin endpoint is for SAI admins only
+router.use(permit('admin.access'));
+
+// GET /api/admin/storage - Disk usage per activity and what the next retention sweep would delete
+router.get("/storage", async (req, res) => {
+  try {
+    const plan = await planSweep();
+
+    res.status(200).json({
+      success: true,
+      ...plan
+    });
+
+  } catch (err) {
+    console.error('❌ Error reading storage usage:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error reading storage usage',
+      details: err.message
+    });
+  }
+});
+
+// POST /api/admin/storage/sweep - Run the retention sweep now
+router.post("/storage/sweep", async (req, res) => {
+  try {
+    console.log('🧹 Manual retention sweep requested');
+
+    const outcome = await runSweep();
+
+    res.status(200).json({
+      success: true,
+      ...outcome
+    });
+
+  } catch (err) {
+    console.error('❌ Error running retention sweep:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error running retention sweep',
+      details: err.message
+    });
+  }
+});
+
+// Queue one session for re-analysis - returns the per-session entry of the response
+async function queueReanalysis(db, sessionId, force, userId) {
+  if (!ObjectId.isValid(sessionId)) {
+    return { sessionId, queued: false, error: 'Invalid session ID' };
+  }
+
+  const session = await db.collection("workout_sessions").findOne({ _id: new ObjectId(sessionId) });
+  if (!session) {
+    return { sessionId, queued: false, error: 'Workout not found' };
+  }
+
+  const activity = getActivity(session.activityName);
+  if (!activity) {
+    return { sessionId, queued: false, error: `Unknown activity: ${session.activityName}` };
+  }
+
+  const videoPath = await prepareSourceVideo(session);
+  if (!videoPath) {
+    return { sessionId, queued: false, error: 'No source video stored for this session' };
+  }
+
+  const { status, body } = await queueVideoJob(activity, videoPath, {
+    mode: 'reanalysis',
+    force,
+    userId,
+    jobData: { reanalysisOf: sessionId }
+  });
+  if (status >= 400) {
+    return { sessionId, queued: false, error: body.error, failureReason: body.failureReason };
+  }
+
+  await db.collection("workout_sessions").updateOne(
+    { _id: session._id },
+    { $push: { reanalyses: { jobId: body.jobId, outputId: body.outputId, requestedAt: new Date() } } }
+  );
+
+  return {
+    sessionId,
+    queued: true,
+    cached: body.cached,
+    jobId: body.jobId,
+    outputId: body.outputId,
+    statusUrl: body.statusUrl,
+    diffUrl: `/api/admin/reanalyze/${sessionId}/${body.jobId}`
+  };
+}
+
+// POST /api/admin/reanalyze - Re-run analysis for saved sessions that still have their source video
+router.post("/reanalyze", async (req, res) => {
+  try {
+    const db = getDB();
+    const { sessionIds, force } = req.body || {};
+
+    if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessionIds must be a non-empty array'
+      });
+    }
+    if (sessionIds.length > MAX_REANALYSIS_SESSIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_REANALYSIS_SESSIONS} sessions can be re-analyzed at once`
+      });
+    }
+
+    console.log(`🔁 Re-analysis requested for ${sessionIds.length} session(s)`);
+
+    // One at a time - each may download or decode a stored video
+    const sessions = [];
+    for (const sessionId of sessionIds) {
+      try {
+        sessions.push(await queueReanalysis(db, String(sessionId), force, req.user.userId));
+      } catch (error) {
+        console.warn(`⚠️ Could not queue re-analysis for ${sessionId}:`, error.message);
+        sessions.push({ sessionId: String(sessionId), queued: false, error: error.message });
+      }
+    }
+
+    res.status(202).json({
+      success: true,
+      queued: sessions.filter(session => session.queued).length,
+      sessions
+    });
+
+  } catch (err) {
+    console.error('❌ Error queueing re-analysis:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error queueing re-analysis',
+      details: err.message
+    });
+  }
+});
+
+// GET /api/admin/reanalyze/:sessionId/:jobId - Progress of a re-analysis and, once done, old vs new scores
+router.get("/reanalyze/:sessionId/:jobId", async (req, res) => {
+  try {
+    const db = getDB();
+    const { sessionId, jobId } = req.params;
+
+    if (!ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    const session = await db.collection("workout_sessions").findOne({ _id: new ObjectId(sessionId) });
+    const requested = session && (session.reanalyses || []).some(entry => entry.jobId === jobId);
+    const job = requested ? await getJob(jobId) : null;
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Re-analysis not found for this session'
+      });
+    }
+
+    const response = {
+      success: true,
+      sessionId,
+      jobId,
+      state: job.state,
+      outputId: job.outputId
+    };
+
+    if (job.state === JOB_STATES.FAILED) {
+      response.error = job.error;
+      response.failureReason = job.failureReason;
+    } else if (job.state === JOB_STATES.DONE && job.result) {
+      response.comparison = compareAnalysis(session, job.result);
+    }
+
+    res.status(200).json(response);
+
+  } catch (err) {
+    console.error('❌ Error reading re-analysis:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error reading re-analysis',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
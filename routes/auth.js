@@ -3,25 +3,71 @@ const router = express.Router();
 const { getDB } = require("../db");
 const { uploadImage } = require("../utils/cloudinary");
 const crypto = require("crypto");
+const { hashPassword, verifyUserPassword } = require("../utils/passwords");
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeUserTokens, requireAuth } = require("../utils/auth");
+const { PURPOSES, consumeAccountToken, sendPasswordResetMail, sendVerificationMail } = require("../utils/accountTokens");
+const { LIMITS, clientIp, retryAfter, recordAttempt, clearAttempts, tooManyAttempts, limitByIp } = require("../utils/rateLimit");
+const { SIGNUP_ROLES } = require("../utils/permissions");
+
+// Mail failures are logged, not returned - the account change itself succeeded
+async function trySendMail(send, user) {
+  try {
+    await send(user);
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not send mail to', user.email, '-', error.message);
+    return false;
+  }
+}
+
+// Loose shape check - the verification mail proves the address works
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Emails are stored and rate limited trimmed and lowercased; null when the body field is not a string
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : null;
+}
+
+// Accounts from before emails were lowercased are still found by the address as typed
+async function findUserByEmail(db, email, typed, options) {
+  const user = await db.collection("users").findOne({ email }, options);
+  if (user || typed.trim() === email) return user;
+  return db.collection("users").findOne({ email: typed.trim() }, options);
+}
 
 // POST /api/auth/signup - Create new user account
-router.post("/signup", async (req, res) => {
+router.post("/signup", limitByIp(LIMITS.signupIp), async (req, res) => {
   try {
     const db = getDB();
-    const { name, email, password, phone, role, profilePic } = req.body;
+    const { name, password, phone, role, profilePic } = req.body;
+    const email = normalizeEmail(req.body.email);
 
     console.log('📝 Signup request:', { name, email, role });
 
     // Validate required fields
-    if (!name || !email || !password || !role) {
+    if (typeof name !== 'string' || !name || !email || typeof password !== 'string' || !password || !role) {
       return res.status(400).json({
         success: false,
         error: 'Name, email, password, and role are required'
       });
     }
 
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email address is not valid'
+      });
+    }
+
+    if (!SIGNUP_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of ${SIGNUP_ROLES.join(', ')}`
+      });
+    }
+
     // Check if user already exists
-    const existingUser = await db.collection("users").findOne({ email });
+    const existingUser = await findUserByEmail(db, email, req.body.email);
     if (existingUser) {
       return res.status(409).json({
         success: false,
@@ -46,15 +92,17 @@ router.post("/signup", async (req, res) => {
       }
     }
 
-    // Create user profile (store password as plain text for now - in production use bcrypt)
+    // Create user profile - only the salted scrypt hash of the password is stored
     const newUser = {
       userId,
       name,
       email,
-      password, // In production, hash this with bcrypt
+      passwordHash: await hashPassword(password),
+      passwordUpdatedAt: new Date(),
       phone: phone || '',
       role,
       profilePic: profilePicUrl,
+      emailVerified: false,
       createdAt: new Date(),
       updatedAt: new Date()
     };
@@ -63,16 +111,22 @@ router.post("/signup", async (req, res) => {
 
     console.log('✅ User created:', userId);
 
+    const tokens = await issueTokens(newUser);
+    const verificationSent = await trySendMail(sendVerificationMail, newUser);
+
     res.status(201).json({
       success: true,
       message: 'Account created successfully',
+      ...tokens,
+      verificationSent,
       user: {
         userId,
         name,
         email,
         phone,
         role,
-        profilePic: profilePicUrl
+        profilePic: profilePicUrl,
+        emailVerified: false
       }
     });
 
@@ -87,50 +141,78 @@ router.post("/signup", async (req, res) => {
 });
 
 // POST /api/auth/login - Login user
+// Unknown emails, wrong passwords and purged accounts get the same answer; repeated
+// failures lock the email and the client IP for a while (see utils/rateLimit.js)
 router.post("/login", async (req, res) => {
   try {
     const db = getDB();
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
 
     console.log('🔐 Login request:', email);
 
-    if (!email || !password) {
+    if (!email || typeof password !== 'string' || !password) {
       return res.status(400).json({
         success: false,
         error: 'Email and password are required'
       });
     }
 
+    const ip = clientIp(req);
+    const locked = await retryAfter([[LIMITS.loginAccount, email], [LIMITS.loginIp, ip]]);
+    if (locked > 0) {
+      return tooManyAttempts(res, locked);
+    }
+
     // Find user by email
-    const user = await db.collection("users").findOne({ email });
+    const user = await findUserByEmail(db, email, req.body.email);
 
-    if (!user) {
-      return res.status(404).json({
+    // Accounts purged by migrate-passwords.js have no credential left and fail here too - they reset by mail
+    const { valid, upgradeHash } = await verifyUserPassword(user, password);
+    if (!valid) {
+      const lockedFor = Math.max(
+        await recordAttempt(LIMITS.loginAccount, email),
+        await recordAttempt(LIMITS.loginIp, ip)
+      );
+      if (lockedFor > 0) {
+        return tooManyAttempts(res, lockedFor);
+      }
+      return res.status(401).json({
         success: false,
-        error: 'User not found. Please sign up first.'
+        error: 'Invalid email or password'
       });
     }
 
-    // Check password (in production, use bcrypt.compare)
-    if (user.password !== password) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid password'
-      });
+    await clearAttempts(LIMITS.loginAccount, email);
+
+    // Accounts from before hashing (or with outdated parameters) are rehashed now that we know the password
+    if (upgradeHash) {
+      await db.collection("users").updateOne(
+        { userId: user.userId },
+        {
+          $set: { passwordHash: upgradeHash, passwordUpdatedAt: new Date() },
+          $unset: { password: '', passwordResetRequired: '' }
+        }
+      );
+      console.log('🔒 Password hash upgraded for:', user.userId);
     }
 
     console.log('✅ User logged in:', user.userId);
 
+    const tokens = await issueTokens(user);
+
     res.status(200).json({
       success: true,
       message: 'Login successful',
+      ...tokens,
       user: {
         userId: user.userId,
         name: user.name,
         email: user.email,
         phone: user.phone,
         role: user.role,
-        profilePic: user.profilePic
+        profilePic: user.profilePic,
+        emailVerified: !!user.emailVerified
       }
     });
 
@@ -144,11 +226,77 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// POST /api/auth/check-email - Check if email exists
-router.post("/check-email", async (req, res) => {
+// POST /api/auth/refresh - Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'refreshToken is required'
+      });
+    }
+
+    const { tokens, user } = await rotateRefreshToken(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      ...tokens,
+      user: {
+        userId: user.userId,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+
+  } catch (err) {
+    if (!err.status) {
+      console.error('❌ Error refreshing token:', err);
+    }
+    res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : 'Error refreshing token',
+      details: err.message
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke a refresh token (and the tokens rotated from the same login)
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'refreshToken is required'
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (err) {
+    console.error('❌ Error logging out:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error logging out',
+      details: err.message
+    });
+  }
+});
+
+// POST /api/auth/forgot-password - Mail a password reset link (same answer whether or not the email is known)
+router.post("/forgot-password", limitByIp(LIMITS.passwordResetIp), async (req, res) => {
   try {
     const db = getDB();
-    const { email } = req.body;
+    const email = normalizeEmail((req.body || {}).email);
 
     if (!email) {
       return res.status(400).json({
@@ -157,15 +305,170 @@ router.post("/check-email", async (req, res) => {
       });
     }
 
-    const user = await db.collection("users").findOne({ email });
+    const user = await findUserByEmail(db, email, req.body.email);
+    if (user) {
+      console.log('🔑 Password reset requested for:', user.userId);
+      // Not awaited, so known and unknown emails take the same time to answer
+      trySendMail(sendPasswordResetMail, user);
+    }
 
     res.status(200).json({
       success: true,
-      exists: !!user,
-      user: user ? {
-        name: user.name,
-        role: user.role
-      } : null
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+  } catch (err) {
+    console.error('❌ Error requesting password reset:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error requesting password reset',
+      details: err.message
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token; logs out every device
+router.post("/reset-password", async (req, res) => {
+  try {
+    const db = getDB();
+    const { token, password } = req.body || {};
+
+    if (typeof token !== 'string' || !token || typeof password !== 'string' || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and password are required'
+      });
+    }
+
+    const userId = await consumeAccountToken(token, PURPOSES.passwordReset);
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    // The reset link was opened from the mailbox, so the address is confirmed too
+    await db.collection("users").updateOne(
+      { userId },
+      {
+        $set: {
+          passwordHash: await hashPassword(password),
+          passwordUpdatedAt: new Date(),
+          emailVerified: true,
+          updatedAt: new Date()
+        },
+        $unset: { password: '', passwordResetRequired: '' }
+      }
+    );
+    await revokeUserTokens(userId);
+
+    console.log('✅ Password reset for:', userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated. Please log in again.'
+    });
+
+  } catch (err) {
+    console.error('❌ Error resetting password:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error resetting password',
+      details: err.message
+    });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm the email address with the token from the signup mail
+router.post("/verify-email", async (req, res) => {
+  try {
+    const db = getDB();
+    const { token } = req.body || {};
+
+    const userId = await consumeAccountToken(token, PURPOSES.emailVerification);
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    await db.collection("users").updateOne(
+      { userId },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date(), updatedAt: new Date() } }
+    );
+
+    console.log('✅ Email verified for:', userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified'
+    });
+
+  } catch (err) {
+    console.error('❌ Error verifying email:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error verifying email',
+      details: err.message
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Mail a new verification link to the logged-in user
+router.post("/resend-verification", requireAuth, async (req, res) => {
+  try {
+    const db = getDB();
+    const user = await db.collection("users").findOne({ userId: req.user.userId });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    if (user.emailVerified) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationMail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification mail sent'
+    });
+
+  } catch (err) {
+    console.error('❌ Error sending verification mail:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error sending verification mail',
+      details: err.message
+    });
+  }
+});
+
+// POST /api/auth/check-email - Check an email address on the signup form before submitting it
+// Only the format is checked, so taken and free addresses get the same answer; a taken
+// address is reported by signup itself, which shares this budget per IP
+router.post("/check-email", limitByIp(LIMITS.signupIp), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      valid: EMAIL_PATTERN.test(email)
     });
 
   } catch (err) {
@@ -0,0 +1,171 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs-extra");
+const {
+  MAX_BATCH_ITEMS,
+  MAX_ARCHIVE_BYTES,
+  MAX_VIDEO_BYTES,
+  batchUploadPath,
+  extractArchive,
+  parseManifest,
+  createBatch,
+  getBatchStatus
+} = require("../utils/batchJobs");
+const { permit, targets } = require("../utils/permissions");
+const { requireVerifiedEmail } = require("../utils/auth");
+
+// Which file types each form field accepts
+const FIELD_FILTERS = {
+  videos: file => file.mimetype.startsWith('video/'),
+  archive: file => /\.zip$/i.test(file.originalname),
+  manifest: file => /\.(json|csv)$/i.test(file.originalname)
+};
+
+const batchUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      file.targetPath = batchUploadPath(file.originalname);
+      cb(null, path.dirname(file.targetPath));
+    },
+    filename: (req, file, cb) => cb(null, path.basename(file.targetPath))
+  }),
+  fileFilter: (req, file, cb) => {
+    const accepts = FIELD_FILTERS[file.fieldname];
+    if (accepts && accepts(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unexpected file in field "${file.fieldname}": ${file.originalname}`), false);
+    }
+  },
+  limits: {
+    fileSize: MAX_ARCHIVE_BYTES,
+    files: MAX_BATCH_ITEMS + 2
+  }
+}).fields([
+  { name: 'videos', maxCount: MAX_BATCH_ITEMS },
+  { name: 'archive', maxCount: 1 },
+  { name: 'manifest', maxCount: 1 }
+]);
+
+function addFile(files, name, filePath) {
+  if (files.has(name)) {
+    const error = new Error(`More than one file named ${name}`);
+    error.status = 400;
+    throw error;
+  }
+  files.set(name, filePath);
+}
+
+// POST /api/batches - Queue many videos (multipart "videos" and/or a ZIP "archive") with a manifest
+router.post("/", permit('batches.manage'), requireVerifiedEmail, (req, res) => {
+  batchUpload(req, res, async (uploadErr) => {
+    const uploaded = Object.values(req.files || {}).flat();
+    // Everything written to uploads/ by this request, until createBatch takes over
+    let pending = uploaded.map(file => file.path);
+
+    if (uploadErr) {
+      await Promise.all(pending.map(filePath => fs.remove(filePath)));
+      return res.status(uploadErr.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        error: 'Invalid batch upload',
+        details: uploadErr.message
+      });
+    }
+
+    try {
+      const files = new Map();
+      for (const video of (req.files && req.files.videos) || []) {
+        if (video.size > MAX_VIDEO_BYTES) {
+          const error = new Error(`${video.originalname} is larger than ${MAX_VIDEO_BYTES / 1024 / 1024}MB`);
+          error.status = 413;
+          throw error;
+        }
+        addFile(files, video.originalname, video.path);
+      }
+
+      let manifestSource = null;
+      const archive = req.files && req.files.archive && req.files.archive[0];
+      if (archive) {
+        console.log('📦 Extracting batch archive:', archive.originalname);
+        const extracted = await extractArchive(archive.path);
+        await fs.remove(archive.path);
+        pending = pending.concat([...extracted.files.values()]);
+        extracted.files.forEach((filePath, name) => addFile(files, name, filePath));
+        manifestSource = extracted.manifest;
+      }
+
+      // A manifest sent alongside the archive wins over the one inside it
+      const manifestFile = req.files && req.files.manifest && req.files.manifest[0];
+      if (manifestFile) {
+        manifestSource = { name: manifestFile.originalname.toLowerCase(), text: await fs.readFile(manifestFile.path, 'utf8') };
+        await fs.remove(manifestFile.path);
+      } else if (req.body.manifest) {
+        manifestSource = { name: 'manifest.json', text: req.body.manifest };
+      }
+
+      if (!manifestSource) {
+        const error = new Error('A manifest is required (form field, manifest file or manifest.json/.csv in the archive)');
+        error.status = 400;
+        throw error;
+      }
+      if (files.size === 0) {
+        const error = new Error('No videos were uploaded');
+        error.status = 400;
+        throw error;
+      }
+
+      const manifest = await parseManifest(manifestSource.text, manifestSource.name.endsWith('.csv') ? 'csv' : 'json');
+
+      pending = [];
+      const batch = await createBatch({ files, manifest, user: req.user });
+
+      res.status(202).json({
+        success: true,
+        ...batch,
+        statusUrl: `/api/batches/${batch.batchId}`
+      });
+
+    } catch (err) {
+      await Promise.all(pending.map(filePath => fs.remove(filePath)));
+      if (!err.status) {
+        console.error('❌ Error creating batch:', err);
+      }
+      res.status(err.status || 500).json({
+        success: false,
+        error: err.status ? err.message : 'Error creating batch',
+        details: err.message
+      });
+    }
+  });
+});
+
+// GET /api/batches/:batchId - Overall and per-item progress of a batch (its creator or an admin)
+router.get("/:batchId", permit('batches.read', targets.batchOwner), async (req, res) => {
+  try {
+    const status = await getBatchStatus(req.params.batchId);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...status
+    });
+
+  } catch (err) {
+    console.error('❌ Error fetching batch:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching batch',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
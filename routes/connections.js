@@ -2,12 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { ObjectId } = require('mongodb');
 const { getDB } = require('../db');
+const { CREDENTIAL_PROJECTION } = require('../utils/passwords');
+const { permit, targets } = require('../utils/permissions');
+const { requireVerifiedEmail } = require('../utils/auth');
 
 // Social connections routes - Updated 2026-02-21
 // Handles connection requests and relationship management
 
 // Get my connections
-router.get('/:userId', async (req, res) => {
+router.get('/:userId', permit('connections.read', targets.param('userId')), async (req, res) => {
   try {
     const { userId } = req.params;
     const db = getDB();
@@ -26,7 +29,7 @@ router.get('/:userId', async (req, res) => {
 
     const users = await db.collection('users').find({
       userId: { $in: connectedUserIds }
-    }).toArray();
+    }, { projection: CREDENTIAL_PROJECTION }).toArray();
 
     res.json(users);
   } catch (error) {
@@ -36,7 +39,7 @@ router.get('/:userId', async (req, res) => {
 });
 
 // Get pending requests (received)
-router.get('/requests/pending/:userId', async (req, res) => {
+router.get('/requests/pending/:userId', permit('connections.read', targets.param('userId')), async (req, res) => {
   try {
     const { userId } = req.params;
     const db = getDB();
@@ -69,7 +72,7 @@ router.get('/requests/pending/:userId', async (req, res) => {
 });
 
 // Get sent requests
-router.get('/requests/sent/:userId', async (req, res) => {
+router.get('/requests/sent/:userId', permit('connections.read', targets.param('userId')), async (req, res) => {
   try {
     const { userId } = req.params;
     const db = getDB();
@@ -100,7 +103,7 @@ router.get('/requests/sent/:userId', async (req, res) => {
 });
 
 // Send connection request
-router.post('/request', async (req, res) => {
+router.post('/request', permit('connections.request', targets.body('fromUserId')), requireVerifiedEmail, async (req, res) => {
   try {
     const { fromUserId, toUserId } = req.body;
     const db = getDB();
@@ -136,7 +139,7 @@ router.post('/request', async (req, res) => {
 });
 
 // Accept connection request
-router.post('/request/:requestId/accept', async (req, res) => {
+router.post('/request/:requestId/accept', permit('connections.respond', targets.connectionRecipient), requireVerifiedEmail, async (req, res) => {
   try {
     const { requestId } = req.params;
     const db = getDB();
@@ -159,7 +162,7 @@ router.post('/request/:requestId/accept', async (req, res) => {
 });
 
 // Reject connection request
-router.post('/request/:requestId/reject', async (req, res) => {
+router.post('/request/:requestId/reject', permit('connections.respond', targets.connectionRecipient), async (req, res) => {
   try {
     const { requestId } = req.params;
     const db = getDB();
@@ -182,7 +185,7 @@ router.post('/request/:requestId/reject', async (req, res) => {
 });
 
 // Check connection status between two users
-router.get('/status/:userId1/:userId2', async (req, res) => {
+router.get('/status/:userId1/:userId2', permit('connections.read', targets.connectionPair), async (req, res) => {
   try {
     const { userId1, userId2 } = req.params;
     const db = getDB();
@@ -0,0 +1,99 @@
+const express = require("express");
+const router = express.Router();
+const { JOB_STATES, getJob, cancelJob } = require("../utils/jobQueue");
+const progressEvents = require("../utils/progressEvents");
+const { currentJobResult } = require("../utils/videoJobs");
+const { permit, targets } = require("../utils/permissions");
+
+// GET /api/jobs/:jobId - Get processing job status and result
+router.get("/:jobId", permit('analyses.read', targets.job), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await getJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      jobId: job.jobId,
+      outputId: job.outputId,
+      activityName: job.activityName,
+      videoHash: job.videoHash,
+      scriptVersion: job.scriptVersion,
+      state: job.state,
+      attempts: job.attempts,
+      error: job.error,
+      failureReason: job.failureReason,
+      result: await currentJobResult(job),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    });
+
+  } catch (err) {
+    console.error('❌ Error fetching job:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error fetching job',
+      details: err.message
+    });
+  }
+});
+
+// DELETE /api/jobs/:jobId - Cancel a queued or running job
+router.delete("/:jobId", permit('analyses.cancel', targets.job), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    console.log('🛑 Cancelling job:', jobId);
+
+    const outcome = await cancelJob(jobId);
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!outcome.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: `Job cannot be cancelled in state "${outcome.state}"`,
+        state: outcome.state
+      });
+    }
+
+    // Running jobs report their own cancellation once the process is killed
+    if (outcome.state === JOB_STATES.FAILED) {
+      progressEvents.publish(outcome.job.outputId, 'error', {
+        jobId,
+        error: outcome.job.error,
+        failureReason: outcome.job.failureReason
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job cancelled',
+      jobId,
+      failureReason: 'cancelled'
+    });
+
+  } catch (err) {
+    console.error('❌ Error cancelling job:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error cancelling job',
+      details: err.message
+    });
+  }
+});
+
+module.exports = router;
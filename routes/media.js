@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const { serveMedia, listFrameUrls, verifyMediaSignature } = require("../utils/mediaServer");
+const { permit, targets } = require("../utils/permissions");
+
+// GET /api/frames/:outputId - List extracted frames for playback
+router.get("/frames/:outputId", permit('media.read', targets.media), (req, res) => {
+  if (!verifyMediaSignature(req.params.outputId, req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired media token' });
+  }
+
+  const frames = listFrameUrls(req.params.outputId);
+
+  if (!frames) {
+    return res.status(404).json({ error: 'Frames not found' });
+  }
+
+  res.json({ frames, count: frames.length });
+});
+
+// GET /api/frame/:outputId/:filename - Serve one extracted frame
+router.get("/frame/:outputId/:filename", permit('media.read', targets.media), serveMedia('frame', req => [req.params.filename]));
+
+// GET /api/video/:outputId/:filename - Serve a processed video (supports Range requests)
+router.get("/video/:outputId/:filename", permit('media.read', targets.media), serveMedia('video', req => [req.params.filename]));
+
+// GET /api/hls/:outputId/master.m3u8 and /api/hls/:outputId/:rendition/:filename - HLS playlists and segments
+router.get("/hls/:outputId/:filename", permit('media.read', targets.media), serveMedia('hls', req => [req.params.filename]));
+router.get("/hls/:outputId/:rendition/:filename", permit('media.read', targets.media), serveMedia('hls', req => [req.params.rendition, req.params.filename]));
+
+// GET /api/clip/:outputId/:filename - Serve one per-rep clip (rep_001.mp4, ...)
+router.get("/clip/:outputId/:filename", permit('media.read', targets.media), serveMedia('clip', req => [req.params.filename]));
+
+// GET /api/preview/:outputId/:filename - poster.jpg, contact_sheet.jpg or preview.gif
+router.get("/preview/:outputId/:filename", permit('media.read', targets.media), serveMedia('preview', req => [req.params.filename]));
+
+module.exports = router;
@@ -2,115 +2,144 @@ const express = require("express");
 const router = express.Router();
 const { getDB } = require("../db");
 const { ObjectId } = require("mongodb");
-const { uploadImage, uploadPDF, uploadVideo } = require("../utils/cloudinary");
+const multer = require("multer");
+const fs = require("fs-extra");
+const path = require("path");
+const { getActivity, listActivities } = require("../utils/activityRegistry");
+const { getOutputDir, signMediaUrl } = require("../utils/mediaServer");
+const { sessionUploadPath, athleteSessionsFilter, saveWorkoutSession } = require("../utils/workoutSessions");
+const { getKeypointsInfo, sendKeypoints } = require("../utils/keypoints");
+const { getSessionReport, removeSessionReports } = require("../utils/sessionReport");
+const { authorize, permit, targets, outputOwner, mayLinkOutput, userIdByName } = require("../utils/permissions");
+
+// Size caps per file part of a multipart /add
+const PART_LIMITS = {
+  video: { accepts: mimetype => mimetype.startsWith('video/'), maxBytes: 100 * 1024 * 1024 },
+  pdf: { accepts: mimetype => mimetype === 'application/pdf', maxBytes: 25 * 1024 * 1024 },
+  rep: { accepts: mimetype => mimetype.startsWith('image/'), maxBytes: 10 * 1024 * 1024 }
+};
+const MAX_REP_PARTS = 200;
+
+// "video", "pdf" or "rep_<repNumber>"
+function partKind(fieldname) {
+  return /^rep_\d+$/.test(fieldname) ? 'rep' : fieldname;
+}
+
+const sessionUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      file.targetPath = sessionUploadPath(file.originalname);
+      cb(null, path.dirname(file.targetPath));
+    },
+    filename: (req, file, cb) => cb(null, path.basename(file.targetPath))
+  }),
+  fileFilter: (req, file, cb) => {
+    const part = PART_LIMITS[partKind(file.fieldname)];
+    if (part && part.accepts(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Unexpected file in field "${file.fieldname}": ${file.originalname} (${file.mimetype})`), false);
+    }
+  },
+  limits: {
+    fileSize: PART_LIMITS.video.maxBytes,
+    files: MAX_REP_PARTS + 2
+  }
+}).any();
 
-// POST /api/sessions/add - Save workout session with rep images
-router.post("/add", async (req, res) => {
+function parseJsonField(body, name, fallback) {
+  if (body[name] === undefined || body[name] === '') return fallback;
   try {
-    const db = getDB();
-    const { sessionMeta, repImages } = req.body;
-
-    console.log('💾 Saving workout session:', sessionMeta.athleteName, sessionMeta.activityName);
-    console.log(`📦 Payload size - PDF: ${sessionMeta.pdfDataUrl ? (sessionMeta.pdfDataUrl.length / 1024 / 1024).toFixed(2) : 0}MB, Video: ${sessionMeta.videoDataUrl ? (sessionMeta.videoDataUrl.length / 1024 / 1024).toFixed(2) : 0}MB, Screenshots: ${repImages?.length || 0}`);
-
-    // Upload PDF to Cloudinary if provided
-    let pdfUrl = null;
-    if (sessionMeta.pdfDataUrl) {
-      console.log('📄 Uploading PDF to Cloudinary...');
-      try {
-        const publicId = `${sessionMeta.athleteName.replace(/\s+/g, '_')}_${sessionMeta.activityName.replace(/\s+/g, '_')}_${Date.now()}`;
-        pdfUrl = await uploadPDF(sessionMeta.pdfDataUrl, 'talenttrack/reports', publicId);
-        console.log('✅ PDF uploaded successfully:', pdfUrl);
-      } catch (error) {
-        console.warn('⚠️ PDF upload failed, storing base64:', error.message);
-        pdfUrl = sessionMeta.pdfDataUrl; // Fallback to base64
+    return JSON.parse(body[name]);
+  } catch (error) {
+    const parseError = new Error(`${name} must be a JSON string`);
+    parseError.status = 400;
+    throw parseError;
+  }
+}
+
+// Multipart form of /add: "sessionMeta" and "repImages" as JSON fields, media as file parts
+// ("video", "pdf", "rep_<repNumber>") that multer streams to uploads/ instead of buffering them
+function parseSessionUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+
+  sessionUpload(req, res, async (uploadErr) => {
+    const uploaded = req.files || [];
+    try {
+      if (uploadErr) {
+        uploadErr.status = uploadErr.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        throw uploadErr;
       }
-    }
 
-    // Upload video to Cloudinary if provided
-    let videoUrl = null;
-    if (sessionMeta.videoDataUrl) {
-      console.log('🎥 Uploading video to Cloudinary...');
-      try {
-        const publicId = `${sessionMeta.athleteName.replace(/\s+/g, '_')}_${sessionMeta.activityName.replace(/\s+/g, '_')}_video_${Date.now()}`;
-        videoUrl = await uploadVideo(sessionMeta.videoDataUrl, 'talenttrack/videos', publicId);
-        console.log('✅ Video uploaded successfully:', videoUrl);
-      } catch (error) {
-        console.warn('⚠️ Video upload failed, storing base64:', error.message);
-        videoUrl = sessionMeta.videoDataUrl; // Fallback to base64
+      const tooLarge = uploaded.find(file => file.size > PART_LIMITS[partKind(file.fieldname)].maxBytes);
+      if (tooLarge) {
+        const error = new Error(`${tooLarge.fieldname} is larger than ${PART_LIMITS[partKind(tooLarge.fieldname)].maxBytes / 1024 / 1024}MB`);
+        error.status = 413;
+        throw error;
       }
-    }
-
-    // Insert session metadata with Cloudinary URLs
-    const sessionResult = await db.collection("workout_sessions").insertOne({
-      ...sessionMeta,
-      pdfUrl,
-      videoUrl,
-      pdfDataUrl: undefined, // Remove base64
-      videoDataUrl: undefined, // Remove base64
-      timestamp: new Date(sessionMeta.timestamp),
-      createdAt: new Date()
-    });
 
-    console.log('✅ Session saved with ID:', sessionResult.insertedId);
-
-    // Upload rep images to Cloudinary with duplicate prevention
-    if (repImages && repImages.length > 0) {
-      console.log(`📸 Uploading ${repImages.length} rep images to Cloudinary...`);
-      
-      // Remove any existing rep images for this session (cleanup)
-      await db.collection("rep_images").deleteMany({ 
-        sessionId: sessionResult.insertedId.toString() 
+      req.body.sessionMeta = parseJsonField(req.body, 'sessionMeta', null);
+      req.body.repImages = parseJsonField(req.body, 'repImages', []);
+      next();
+    } catch (err) {
+      await Promise.all(uploaded.map(file => fs.remove(file.path)));
+      res.status(err.status || 400).json({
+        success: false,
+        error: 'Invalid session upload',
+        details: err.message
       });
-      
-      const repsWithUrls = await Promise.all(
-        repImages.map(async (rep) => {
-          try {
-            const publicId = `${sessionMeta.athleteName.replace(/\s+/g, '_')}_${sessionMeta.activityName.replace(/\s+/g, '_')}_rep${rep.repNumber}_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
-            const imageUrl = await uploadImage(rep.imageData, 'talenttrack/screenshots', publicId);
-            console.log(`✅ Rep ${rep.repNumber} uploaded: ${imageUrl.substring(0, 50)}...`);
-            
-            return {
-              repNumber: rep.repNumber,
-              imageUrl,
-              correct: rep.correct,
-              details: rep.details || {},
-              sessionId: sessionResult.insertedId.toString(),
-              createdAt: new Date()
-            };
-          } catch (error) {
-            console.warn(`⚠️ Rep ${rep.repNumber} upload failed, storing base64:`, error.message);
-            return {
-              repNumber: rep.repNumber,
-              imageUrl: rep.imageData, // Fallback to base64
-              correct: rep.correct,
-              details: rep.details || {},
-              sessionId: sessionResult.insertedId.toString(),
-              createdAt: new Date()
-            };
-          }
-        })
-      );
-
-      // Use insertMany with ordered: false to continue on duplicates
-      try {
-        await db.collection("rep_images").insertMany(repsWithUrls, { ordered: false });
-        console.log(`✅ Saved ${repImages.length} rep images to MongoDB`);
-      } catch (error) {
-        // Handle duplicate key errors gracefully
-        if (error.code === 11000) {
-          console.warn('⚠️ Some duplicate rep images were skipped');
-        } else {
-          throw error;
-        }
+    }
+  });
+}
+
+// Group the file parts of a multipart /add, adding rep entries for images without metadata
+function collectSessionFiles(uploaded, repImages) {
+  const files = { reps: {} };
+  uploaded.forEach((file) => {
+    if (partKind(file.fieldname) === 'rep') {
+      const repNumber = parseInt(file.fieldname.substring(4));
+      files.reps[repNumber] = file;
+      if (!repImages.some(rep => rep.repNumber === repNumber)) {
+        repImages.push({ repNumber });
       }
+    } else {
+      files[file.fieldname] = file;
+    }
+  });
+  repImages.sort((a, b) => a.repNumber - b.repNumber);
+  return files;
+}
+
+// POST /api/sessions/add - Save workout session with rep images (JSON with data URLs, or multipart)
+router.post("/add", parseSessionUpload, permit('sessions.create', targets.newSession), async (req, res) => {
+  const uploaded = req.files || [];
+  try {
+    const { sessionMeta } = req.body;
+    const repImages = Array.isArray(req.body.repImages) ? req.body.repImages : [];
+
+    // Only accept activities from the registry, stored under their display name
+    const activity = getActivity(sessionMeta && sessionMeta.activityName);
+    if (!activity) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown activity: ${sessionMeta ? sessionMeta.activityName : undefined}`,
+        availableActivities: listActivities().map(a => a.displayName)
+      });
+    }
+    sessionMeta.activityName = activity.displayName;
+
+    // Output IDs are guessable - a session may only point at an analysis the caller queued
+    if (sessionMeta.outputId !== undefined && !(await mayLinkOutput(req.user, sessionMeta.outputId))) {
+      console.warn(`🚫 ${req.user.userId} may not link output ${sessionMeta.outputId}, saving without it`);
+      delete sessionMeta.outputId;
     }
 
+    const files = collectSessionFiles(uploaded, repImages);
+    const saved = await saveWorkoutSession(sessionMeta, repImages, files);
+
     res.status(200).json({
       success: true,
-      sessionId: sessionResult.insertedId.toString(),
-      pdfUrl,
-      videoUrl,
+      ...saved,
       message: 'Session and reps saved successfully!'
     });
 
@@ -121,19 +150,32 @@ router.post("/add", async (req, res) => {
       error: 'Error saving workout data',
       details: err.message
     });
+  } finally {
+    // Cloudinary has its own copy (failed parts are listed in failedUploads)
+    await Promise.all(uploaded.map(file => fs.remove(file.path)));
   }
 });
 
 // GET /api/sessions/athlete/:athleteName - Get all workouts for an athlete
-router.get("/athlete/:athleteName", async (req, res) => {
+router.get("/athlete/:athleteName", permit('sessions.read', targets.athleteName), async (req, res) => {
   try {
     const db = getDB();
     const { athleteName } = req.params;
 
     console.log('📊 Fetching workouts for:', athleteName);
 
+    // Names aren't unique - only answer for a name that belongs to exactly one user, by their userId
+    const athleteId = await userIdByName(athleteName);
+    if (!athleteId) {
+      return res.status(404).json({
+        success: false,
+        error: 'No single athlete with this name, use /api/sessions/user/:userId',
+        workouts: []
+      });
+    }
+
     const workouts = await db.collection("workout_sessions")
-      .find({ athleteName })
+      .find(await athleteSessionsFilter(athleteId))
       .sort({ timestamp: -1 })
       .toArray();
 
@@ -154,6 +196,7 @@ router.get("/athlete/:athleteName", async (req, res) => {
         
         return {
           ...workout,
+          reportUrl: `/api/sessions/${workout._id}/report.pdf`,
           screenshots: reps.map(rep => rep.imageUrl),
           repDetails: reps.map(rep => ({
             rep: rep.repNumber,
@@ -182,46 +225,20 @@ router.get("/athlete/:athleteName", async (req, res) => {
 });
 
 // GET /api/sessions/user/:userId - Get all workouts for a user by userId
-router.get("/user/:userId", async (req, res) => {
+router.get("/user/:userId", permit('sessions.read', targets.param('userId')), async (req, res) => {
   try {
     const db = getDB();
     const { userId } = req.params;
 
     console.log('📊 Fetching workouts for userId:', userId);
 
-    // First, get the user to find their name
-    const user = await db.collection("users").findOne({ userId });
-    console.log('👤 User found:', user ? user.name : 'Not found');
-    
-    // Search by athleteId, exact athleteName match, or partial name match
-    // This handles cases where workout has "Tharun" but user is "Tharun Kumar"
-    const query = user 
-      ? { 
-          $or: [
-            { athleteId: userId }, 
-            { athleteName: user.name },
-            { athleteName: { $regex: new RegExp(user.name.split(' ')[0], 'i') } } // Match first name
-          ] 
-        }
-      : { athleteId: userId };
-
-    console.log('🔍 Query:', JSON.stringify(query));
-
+    // Sessions are matched by athleteId; older ones by name only while the name is unique
     const workouts = await db.collection("workout_sessions")
-      .find(query)
+      .find(await athleteSessionsFilter(userId))
       .sort({ timestamp: -1 })
       .toArray();
 
     console.log(`✅ Found ${workouts.length} workouts for user ${userId}`);
-    
-    // If no workouts found, let's check what names exist in workouts
-    if (workouts.length === 0 && user) {
-      const allWorkouts = await db.collection("workout_sessions")
-        .find({})
-        .limit(5)
-        .toArray();
-      console.log('📋 Sample workout names:', allWorkouts.map(w => ({ name: w.athleteName, id: w.athleteId })));
-    }
 
     // Fetch rep images for each workout
     const workoutsWithReps = await Promise.all(
@@ -233,6 +250,7 @@ router.get("/user/:userId", async (req, res) => {
         
         return {
           ...workout,
+          reportUrl: `/api/sessions/${workout._id}/report.pdf`,
           screenshots: reps.map(rep => rep.imageUrl),
           repDetails: reps.map(rep => ({
             rep: rep.repNumber,
@@ -261,7 +279,7 @@ router.get("/user/:userId", async (req, res) => {
 });
 
 // GET /api/sessions/all-athletes - Get all athletes with workout counts
-router.get("/all-athletes", async (req, res) => {
+router.get("/all-athletes", permit('sessions.listAthletes'), async (req, res) => {
   try {
     const db = getDB();
 
@@ -309,7 +327,7 @@ router.get("/all-athletes", async (req, res) => {
 });
 
 // GET /api/sessions/:sessionId - Get a single workout session by ID
-router.get("/:sessionId", async (req, res) => {
+router.get("/:sessionId", permit('sessions.read', targets.session), async (req, res) => {
   try {
     const db = getDB();
     const { sessionId } = req.params;
@@ -342,13 +360,23 @@ router.get("/:sessionId", async (req, res) => {
 
     console.log(`✅ Found workout with ${reps.length} rep images`);
 
+    // Media links are stored unsigned; sign them per request when MEDIA_SIGNING_SECRET is set
+    const signLink = url => (url ? signMediaUrl(url, workout.outputId) : null);
+
     const workoutWithReps = {
       ...workout,
+      previews: workout.previews && {
+        posterUrl: signLink(workout.previews.posterUrl),
+        contactSheetUrl: signLink(workout.previews.contactSheetUrl),
+        animatedUrl: signLink(workout.previews.animatedUrl)
+      },
+      reportUrl: `/api/sessions/${workout._id}/report.pdf`,
       screenshots: reps.map(rep => rep.imageUrl),
       repDetails: reps.map(rep => ({
         rep: rep.repNumber,
         correct: rep.correct,
-        ...rep.details
+        ...rep.details,
+        clipUrl: signLink(rep.clipUrl)
       }))
     };
 
@@ -365,13 +393,16 @@ router.get("/:sessionId", async (req, res) => {
 });
 
 // GET /api/sessions/:sessionId/reps - Get rep images for a specific workout session
-router.get("/:sessionId/reps", async (req, res) => {
+router.get("/:sessionId/reps", permit('sessions.read', targets.session), async (req, res) => {
   try {
     const db = getDB();
     const { sessionId } = req.params;
 
     console.log('🖼️ Fetching rep images for session:', sessionId);
 
+    const workout = ObjectId.isValid(sessionId)
+      ? await db.collection("workout_sessions").findOne({ _id: new ObjectId(sessionId) }, { projection: { outputId: 1 } })
+      : null;
     const reps = await db.collection("rep_images")
       .find({ sessionId })
       .sort({ repNumber: 1 })
@@ -379,9 +410,11 @@ router.get("/:sessionId/reps", async (req, res) => {
 
     console.log(`✅ Found ${reps.length} rep images`);
 
+    // Clip links are stored unsigned, like in GET /:sessionId
+    const outputId = workout && workout.outputId;
     res.status(200).json({
       success: true,
-      reps,
+      reps: reps.map(rep => ({ ...rep, clipUrl: rep.clipUrl && outputId ? signMediaUrl(rep.clipUrl, outputId) : rep.clipUrl })),
       count: reps.length
     });
 
@@ -395,8 +428,155 @@ router.get("/:sessionId/reps", async (req, res) => {
   }
 });
 
+// POST /api/sessions/:sessionId/keypoints - Attach the keypoints of an analysis output to a saved session
+router.post("/:sessionId/keypoints", permit('sessions.update', targets.session), async (req, res) => {
+  try {
+    const db = getDB();
+    const { sessionId } = req.params;
+    const { outputId } = req.body || {};
+
+    if (!ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    const workout = await db.collection("workout_sessions").findOne({ _id: new ObjectId(sessionId) });
+    if (!workout) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workout not found'
+      });
+    }
+
+    // A session belongs to one analysis output; keypoints from another would not match its scores
+    const targetOutputId = outputId || workout.outputId;
+    if (workout.outputId && targetOutputId !== workout.outputId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session is linked to a different output',
+        outputId: workout.outputId
+      });
+    }
+
+    // Linking makes the session's athlete an owner of the output, so the caller must be able to read it
+    if (!workout.outputId && typeof targetOutputId === 'string') {
+      const decision = await authorize('analyses.read', req.user, await outputOwner(req.user, targetOutputId));
+      if (!decision.allowed) {
+        console.warn(`🚫 ${req.user.userId} denied analyses.read on ${targetOutputId}: ${decision.reason}`);
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          reason: decision.reason
+        });
+      }
+    }
+
+    const outputDir = typeof targetOutputId === 'string' ? getOutputDir(targetOutputId) : null;
+    const keypoints = outputDir ? getKeypointsInfo(outputDir) : null;
+    if (!keypoints) {
+      return res.status(404).json({
+        success: false,
+        error: 'No keypoints found for this output'
+      });
+    }
+
+    console.log('🦴 Attaching keypoints to session:', sessionId, targetOutputId);
+
+    await db.collection("workout_sessions").updateOne(
+      { _id: workout._id },
+      { $set: { outputId: targetOutputId, keypoints } }
+    );
+
+    res.status(200).json({
+      success: true,
+      sessionId,
+      outputId: targetOutputId,
+      keypoints
+    });
+
+  } catch (err) {
+    console.error('❌ Error attaching keypoints:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error attaching keypoints',
+      details: err.message
+    });
+  }
+});
+
+// GET /api/sessions/:sessionId/keypoints - Keypoints of the session's analysis (same filters as /api/results/:outputId/keypoints)
+router.get("/:sessionId/keypoints", permit('sessions.read', targets.session), async (req, res) => {
+  try {
+    const db = getDB();
+    const { sessionId } = req.params;
+
+    if (!ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    const workout = await db.collection("workout_sessions").findOne({ _id: new ObjectId(sessionId) });
+    if (!workout || !workout.keypoints) {
+      return res.status(404).json({
+        success: false,
+        error: 'No keypoints attached to this session'
+      });
+    }
+
+    await sendKeypoints(res, getOutputDir(workout.outputId), req.query);
+
+  } catch (err) {
+    if (!err.status) {
+      console.error('❌ Error fetching keypoints:', err);
+    }
+    res.status(err.status || 500).json({
+      success: false,
+      error: err.status ? err.message : 'Error fetching keypoints',
+      details: err.message
+    });
+  }
+});
+
+// GET /api/sessions/:sessionId/report.pdf - Printable report (cached, re-rendered when the session changes)
+router.get("/:sessionId/report.pdf", permit('sessions.read', targets.session), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    const report = await getSessionReport(sessionId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workout not found'
+      });
+    }
+
+    res.setHeader('Content-Disposition', `inline; filename="${report.fileName}"`);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.sendFile(report.filePath, { headers: { 'Content-Type': 'application/pdf' } });
+
+  } catch (err) {
+    console.error('❌ Error generating report:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error generating report',
+      details: err.message
+    });
+  }
+});
+
 // DELETE /api/sessions/:sessionId - Delete workout session and all related data
-router.delete("/:sessionId", async (req, res) => {
+router.delete("/:sessionId", permit('sessions.delete', targets.session), async (req, res) => {
   try {
     const db = getDB();
     const { sessionId } = req.params;
@@ -429,6 +609,8 @@ router.delete("/:sessionId", async (req, res) => {
       });
     }
 
+    await removeSessionReports(sessionId);
+
     console.log('✅ Workout session deleted successfully');
 
     res.status(200).json({
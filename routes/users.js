@@ -2,12 +2,53 @@ const express = require("express");
 const router = express.Router();
 const { getDB } = require("../db");
 const { uploadImage } = require("../utils/cloudinary");
+const { CREDENTIAL_PROJECTION, withoutCredentials } = require("../utils/passwords");
+const { ROLES, decide, permit, targets } = require("../utils/permissions");
+
+// Set only by signup and the /api/auth flows - never through a profile update
+const ACCOUNT_FIELDS = [
+  '_id',
+  'email',
+  'emailVerified',
+  'emailVerifiedAt',
+  'passwordUpdatedAt',
+  'passwordResetRequired',
+  'passwordFlaggedAt',
+  'createdAt',
+  'updatedAt'
+];
+
+function profileUpdates(body) {
+  // Passwords only change through /api/auth
+  const updates = withoutCredentials(body);
+  ACCOUNT_FIELDS.forEach((field) => {
+    delete updates[field];
+  });
+  return updates;
+}
+
+// A profile update may not change the caller's own role unless they may assign roles
+function roleChangeDenied(req, updates) {
+  if (updates.role === undefined || updates.role === req.user.role) return null;
+  const decision = decide('roles.assign', req.user);
+  if (!decision.allowed) return decision.reason;
+  return ROLES.includes(updates.role) ? null : `Unknown role: ${updates.role}`;
+}
 
 // POST /api/users/profile - Save or update user profile
-router.post("/profile", async (req, res) => {
+router.post("/profile", permit('profile.write', targets.body('userId')), async (req, res) => {
   try {
     const db = getDB();
-    const profile = req.body;
+    const profile = profileUpdates(req.body);
+
+    const denied = roleChangeDenied(req, profile);
+    if (denied) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        reason: denied
+      });
+    }
 
     console.log('💾 Saving user profile:', profile.name, profile.role);
 
@@ -60,11 +101,20 @@ router.post("/profile", async (req, res) => {
 });
 
 // PATCH /api/users/profile/:userId - Update specific profile fields
-router.patch("/profile/:userId", async (req, res) => {
+router.patch("/profile/:userId", permit('profile.write', targets.param('userId')), async (req, res) => {
   try {
     const db = getDB();
     const { userId } = req.params;
-    const updates = req.body;
+    const updates = profileUpdates(req.body);
+
+    const denied = roleChangeDenied(req, updates);
+    if (denied) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        reason: denied
+      });
+    }
 
     console.log('🔄 Updating profile fields for:', userId);
 
@@ -117,14 +167,14 @@ router.patch("/profile/:userId", async (req, res) => {
 });
 
 // GET /api/users/profile/:userId - Get user profile
-router.get("/profile/:userId", async (req, res) => {
+router.get("/profile/:userId", permit('profile.read'), async (req, res) => {
   try {
     const db = getDB();
     const { userId } = req.params;
 
     console.log('📊 Fetching profile for:', userId);
 
-    const profile = await db.collection("users").findOne({ userId });
+    const profile = await db.collection("users").findOne({ userId }, { projection: CREDENTIAL_PROJECTION });
 
     if (!profile) {
       return res.status(404).json({
@@ -151,7 +201,7 @@ router.get("/profile/:userId", async (req, res) => {
 });
 
 // GET /api/users/all - Get all users (for SAI admin)
-router.get("/all", async (req, res) => {
+router.get("/all", permit('users.listAll'), async (req, res) => {
   try {
     const db = getDB();
     const { role } = req.query;
@@ -160,7 +210,7 @@ router.get("/all", async (req, res) => {
 
     const query = role ? { role } : {};
     const users = await db.collection("users")
-      .find(query)
+      .find(query, { projection: CREDENTIAL_PROJECTION })
       .sort({ createdAt: -1 })
       .toArray();
 
@@ -183,14 +233,14 @@ router.get("/all", async (req, res) => {
 });
 
 // GET /api/users/coaches - Get all coaches
-router.get("/coaches", async (req, res) => {
+router.get("/coaches", permit('users.browse'), async (req, res) => {
   try {
     const db = getDB();
 
     console.log('👨‍🏫 Fetching all coaches...');
 
     const coaches = await db.collection("users")
-      .find({ role: 'COACH' })
+      .find({ role: 'COACH' }, { projection: CREDENTIAL_PROJECTION })
       .sort({ name: 1 })
       .toArray();
 
@@ -213,14 +263,14 @@ router.get("/coaches", async (req, res) => {
 });
 
 // GET /api/users/athletes - Get all athletes
-router.get("/athletes", async (req, res) => {
+router.get("/athletes", permit('users.browse'), async (req, res) => {
   try {
     const db = getDB();
 
     console.log('🏃 Fetching all athletes...');
 
     const athletes = await db.collection("users")
-      .find({ role: 'ATHLETE' })
+      .find({ role: 'ATHLETE' }, { projection: CREDENTIAL_PROJECTION })
       .sort({ name: 1 })
       .toArray();
 
@@ -243,7 +293,7 @@ router.get("/athletes", async (req, res) => {
 });
 
 // GET /api/users/discover - Get users to discover (for social features)
-router.get("/discover", async (req, res) => {
+router.get("/discover", permit('connections.read', targets.query('userId')), async (req, res) => {
   try {
     const { userId } = req.query;
     const db = getDB();
@@ -272,7 +322,7 @@ router.get("/discover", async (req, res) => {
     const users = await db.collection('users')
       .find({
         userId: { $ne: userId, $nin: connectedUserIds }
-      })
+      }, { projection: CREDENTIAL_PROJECTION })
       .sort({ name: 1 })
       .toArray();
 
@@ -291,14 +341,14 @@ router.get("/discover", async (req, res) => {
 });
 
 // GET /api/users/:userId - Get specific user by userId
-router.get("/:userId", async (req, res) => {
+router.get("/:userId", permit('profile.read'), async (req, res) => {
   try {
     const db = getDB();
     const { userId } = req.params;
 
     console.log('📊 Fetching user:', userId);
 
-    const user = await db.collection("users").findOne({ userId });
+    const user = await db.collection("users").findOne({ userId }, { projection: CREDENTIAL_PROJECTION });
 
     if (!user) {
       return res.status(404).json({
@@ -322,7 +372,7 @@ router.get("/:userId", async (req, res) => {
 });
 
 // GET /api/users/:userId/stats - Get user workout stats
-router.get("/:userId/stats", async (req, res) => {
+router.get("/:userId/stats", permit('sessions.read', targets.param('userId')), async (req, res) => {
   try {
     const { userId } = req.params;
     const db = getDB();
@@ -349,7 +399,7 @@ router.get("/:userId/stats", async (req, res) => {
 });
 
 // POST /api/users/:userId/skills - Update user skills
-router.post("/:userId/skills", async (req, res) => {
+router.post("/:userId/skills", permit('profile.write', targets.param('userId')), async (req, res) => {
   try {
     const { userId } = req.params;
     const { skills } = req.body;
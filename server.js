@@ -8,6 +8,50 @@ const csv = require('csv-parser');
 const ffmpeg = require('fluent-ffmpeg');
 const sharp = require('sharp');
 const { connectDB, getDB } = require('./db');
+const {
+  JOB_STATES,
+  registerProcessor,
+  recordFinishedJob,
+  getJobByOutputId,
+  recoverJobs,
+  startWorkers
+} = require('./utils/jobQueue');
+const progressEvents = require('./utils/progressEvents');
+const {
+  PYTHON_BIN,
+  resolveScriptPath,
+  buildInvocation,
+  describeAnalyzer,
+  runSelfCheck,
+  getSelfCheck
+} = require('./utils/analyzers');
+const { getActivity, getActivityForOutputId, listActivities, loadActivitiesFromDB } = require('./utils/activityRegistry');
+const { normalizeResults } = require('./utils/resultNormalizer');
+const { FAILURE_REASONS, processFailure, killProcessTree, createCappedLog } = require('./utils/processControl');
+const { createLiveSession, waitForRealtimeAnalyzer, attachLiveSocket } = require('./utils/liveSessions');
+const { requireAuth, tokenSecretProblem } = require('./utils/auth');
+const { permit, targets } = require('./utils/permissions');
+const {
+  MAX_CHUNK_SIZE,
+  configureChunkedUploads,
+  initUpload,
+  writeChunk,
+  getUploadStatus,
+  completeUpload,
+  startUploadSweeper
+} = require('./utils/chunkedUploads');
+const { configureRetention, startRetentionSweeper } = require('./utils/retention');
+const { HLS_ENABLED, getHlsUrl, packageHls } = require('./utils/hlsPackager');
+const { configureMediaServer, getOutputDir, signMediaUrl } = require('./utils/mediaServer');
+const { generatePreviews, getPreviewUrls } = require('./utils/previews');
+const { cutRepClips, getRepClipUrls } = require('./utils/repClips');
+const { NORMALIZE_TARGET, normalizeVideo } = require('./utils/videoPreflight');
+const { configureVideoJobs, currentJobResult, queueVideoJob } = require('./utils/videoJobs');
+const { configureReanalysis } = require('./utils/reanalysis');
+const { configureBatches, resumeBatches } = require('./utils/batchJobs');
+const { collectKeypoints, getKeypointsInfo, sendKeypoints } = require('./utils/keypoints');
+const { configureReports } = require('./utils/sessionReport');
+const { configureWorkoutSessions } = require('./utils/workoutSessions');
 
 // Try to set ffmpeg path
 try {
@@ -33,6 +77,12 @@ try {
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a load balancer, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the client's address for rate limits
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware - Increase payload limit for large PDFs and screenshots
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
@@ -41,6 +91,7 @@ app.use(express.urlencoded({ limit: '50mb', extended: true }));
 // Create uploads directory
 const uploadsDir = path.join(__dirname, 'uploads');
 const outputsDir = path.join(__dirname, 'outputs');
+const reportsDir = path.join(__dirname, 'reports');
 fs.ensureDirSync(uploadsDir);
 fs.ensureDirSync(outputsDir);
 
@@ -56,6 +107,12 @@ const storage = multer.diskStorage({
   }
 });
 
+// Analyzer process limits (per-activity timeoutSec in config/activities overrides the default)
+const DEFAULT_ANALYZER_TIMEOUT_SEC = parseInt(process.env.ANALYZER_TIMEOUT_SEC) || 600;
+const MAX_LOG_TAIL_BYTES = 64 * 1024;
+
+const MAX_VIDEO_SIZE = 100 * 1024 * 1024; // 100MB limit
+
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
@@ -66,30 +123,18 @@ const upload = multer({
     }
   },
   limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB limit
+    fileSize: MAX_VIDEO_SIZE
   }
 });
 
-// Activity to script mapping - using Talent Track py scripts
-const activityScripts = {
-  'Push-ups': 'pushup_video.py',
-  'Pull-ups': 'pullup_video.py',
-  'Sit-ups': 'situp_video.py',
-  'Vertical Jump': 'verticaljump_video.py',
-  'Shuttle Run': 'shuttlerun_video.py',
-  'Sit Reach': 'sitreach_video.py',
-  'Vertical Broad Jump': 'verticalbroadjump_video.py',
-  'Standing Broad Jump': 'verticalbroadjump_video.py'
-};
-
-// Live recording scripts
-const liveScripts = {
-  'Push-ups': 'pushup_live.py',
-  'Pull-ups': 'pullup_live.py',
-  'Sit-ups': 'situp_live.py',
-  'Vertical Jump': 'verticaljump_live.py',
-  'Shuttle Run': 'shuttlerun_live.py'
-};
+configureChunkedUploads(uploadsDir);
+configureRetention({ outputsDir, uploadsDir });
+configureMediaServer(outputsDir);
+configureVideoJobs(outputsDir, getProcessingResults);
+configureReanalysis({ outputsDir, uploadsDir });
+configureBatches({ outputsDir, uploadsDir });
+configureReports(reportsDir);
+configureWorkoutSessions(uploadsDir);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -105,20 +150,28 @@ app.get('/api/health', (req, res) => {
 app.get('/api/test', (req, res) => {
   res.json({
     message: 'Backend is working!',
-    availableWorkouts: Object.keys(activityScripts)
+    availableWorkouts: listActivities().map(activity => activity.displayName)
   });
 });
 
+// Analyzer script self-check report (?refresh=true runs every script again)
+app.get('/api/analyzers', requireAuth, permit('admin.access'), (req, res) => {
+  const refresh = req.query.refresh === 'true';
+  res.json(refresh ? runSelfCheck() : getSelfCheck());
+});
+
 // Process video endpoint
-app.post('/api/process-video', upload.single('video'), async (req, res) => {
+app.post('/api/process-video', requireAuth, permit('videos.analyze'), upload.single('video'), async (req, res) => {
   console.log('\n=== New video processing request ===');
   console.log('Time:', new Date().toISOString());
 
   try {
-    const { activityName, mode } = req.body;
+    const { mode } = req.body;
+    const force = req.body.force || req.query.force;
     const videoFile = req.file;
+    const activity = getActivity(req.body.activityName);
 
-    console.log('Activity:', activityName);
+    console.log('Activity:', req.body.activityName);
     console.log('Mode:', mode);
     console.log('File:', videoFile ? videoFile.originalname : 'No file');
 
@@ -127,103 +180,371 @@ app.post('/api/process-video', upload.single('video'), async (req, res) => {
       return res.status(400).json({ error: 'No video file provided' });
     }
 
-    if (!activityName || !activityScripts[activityName]) {
-      console.error('ERROR: Invalid activity:', activityName);
+    if (!activity) {
+      console.error('ERROR: Invalid activity:', req.body.activityName);
+      fs.removeSync(videoFile.path);
       return res.status(400).json({ error: 'Invalid or unsupported activity' });
     }
 
-    const scriptName = activityScripts[activityName];
-    // Try Talent Track py scripts folder first, then fall back to scripts folder
-    let scriptPath = path.join(__dirname, '..', 'Talent Track py scripts', scriptName);
+    const queued = await queueVideoJob(activity, videoFile.path, { mode, force, userId: req.user.userId });
+    res.status(queued.status).json(queued.body);
 
-    if (!fs.existsSync(scriptPath)) {
-      scriptPath = path.join(__dirname, '..', 'scripts', scriptName);
+  } catch (error) {
+    console.error('Error queueing video:', error);
+    if (req.file) {
+      fs.removeSync(req.file.path);
     }
+    res.status(500).json({ error: 'Failed to queue video', details: error.message });
+  }
+});
 
-    // Check if script exists
-    if (!fs.existsSync(scriptPath)) {
-      return res.status(404).json({ error: `Script not found: ${scriptName}` });
+// Resumable uploads: init -> PUT chunks -> complete, then the same pipeline as /api/process-video
+function sendUploadError(res, error) {
+  if (!error.status) {
+    console.error('Error handling upload:', error);
+  }
+  res.status(error.status || 500).json({
+    error: error.message,
+    ...(error.missing ? { missing: error.missing } : {})
+  });
+}
+
+// POST /api/uploads - Start a resumable upload
+app.post('/api/uploads', requireAuth, permit('videos.analyze'), async (req, res) => {
+  try {
+    const { fileName, fileSize, mimeType, sha256, chunkSize, activityName, mode, force } = req.body;
+
+    const activity = getActivity(activityName);
+    if (!activity) {
+      return res.status(400).json({ error: 'Invalid or unsupported activity' });
     }
 
-    const videoPath = videoFile.path;
-    const outputId = `${Date.now()}_${activityName.replace(/[^a-zA-Z0-9]/g, '_')}`;
-    const outputDir = path.join(outputsDir, outputId);
+    const status = await initUpload({
+      fileName,
+      fileSize,
+      mimeType,
+      sha256,
+      chunkSize,
+      maxFileSize: MAX_VIDEO_SIZE,
+      userId: req.user.userId,
+      fields: { activityName: activity.displayName, mode, force }
+    });
+
+    res.status(201).json({ success: true, ...status });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// GET /api/uploads/:uploadId - Which chunks have arrived (for resuming)
+app.get('/api/uploads/:uploadId', requireAuth, permit('uploads.write', targets.upload), async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getUploadStatus(req.params.uploadId)) });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// PUT /api/uploads/:uploadId/chunks/:index - Store one chunk (raw body)
+app.put(
+  '/api/uploads/:uploadId/chunks/:index',
+  requireAuth,
+  permit('uploads.write', targets.upload),
+  express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const status = await writeChunk(req.params.uploadId, req.params.index, req.body);
+      res.json({ success: true, received: status.received.length, totalChunks: status.totalChunks });
+    } catch (error) {
+      sendUploadError(res, error);
+    }
+  }
+);
+
+// POST /api/uploads/:uploadId/complete - Assemble, verify checksum and queue for processing
+app.post('/api/uploads/:uploadId/complete', requireAuth, permit('uploads.write', targets.upload), async (req, res) => {
+  let assembled = null;
+  try {
+    assembled = await completeUpload(req.params.uploadId, uploadsDir);
+    console.log('📦 Resumable upload assembled:', assembled.fileName);
+
+    const activity = getActivity(assembled.fields.activityName);
+    if (!activity) {
+      fs.removeSync(assembled.filePath);
+      return res.status(400).json({ error: 'Invalid or unsupported activity' });
+    }
+
+    const queued = await queueVideoJob(activity, assembled.filePath, {
+      mode: assembled.fields.mode,
+      videoHash: assembled.sha256,
+      userId: req.user.userId,
+      force: assembled.fields.force || req.body.force || req.query.force
+    });
+    res.status(queued.status).json(queued.body);
+  } catch (error) {
+    if (assembled) {
+      fs.removeSync(assembled.filePath);
+    }
+    sendUploadError(res, error);
+  }
+});
+
+// Share of overall progress covered by each stage, used for the "overall" percent
+const STAGE_PROGRESS_RANGES = {
+  [JOB_STATES.PREPARING]: [0, 15],
+  [JOB_STATES.RUNNING]: [15, 70],
+  [JOB_STATES.EXTRACTING_FRAMES]: [70, 85],
+  [JOB_STATES.PACKAGING]: [85, 100]
+};
+
+function publishProgress(outputId, stage, percent) {
+  const [start, end] = STAGE_PROGRESS_RANGES[stage] || [0, 100];
+  progressEvents.publish(outputId, 'progress', {
+    stage,
+    percent: Math.round(percent),
+    overall: Math.round(start + ((end - start) * percent) / 100)
+  });
+}
+
+// Run a queued video processing job (called by the job worker pool)
+async function processVideoJob(job, setState, signal) {
+  const { scriptPath, videoPath, outputId, activityName } = job;
+  const outputDir = path.join(outputsDir, outputId);
+
+  console.log('\n=== Processing job', job.jobId, '===');
+  console.log('Activity:', activityName);
+
+  let analyzerInput = videoPath;
+
+  // A cancel between or during the ffmpeg stages ends the job as cancelled, not done
+  const stopIfAborted = () => {
+    if (signal.aborted) {
+      throw signal.reason;
+    }
+  };
+
+  try {
+    if (!fs.existsSync(videoPath)) {
+      throw new Error('Uploaded video is no longer available');
+    }
+    if (!fs.existsSync(scriptPath)) {
+      throw processFailure(FAILURE_REASONS.SCRIPT_NOT_FOUND, `Script not found: ${path.basename(scriptPath)}`);
+    }
 
-    // Create output directory
     fs.ensureDirSync(outputDir);
 
-    // Execute Python script
+    // Rotate and transcode to the standard analyzer input (1280x720, 30fps, H.264)
+    await setState(JOB_STATES.PREPARING);
+    progressEvents.publish(outputId, 'stage', { stage: JOB_STATES.PREPARING, jobId: job.jobId });
+    const prepared = await normalizeVideo(videoPath, {
+      signal,
+      onProgress: (percent) => publishProgress(outputId, JOB_STATES.PREPARING, percent)
+    });
+    analyzerInput = prepared.videoPath;
+
+    await setState(JOB_STATES.RUNNING);
+    progressEvents.publish(outputId, 'stage', { stage: JOB_STATES.RUNNING, jobId: job.jobId });
+
+    // Execute Python script, forwarding rep counts and progress parsed from stdout
     console.log('Executing Python script...');
-    const result = await executeScript(scriptPath, videoPath, outputDir, activityName);
+    const result = await executeScript(scriptPath, analyzerInput, outputDir, activityName, {
+      signal,
+      parameters: {
+        normalization: prepared.normalized ? NORMALIZE_TARGET : null,
+        sourceVideo: prepared.info
+      },
+      onProgress: (event) => {
+        if (event.type === 'progress') {
+          publishProgress(outputId, JOB_STATES.RUNNING, event.data.percent);
+        } else {
+          progressEvents.publish(outputId, event.type, event.data);
+        }
+      }
+    });
 
     console.log('Processing complete!');
     console.log('Result:', JSON.stringify(result, null, 2));
 
+    stopIfAborted();
+
     // Extract frames from video for browser playback
     if (result.videoFile) {
+      await setState(JOB_STATES.EXTRACTING_FRAMES);
+      progressEvents.publish(outputId, 'stage', { stage: JOB_STATES.EXTRACTING_FRAMES, jobId: job.jobId });
+      const onFfmpegProgress = (percent) => publishProgress(outputId, JOB_STATES.EXTRACTING_FRAMES, percent);
+
       try {
         console.log('Extracting frames from video...');
-        await extractFramesFromVideo(outputDir, result.videoFile);
+        await extractFramesFromVideo(outputDir, result.videoFile, onFfmpegProgress, signal);
         result.hasFrames = true;
       } catch (error) {
+        stopIfAborted();
         console.warn('Frame extraction failed:', error.message);
         // Try video conversion as fallback
         try {
-          await convertVideoToBrowserFormat(outputDir, result.videoFile);
+          await convertVideoToBrowserFormat(outputDir, result.videoFile, onFfmpegProgress, signal);
         } catch (convError) {
+          stopIfAborted();
           console.warn('Video conversion also failed:', convError.message);
         }
       }
+      stopIfAborted();
+
+      try {
+        const previews = await generatePreviews(outputDir, result.videoFile, result.reps);
+        result.previews = signPreviewUrls(previews, outputId);
+      } catch (error) {
+        console.warn('Preview generation failed:', error.message);
+      }
+      stopIfAborted();
+
+      try {
+        const clips = await cutRepClips(outputDir, result.videoFile, result.reps);
+        const clipUrls = {};
+        clips.forEach((clip) => {
+          clipUrls[clip.rep] = clip.clipUrl;
+        });
+        attachClipUrls(result.reps, clipUrls, outputId);
+      } catch (error) {
+        console.warn('Rep clip extraction failed:', error.message);
+      }
+      stopIfAborted();
+
+      // Adaptive streaming package; the MP4 and frames stay for older clients
+      if (HLS_ENABLED) {
+        await setState(JOB_STATES.PACKAGING);
+        progressEvents.publish(outputId, 'stage', { stage: JOB_STATES.PACKAGING, jobId: job.jobId });
+
+        try {
+          const hls = await packageHls(outputDir, result.videoFile,
+            (percent) => publishProgress(outputId, JOB_STATES.PACKAGING, percent), signal);
+          result.hlsUrl = signMediaUrl(hls.url, outputId);
+          result.hlsRenditions = hls.renditions;
+        } catch (error) {
+          stopIfAborted();
+          console.warn('HLS packaging failed:', error.message);
+        }
+      }
     }
+    stopIfAborted();
 
     // Clean up uploaded file
     fs.removeSync(videoPath);
 
-    res.json({
-      success: true,
+    const finalResult = {
       outputId: outputId,
       ...result
-    });
+    };
+
+    progressEvents.publish(outputId, 'stage', { stage: JOB_STATES.DONE, jobId: job.jobId });
+    progressEvents.publish(outputId, 'result', finalResult);
 
+    return finalResult;
   } catch (error) {
-    console.error('Error processing video:', error);
-    res.status(500).json({ error: 'Failed to process video', details: error.message });
+    progressEvents.publish(outputId, 'error', {
+      jobId: job.jobId,
+      error: error.message,
+      failureReason: error.reason || FAILURE_REASONS.CRASHED
+    });
+    throw error;
+  } finally {
+    // The normalized copy is only needed while the analyzer runs
+    if (analyzerInput !== videoPath) {
+      fs.removeSync(analyzerInput);
+    }
   }
-});
+}
 
-// Start live recording endpoint
-app.post('/api/start-live-recording', async (req, res) => {
-  try {
-    const { activityName } = req.body;
+registerProcessor(processVideoJob);
 
-    if (!activityName || !liveScripts[activityName]) {
-      return res.status(400).json({ error: 'Invalid or unsupported activity for live recording' });
+// Stream processing progress as Server-Sent Events
+app.get('/api/process-video/:outputId/events', requireAuth, permit('analyses.read', targets.output), async (req, res) => {
+  const { outputId } = req.params;
+  let replay = progressEvents.getHistory(outputId);
+
+  // Nothing in memory (e.g. after a restart) - fall back to the stored job
+  if (!replay) {
+    let job = null;
+    try {
+      job = await getJobByOutputId(outputId);
+    } catch (error) {
+      console.warn('Could not look up job for events:', error.message);
     }
 
-    const scriptName = liveScripts[activityName];
-    // Try Talent Track py scripts folder first, then fall back to scripts folder
-    let scriptPath = path.join(__dirname, '..', 'Talent Track py scripts', scriptName);
+    if (!job) {
+      return res.status(404).json({ error: 'Processing job not found' });
+    }
 
-    if (!fs.existsSync(scriptPath)) {
-      scriptPath = path.join(__dirname, '..', 'scripts', scriptName);
+    replay = { history: [{ type: 'stage', data: { stage: job.state, jobId: job.jobId } }], finished: false };
+    if (job.state === JOB_STATES.DONE) {
+      replay.history.push({ type: 'result', data: await currentJobResult(job) });
+      replay.finished = true;
+    } else if (job.state === JOB_STATES.FAILED) {
+      replay.history.push({ type: 'error', data: { jobId: job.jobId, error: job.error } });
+      replay.finished = true;
     }
+  }
 
-    if (!fs.existsSync(scriptPath)) {
-      return res.status(404).json({ error: `Live script not found: ${scriptName}` });
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'result' || event.type === 'error') {
+      cleanup();
+      res.end();
+    }
+  };
+
+  let unsubscribe = null;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  };
+
+  req.on('close', cleanup);
+
+  replay.history.forEach(send);
+  if (!replay.finished) {
+    unsubscribe = progressEvents.subscribe(outputId, send);
+  }
+});
+
+// Start live recording endpoint
+app.post('/api/start-live-recording', requireAuth, permit('videos.analyze'), async (req, res) => {
+  try {
+    const activity = getActivity(req.body.activityName);
+
+    if (!activity || !activity.scripts.live) {
+      return res.status(400).json({ error: 'Invalid or unsupported activity for live recording' });
     }
 
+    const activityName = activity.displayName;
     const outputId = `live_${Date.now()}_${activityName.replace(/[^a-zA-Z0-9]/g, '_')}`;
     const outputDir = path.join(outputsDir, outputId);
 
-    fs.ensureDirSync(outputDir);
+    // Without a realtime live analyzer the recording is run through the video script on stop
+    const session = createLiveSession(activity, outputId, outputDir, req.user.userId);
+    if (!session.realtime && !resolveScriptPath(activity.scripts.video.file)) {
+      return res.status(404).json({
+        error: `Live script not found: ${activity.scripts.live.file}`,
+        failureReason: FAILURE_REASONS.SCRIPT_NOT_FOUND
+      });
+    }
 
-    // Execute live script
-    const result = await executeLiveScript(scriptPath, outputDir, activityName);
+    fs.ensureDirSync(outputDir);
 
     res.json({
       success: true,
       outputId: outputId,
-      ...result
+      realtime: session.realtime,
+      socketUrl: `/api/live?outputId=${outputId}`
     });
 
   } catch (error) {
@@ -233,7 +554,7 @@ app.post('/api/start-live-recording', async (req, res) => {
 });
 
 // Get processed results
-app.get('/api/results/:outputId', async (req, res) => {
+app.get('/api/results/:outputId', requireAuth, permit('analyses.read', targets.output), async (req, res) => {
   try {
     const { outputId } = req.params;
     const outputDir = path.join(outputsDir, outputId);
@@ -242,7 +563,9 @@ app.get('/api/results/:outputId', async (req, res) => {
       return res.status(404).json({ error: 'Results not found' });
     }
 
-    const results = await getProcessingResults(outputDir);
+    // Raw csv-parser rows are only included when asked for with ?raw=true
+    const activity = getActivity(req.query.activity) || getActivityForOutputId(outputId);
+    const results = await getProcessingResults(outputDir, activity, { includeRaw: req.query.raw === 'true' });
     res.json(results);
 
   } catch (error) {
@@ -251,236 +574,201 @@ app.get('/api/results/:outputId', async (req, res) => {
   }
 });
 
-// Serve video frames
-app.get('/api/frames/:outputId', (req, res) => {
-  const { outputId } = req.params;
-  const framesDir = path.join(outputsDir, outputId, 'frames');
-
-  if (fs.existsSync(framesDir)) {
-    const frames = fs.readdirSync(framesDir)
-      .filter(f => f.endsWith('.jpg'))
-      .sort()
-      .map(f => `/api/frame/${outputId}/${f}`);
-
-    res.json({ frames, count: frames.length });
-  } else {
-    res.status(404).json({ error: 'Frames not found' });
-  }
-});
-
-// Serve individual frame
-app.get('/api/frame/:outputId/:filename', (req, res) => {
-  const { outputId, filename } = req.params;
-  const framePath = path.join(outputsDir, outputId, 'frames', filename);
-
-  if (fs.existsSync(framePath)) {
-    res.sendFile(framePath);
-  } else {
-    res.status(404).send('Frame not found');
-  }
-});
-
-// Serve processed videos
-app.get('/api/video/:outputId/:filename', (req, res) => {
-  const { outputId, filename } = req.params;
-  const videoPath = path.join(outputsDir, outputId, filename);
-
-  console.log('Video request:', outputId, filename);
-  console.log('Video path:', videoPath);
-  console.log('File exists:', fs.existsSync(videoPath));
-
-  if (fs.existsSync(videoPath)) {
-    console.log('Serving video file');
-
-    // Set headers to prevent caching issues
-    res.setHeader('Content-Type', 'video/mp4');
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
-
-    res.sendFile(videoPath);
-  } else {
-    console.error('Video file not found!');
-    res.status(404).json({ error: 'Video not found' });
+// Per-frame pose keypoints: ?from=&to= frame range, ?format=jsonl (default) or columnar
+app.get('/api/results/:outputId/keypoints', requireAuth, permit('analyses.read', targets.output), async (req, res) => {
+  try {
+    await sendKeypoints(res, getOutputDir(req.params.outputId), req.query);
+  } catch (error) {
+    if (!error.status) {
+      console.error('Error sending keypoints:', error);
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get keypoints', details: error.message });
   }
 });
 
 // Execute Python script for video processing
-function executeScript(scriptPath, videoPath, outputDir, activityName) {
+// options.onProgress receives rep/progress events parsed from stdout;
+// options.signal aborts the run (the whole process tree is killed)
+// options.parameters is recorded in result.analyzer next to the script and runtime versions
+function executeScript(scriptPath, videoPath, outputDir, activityName, options = {}) {
+  const { onProgress, signal, parameters = {} } = options;
+  const activity = getActivity(activityName);
+  const timeoutSec = (activity && activity.timeoutSec) || DEFAULT_ANALYZER_TIMEOUT_SEC;
+
   return new Promise((resolve, reject) => {
-    // Modify the script to accept command line arguments
-    const modifiedScript = createModifiedScript(scriptPath, videoPath, outputDir);
-    const tempScriptPath = path.join(outputDir, 'temp_script.py');
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
 
-    fs.writeFileSync(tempScriptPath, modifiedScript);
+    // Contract scripts get CLI args; legacy scripts get a patched temp copy
+    const { args, env, tempScriptPath } = buildInvocation({ scriptPath, videoPath, outputDir });
 
-    const pythonProcess = spawn('python', [tempScriptPath], {
+    // detached puts python in its own process group so killProcessTree gets its children too
+    const pythonProcess = spawn(PYTHON_BIN, args, {
       cwd: outputDir,
+      env,
+      detached: process.platform !== 'win32',
       stdio: ['pipe', 'pipe', 'pipe']
     });
 
-    let stdout = '';
-    let stderr = '';
+    // Full output goes to analyzer.log, only a bounded tail stays in memory
+    const log = createCappedLog(path.join(outputDir, 'analyzer.log'), MAX_LOG_TAIL_BYTES);
+    let pendingLine = '';
+    let failure = null;
+    let settled = false;
+
+    const stop = (reason, message) => {
+      if (failure) return;
+      failure = processFailure(reason, message);
+      killProcessTree(pythonProcess);
+    };
+
+    const timer = setTimeout(() => {
+      console.warn(`⏱️ ${path.basename(scriptPath)} exceeded ${timeoutSec}s, killing it`);
+      stop(FAILURE_REASONS.TIMEOUT, `Analysis timed out after ${timeoutSec} seconds`);
+    }, timeoutSec * 1000);
+
+    const onAbort = () => stop(FAILURE_REASONS.CANCELLED, 'Analysis cancelled');
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
 
-    pythonProcess.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+    const finish = async (error) => {
+      if (settled) return;
+      settled = true;
 
-    pythonProcess.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      await log.close();
 
-    pythonProcess.on('close', async (code) => {
       // Clean up temp script
-      fs.removeSync(tempScriptPath);
+      if (tempScriptPath) {
+        fs.removeSync(tempScriptPath);
+      }
 
-      if (code !== 0) {
-        reject(new Error(`Python script failed with code ${code}: ${stderr}`));
+      if (error) {
+        reject(error);
         return;
       }
 
       try {
-        const results = await getProcessingResults(outputDir);
+        await collectKeypoints(outputDir);
+        const results = await getProcessingResults(outputDir, activity);
+        results.analyzer = {
+          ...describeAnalyzer(scriptPath, { timeoutSec, headless: true, ...parameters }),
+          analyzedAt: new Date().toISOString()
+        };
         resolve(results);
-      } catch (error) {
-        reject(error);
+      } catch (err) {
+        reject(err);
       }
-    });
+    };
 
-    pythonProcess.on('error', (error) => {
-      reject(new Error(`Failed to start Python process: ${error.message}`));
+    pythonProcess.stdout.on('data', (data) => {
+      const text = data.toString();
+      log.write('stdout', text);
+
+      if (onProgress) {
+        const lines = (pendingLine + text).split(/\r?\n|\r/);
+        pendingLine = lines.pop();
+        lines.forEach((line) => {
+          const event = progressEvents.parseScriptOutputLine(line);
+          if (event) onProgress(event);
+        });
+      }
     });
-  });
-}
 
-// Execute live recording script
-function executeLiveScript(scriptPath, outputDir, activityName) {
-  return new Promise((resolve, reject) => {
-    const modifiedScript = createModifiedLiveScript(scriptPath, outputDir);
-    const tempScriptPath = path.join(outputDir, 'temp_live_script.py');
-
-    fs.writeFileSync(tempScriptPath, modifiedScript);
+    pythonProcess.stderr.on('data', (data) => {
+      log.write('stderr', data.toString());
+    });
 
-    // For live scripts, we'll simulate the execution since they require camera access
-    // In a real implementation, you'd handle this differently
-    setTimeout(async () => {
-      try {
-        // Create mock results for live recording
-        const mockResults = createMockLiveResults(activityName, outputDir);
-        resolve(mockResults);
-      } catch (error) {
-        reject(error);
+    pythonProcess.on('close', (code, signalName) => {
+      if (failure) {
+        finish(failure);
+      } else if (code !== 0) {
+        finish(processFailure(
+          FAILURE_REASONS.CRASHED,
+          `Python script failed with code ${code !== null ? code : signalName}: ${log.tail('stderr')}`
+        ));
+      } else {
+        finish(null);
       }
-    }, 3000); // Simulate 3 second processing time
+    });
+
+    pythonProcess.on('error', (error) => {
+      finish(processFailure(FAILURE_REASONS.CRASHED, `Failed to start Python process: ${error.message}`));
+    });
   });
 }
 
-// Create modified script that doesn't require GUI file selection
-function createModifiedScript(originalScriptPath, videoPath, outputDir) {
-  let script = fs.readFileSync(originalScriptPath, 'utf8');
-
-  // Remove tkinter imports and file dialog
-  script = script.replace(/from tkinter import Tk, filedialog\n/g, '');
-  script = script.replace(/Tk\(\)\.withdraw\(\)\n/g, '');
-
-  // Replace file selection with direct path
-  // Use forward slashes for Python (works on Windows too)
-  const videoPathForPython = videoPath.replace(/\\/g, '/');
-
-  // Remove the file dialog lines
-  // First, remove the entire filedialog line (including nested brackets)
-  const fileDialogPattern = /video_path = filedialog\.askopenfilename\([^)]*\[[^\]]*\][^)]*\)/g;
-  script = script.replace(fileDialogPattern, `video_path = r"${videoPathForPython}"`);
-
-  // Also handle simpler patterns without filetypes
-  script = script.replace(/video_path = filedialog\.askopenfilename\(\)/g, `video_path = r"${videoPathForPython}"`);
-
-  // Remove the exit conditions
-  script = script.replace(/if not video_path:\s*\n\s*print\([^)]*\)\s*\n\s*exit\(\)/g, '');
-  script = script.replace(/if not video_path:\s*\n\s*exit\(\)/g, '');
-
-  // Modify output paths to use our output directory
-  const outputDirForPython = outputDir.replace(/\\/g, '/');
-  const baseFilename = path.basename(outputDir);
-
-  script = script.replace(
-    /filename = os\.path\.splitext\(os\.path\.basename\(video_path\)\)\[0\]/g,
-    `filename = "${baseFilename}"`
-  );
-  script = script.replace(/output_folder = filename/g, `output_folder = r"${outputDirForPython}"`);
+// Finish a live session once the client stops streaming. The outcome is stored as a
+// job so the output belongs to the user who recorded it, like an uploaded video's
+async function finalizeLiveSession(session, onProgress) {
+  const { activity, outputId, userId } = session;
+  const job = { activityName: activity.displayName, activityId: activity.id, mode: 'live', outputId, requestedBy: [userId] };
 
-  // Ensure output directory exists
-  script = `import os\nimport sys\n${script}`;
-  script = script.replace(
-    /os\.makedirs\(output_folder, exist_ok=True\)/g,
-    `os.makedirs(r"${outputDirForPython}", exist_ok=True)`
-  );
-
-  // Remove cv2.imshow and waitKey calls to run headless
-  // Comment out entire lines with cv2.imshow
-  script = script.replace(/^(\s*)cv2\.imshow\([^)]*\)/gm, '$1pass  # cv2.imshow removed');
-
-  // Replace cv2.waitKey expressions properly
-  script = script.replace(/cv2\.waitKey\(int\(1000\/fps\)\)/g, '1');
-  script = script.replace(/cv2\.waitKey\([^)]*\)/g, '1');
-
-  // Comment out cv2.destroyAllWindows
-  script = script.replace(/^(\s*)cv2\.destroyAllWindows\(\)/gm, '$1pass  # cv2.destroyAllWindows removed');
+  let results;
+  try {
+    results = await analyzeLiveSession(session, onProgress);
+  } catch (error) {
+    await recordFinishedJob(job, { error: error.message, failureReason: error.reason || FAILURE_REASONS.CRASHED })
+      .catch(recordError => console.error('❌ Could not store live session job:', outputId, recordError.message));
+    throw error;
+  }
 
-  return script;
+  await recordFinishedJob(job, { result: { outputId, ...results } });
+  return results;
 }
 
-// Create modified live script
-function createModifiedLiveScript(originalScriptPath, outputDir) {
-  let script = fs.readFileSync(originalScriptPath, 'utf8');
-
-  // Modify for headless execution and output to our directory
-  const outputDirForPython = outputDir.replace(/\\/g, '/');
-  script = script.replace(/output_folder = filename/g, `output_folder = r"${outputDirForPython}"`);
-  script = script.replace(/filename = "camera_feed"/g, `filename = "${path.basename(outputDir)}"`);
-
-  // Ensure output directory exists
-  script = `import os\nimport sys\n${script}`;
-  script = script.replace(
-    /os\.makedirs\(output_folder, exist_ok=True\)/g,
-    `os.makedirs(r"${outputDirForPython}", exist_ok=True)`
-  );
+async function analyzeLiveSession(session, onProgress) {
+  const { activity, outputDir, recordingPath } = session;
 
-  // Remove cv2.imshow and waitKey calls to run headless
-  // Comment out entire lines with cv2.imshow
-  script = script.replace(/^(\s*)cv2\.imshow\([^)]*\)/gm, '$1pass  # cv2.imshow removed');
-
-  // Replace cv2.waitKey expressions properly
-  script = script.replace(/cv2\.waitKey\(1\)/g, '1');
+  // Live scripts that can't take the frame stream get the saved recording analyzed by the video script
+  if (!session.realtime) {
+    const scriptPath = resolveScriptPath(activity.scripts.video.file);
+    if (!scriptPath) {
+      throw processFailure(FAILURE_REASONS.SCRIPT_NOT_FOUND, `Script not found: ${activity.scripts.video.file}`);
+    }
+    return executeScript(scriptPath, recordingPath, outputDir, activity.displayName, { onProgress });
+  }
 
-  // Comment out cv2.destroyAllWindows
-  script = script.replace(/^(\s*)cv2\.destroyAllWindows\(\)/gm, '$1pass  # cv2.destroyAllWindows removed');
+  await waitForRealtimeAnalyzer(session);
+  await collectKeypoints(outputDir);
+  return getProcessingResults(outputDir, activity);
+}
 
-  // Add automatic termination after some time (30 seconds)
-  script = script.replace(/while True:/g, `
-frame_count = 0
-max_frames = int(fps * 30)  # 30 seconds max
-while frame_count < max_frames:`);
+// Pick the CSV whose header best matches the activity's expected columns
+function findResultsCSV(outputDir, files, activity) {
+  const candidates = files.filter(file => file.endsWith('.csv') && !file.includes('temp'));
 
-  script = script.replace(/frame_idx \+= 1/g, `
-frame_idx += 1
-frame_count += 1`);
+  if (activity && activity.csvColumns.length > 0 && candidates.length > 1) {
+    const scored = candidates.map(file => {
+      const header = fs.readFileSync(path.join(outputDir, file), 'utf8').split(/\r?\n/)[0];
+      const columns = header.split(',').map(column => column.trim());
+      return { file, score: activity.csvColumns.filter(column => columns.includes(column)).length };
+    });
+    const best = scored.sort((a, b) => b.score - a.score)[0];
+    if (best.score > 0) {
+      return best.file;
+    }
+  }
 
-  return script;
+  return candidates.find(file =>
+    !file.includes('vertical_jump_log.csv') // Exclude the old log file
+  ) || files.find(file => file.endsWith('.csv'));
 }
 
 // Get processing results from output directory
-async function getProcessingResults(outputDir) {
+// Returns the normalized summary/reps for the activity; raw rows only with includeRaw
+async function getProcessingResults(outputDir, activity, options = {}) {
+  const outputId = path.basename(outputDir);
   const files = fs.readdirSync(outputDir);
   console.log('Files in output directory:', files);
 
-  // Find CSV file (look for various naming patterns)
-  const csvFile = files.find(file =>
-    file.endsWith('.csv') &&
-    !file.includes('temp') &&
-    !file.includes('vertical_jump_log.csv') // Exclude the old log file
-  ) || files.find(file => file.endsWith('.csv'));
-
+  const csvFile = findResultsCSV(outputDir, files, activity);
   const videoFile = files.find(file => file.endsWith('_annotated.mp4'));
 
   console.log('Found CSV file:', csvFile);
@@ -497,12 +785,54 @@ async function getProcessingResults(outputDir) {
     }
   }
 
-  return {
-    csvData: csvData,
+  // Without a known activity there is nothing to normalize against - hand back the raw rows
+  if (!activity) {
+    return {
+      warnings: ['Unknown activity - results are not normalized'],
+      csvFile: csvFile || null,
+      csvData: csvData,
+      videoFile: videoFile,
+      outputPath: outputDir,
+      files: files
+    };
+  }
+
+  const results = {
+    ...normalizeResults(activity, csvData),
+    csvFile: csvFile || null,
     videoFile: videoFile,
+    videoUrl: videoFile ? signMediaUrl(`/api/video/${outputId}/${videoFile}`, outputId) : null,
+    hlsUrl: signMediaUrl(getHlsUrl(outputDir), outputId),
+    framesUrl: fs.existsSync(path.join(outputDir, 'frames'))
+      ? signMediaUrl(`/api/frames/${outputId}`, outputId)
+      : null,
+    previews: signPreviewUrls(getPreviewUrls(outputDir), outputId),
+    keypoints: getKeypointsInfo(outputDir),
     outputPath: outputDir,
     files: files
   };
+
+  attachClipUrls(results.reps, getRepClipUrls(outputDir), outputId);
+
+  if (options.includeRaw) {
+    results.csvData = csvData;
+  }
+
+  return results;
+}
+
+function attachClipUrls(reps, clipUrls, outputId) {
+  (reps || []).forEach((rep) => {
+    rep.clipUrl = clipUrls[rep.rep] ? signMediaUrl(clipUrls[rep.rep], outputId) : null;
+  });
+}
+
+function signPreviewUrls(previews, outputId) {
+  const signed = {};
+  Object.entries(previews).forEach(([key, url]) => {
+    signed[key] = signMediaUrl(url, outputId);
+  });
+  return signed;
 }
 
 // Read CSV file and return parsed data
@@ -518,7 +848,7 @@ function readCSVFile(csvPath) {
 }
 
 // Extract frames from video for browser playback
-async function extractFramesFromVideo(outputDir, videoFile) {
+async function extractFramesFromVideo(outputDir, videoFile, onProgress, signal) {
   return new Promise((resolve, reject) => {
     const inputPath = path.join(outputDir, videoFile);
     const framesDir = path.join(outputDir, 'frames');
@@ -528,7 +858,7 @@ async function extractFramesFromVideo(outputDir, videoFile) {
 
     console.log('Extracting frames at 10 FPS...');
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .outputOptions([
         '-vf fps=10', // Extract 10 frames per second
         '-q:v 2'      // High quality
@@ -541,6 +871,9 @@ async function extractFramesFromVideo(outputDir, videoFile) {
         if (progress.frames) {
           console.log('Extracted frames:', progress.frames);
         }
+        if (onProgress && progress.percent) {
+          onProgress(Math.min(100, progress.percent));
+        }
       })
       .on('end', () => {
         const frames = fs.readdirSync(framesDir).filter(f => f.endsWith('.jpg'));
@@ -548,15 +881,22 @@ async function extractFramesFromVideo(outputDir, videoFile) {
         resolve();
       })
       .on('error', (err) => {
+        if (signal && signal.aborted) {
+          return reject(signal.reason);
+        }
         console.error('❌ Frame extraction error:', err.message);
         reject(err);
-      })
-      .run();
+      });
+
+    if (signal) {
+      signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    }
+    command.run();
   });
 }
 
 // Convert video to browser-compatible format
-async function convertVideoToBrowserFormat(outputDir, videoFile) {
+async function convertVideoToBrowserFormat(outputDir, videoFile, onProgress, signal) {
   return new Promise((resolve, reject) => {
     const inputPath = path.join(outputDir, videoFile);
     const outputPath = path.join(outputDir, videoFile.replace('.mp4', '_web.mp4'));
@@ -565,7 +905,7 @@ async function convertVideoToBrowserFormat(outputDir, videoFile) {
     console.log('Input:', inputPath);
     console.log('Output:', outputPath);
 
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath)
       .videoCodec('libx264')
       .audioCodec('aac')
       .outputOptions([
@@ -580,6 +920,7 @@ async function convertVideoToBrowserFormat(outputDir, videoFile) {
       .on('progress', (progress) => {
         if (progress.percent) {
           console.log('Converting:', Math.round(progress.percent) + '%');
+          if (onProgress) onProgress(Math.min(100, progress.percent));
         }
       })
       .on('end', () => {
@@ -596,43 +937,19 @@ async function convertVideoToBrowserFormat(outputDir, videoFile) {
         }
       })
       .on('error', (err) => {
+        if (signal && signal.aborted) {
+          fs.removeSync(outputPath);
+          return reject(signal.reason);
+        }
         console.error('❌ FFmpeg conversion error:', err.message);
         reject(err);
-      })
-      .save(outputPath);
-  });
-}
+      });
 
-// Create mock results for live recording demo
-function createMockLiveResults(activityName, outputDir) {
-  const mockData = {
-    'Push-ups': [
-      { count: 1, down_time: 2.1, up_time: 3.2, dip_duration_sec: 1.1, min_elbow_angle: 68, correct: true },
-      { count: 2, down_time: 4.5, up_time: 5.8, dip_duration_sec: 1.3, min_elbow_angle: 72, correct: true },
-      { count: 3, down_time: 7.2, up_time: 8.1, dip_duration_sec: 0.9, min_elbow_angle: 85, correct: false }
-    ],
-    'Pull-ups': [
-      { count: 1, up_time: 2.0, down_time: 4.5, dip_duration_sec: 2.5, min_elbow_angle: 165 },
-      { count: 2, up_time: 6.0, down_time: 9.2, dip_duration_sec: 3.2, min_elbow_angle: 170 }
-    ]
-  };
-
-  const csvData = mockData[activityName] || [];
-
-  // Create mock CSV file
-  if (csvData.length > 0) {
-    const csvPath = path.join(outputDir, 'live_results.csv');
-    const csvContent = Object.keys(csvData[0]).join(',') + '\n' +
-      csvData.map(row => Object.values(row).join(',')).join('\n');
-    fs.writeFileSync(csvPath, csvContent);
-  }
-
-  return {
-    csvData: csvData,
-    videoFile: null, // Live recording doesn't produce video file immediately
-    outputPath: outputDir,
-    files: ['live_results.csv']
-  };
+    if (signal) {
+      signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    }
+    command.save(outputPath);
+  });
 }
 
 // ============================================
@@ -642,6 +959,11 @@ const sessionsRouter = require('./routes/sessions');
 const usersRouter = require('./routes/users');
 const authRouter = require('./routes/auth');
 const connectionsRouter = require('./routes/connections');
+const jobsRouter = require('./routes/jobs');
+const activitiesRouter = require('./routes/activities');
+const adminRouter = require('./routes/admin');
+const batchesRouter = require('./routes/batches');
+const mediaRouter = require('./routes/media');
 const dbUtilsRouter = require('./db-utils');
 
 // Root endpoint
@@ -653,6 +975,14 @@ app.get('/', (req, res) => {
       health: '/api/health',
       sessions: '/api/sessions/*',
       users: '/api/users/*',
+      auth: '/api/auth/*',
+      activities: '/api/activities',
+      jobs: '/api/jobs/:jobId',
+      batches: '/api/batches',
+      live: 'ws /api/live?outputId=',
+      analyzers: '/api/analyzers',
+      storage: '/api/admin/storage',
+      reanalyze: '/api/admin/reanalyze',
       database: '/api/db/*'
     }
   });
@@ -668,14 +998,19 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-app.use('/api/sessions', sessionsRouter);
-app.use('/api/users', usersRouter);
+app.use('/api/sessions', requireAuth, sessionsRouter);
+app.use('/api/users', requireAuth, usersRouter);
 app.use('/api/auth', authRouter);
-app.use('/api/connections', connectionsRouter);
-app.use('/api/db', dbUtilsRouter);
+app.use('/api/connections', requireAuth, connectionsRouter);
+app.use('/api/jobs', requireAuth, jobsRouter);
+app.use('/api/batches', requireAuth, batchesRouter);
+app.use('/api/activities', activitiesRouter);
+app.use('/api/admin', requireAuth, adminRouter);
+app.use('/api', requireAuth, mediaRouter);
+app.use('/api/db', requireAuth, dbUtilsRouter);
 
 // Legacy endpoint for backward compatibility
-app.post('/api/save-workout', async (req, res) => {
+app.post('/api/save-workout', requireAuth, async (req, res) => {
   // Redirect to new endpoint
   req.url = '/api/sessions/add';
   sessionsRouter(req, res);
@@ -683,25 +1018,55 @@ app.post('/api/save-workout', async (req, res) => {
 
 // Connect to MongoDB and start server
 async function startServer() {
+  // Tokens signed with a missing or published secret could be forged by anyone
+  const secretProblem = tokenSecretProblem();
+  if (secretProblem) {
+    console.error(`❌ ${secretProblem} - set it to a long random string (e.g. openssl rand -hex 32)`);
+    process.exit(1);
+  }
+
+  // Report which analyzer scripts can actually be run
+  runSelfCheck();
+
+  // Garbage-collect resumable uploads nobody finished
+  startUploadSweeper();
+
   try {
     // Connect to MongoDB first
     console.log('🔄 Connecting to MongoDB...');
     await connectDB();
     console.log('✅ MongoDB connected successfully');
 
+    // Activities added in MongoDB may register new analyzer scripts
+    if (await loadActivitiesFromDB() > 0) {
+      runSelfCheck();
+    }
+
+    // Pick up jobs interrupted by the last shutdown, then start the workers
+    await recoverJobs();
+    startWorkers();
+
+    // Save sessions for batch jobs that finished before the last shutdown
+    await resumeBatches();
+
+    // Expire old outputs and leftover uploads (needs the DB to spare saved sessions)
+    startRetentionSweeper();
+
     // Then start the server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`✅ Workout processor server running on port ${PORT}`);
       console.log(`📡 API endpoints available at http://localhost:${PORT}/api`);
     });
+    attachLiveSocket(server, finalizeLiveSession);
   } catch (error) {
     console.error('❌ Failed to connect to MongoDB:', error.message);
     console.log('⚠️  Starting server without database connection...');
     
     // Start server anyway (will use localStorage fallback)
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`⚠️  Server running on port ${PORT} (MongoDB unavailable)`);
     });
+    attachLiveSocket(server, finalizeLiveSession);
   }
 }
 
@@ -0,0 +1,359 @@
+// Permission matrix check for TalentTrack (no database needed)
+// 1. decide() gives the expected answer for every action x role x relation
+// 2. Every route of the protected routers declares the expected action
+// 3. The routers are mounted behind requireAuth
+// 4. Every route server.js defines itself, and the live WebSocket, is covered too
+//
+// Run: npm run test:permissions
+process.env.AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || 'test-permissions';
+
+const fs = require('fs');
+const path = require('path');
+
+// Any database access would make this test depend on MongoDB - fail loudly instead
+require.cache[require.resolve('./db')] = {
+  id: require.resolve('./db'),
+  filename: require.resolve('./db'),
+  loaded: true,
+  exports: {
+    connectDB: async () => {},
+    closeDB: async () => {},
+    getDB: () => {
+      throw new Error('test-permissions must not touch the database');
+    }
+  }
+};
+
+const { ROLES, POLICY, decide, permit, targets } = require('./utils/permissions');
+
+// For each action and role: allowed for the caller's own data, a linked athlete's, anyone else's ("y"/"n")
+const DECISIONS = {
+  'sessions.create': { ATHLETE: 'ynn', COACH: 'nyn', SAI_ADMIN: 'yyy' },
+  'sessions.read': { ATHLETE: 'ynn', COACH: 'yyn', SAI_ADMIN: 'yyy' },
+  'sessions.update': { ATHLETE: 'ynn', COACH: 'nyn', SAI_ADMIN: 'yyy' },
+  'sessions.delete': { ATHLETE: 'ynn', COACH: 'nnn', SAI_ADMIN: 'yyy' },
+  'sessions.listAthletes': { ATHLETE: 'nnn', COACH: 'nnn', SAI_ADMIN: 'yyy' },
+  'profile.read': { ATHLETE: 'yyy', COACH: 'yyy', SAI_ADMIN: 'yyy' },
+  'profile.write': { ATHLETE: 'ynn', COACH: 'ynn', SAI_ADMIN: 'yyy' },
+  'roles.assign': { ATHLETE: 'nnn', COACH: 'nnn', SAI_ADMIN: 'yyy' },
+  'users.browse': { ATHLETE: 'yyy', COACH: 'yyy', SAI_ADMIN: 'yyy' },
+  'users.listAll': { ATHLETE: 'nnn', COACH: 'nnn', SAI_ADMIN: 'yyy' },
+  'connections.read': { ATHLETE: 'ynn', COACH: 'ynn', SAI_ADMIN: 'yyy' },
+  'connections.request': { ATHLETE: 'ynn', COACH: 'ynn', SAI_ADMIN: 'yyy' },
+  'connections.respond': { ATHLETE: 'ynn', COACH: 'ynn', SAI_ADMIN: 'yyy' },
+  'batches.manage': { ATHLETE: 'nnn', COACH: 'yyy', SAI_ADMIN: 'yyy' },
+  'batches.read': { ATHLETE: 'nnn', COACH: 'ynn', SAI_ADMIN: 'yyy' },
+  'videos.analyze': { ATHLETE: 'yyy', COACH: 'yyy', SAI_ADMIN: 'yyy' },
+  'uploads.write': { ATHLETE: 'ynn', COACH: 'ynn', SAI_ADMIN: 'yyy' },
+  'analyses.read': { ATHLETE: 'ynn', COACH: 'yyn', SAI_ADMIN: 'yyy' },
+  'analyses.cancel': { ATHLETE: 'ynn', COACH: 'ynn', SAI_ADMIN: 'yyy' },
+  'media.read': { ATHLETE: 'ynn', COACH: 'yyn', SAI_ADMIN: 'yyy' },
+  'admin.access': { ATHLETE: 'nnn', COACH: 'nnn', SAI_ADMIN: 'yyy' },
+  'db.access': { ATHLETE: 'nnn', COACH: 'nnn', SAI_ADMIN: 'yyy' }
+};
+
+// Every route of each protected router and the action it must declare
+const ROUTERS = [
+  {
+    mount: '/api/sessions',
+    file: './routes/sessions',
+    routes: {
+      'POST /add': 'sessions.create',
+      'GET /athlete/:athleteName': 'sessions.read',
+      'GET /user/:userId': 'sessions.read',
+      'GET /all-athletes': 'sessions.listAthletes',
+      'GET /:sessionId': 'sessions.read',
+      'GET /:sessionId/reps': 'sessions.read',
+      'POST /:sessionId/keypoints': 'sessions.update',
+      'GET /:sessionId/keypoints': 'sessions.read',
+      'GET /:sessionId/report.pdf': 'sessions.read',
+      'DELETE /:sessionId': 'sessions.delete'
+    }
+  },
+  {
+    mount: '/api/users',
+    file: './routes/users',
+    routes: {
+      'POST /profile': 'profile.write',
+      'PATCH /profile/:userId': 'profile.write',
+      'GET /profile/:userId': 'profile.read',
+      'GET /all': 'users.listAll',
+      'GET /coaches': 'users.browse',
+      'GET /athletes': 'users.browse',
+      'GET /discover': 'connections.read',
+      'GET /:userId': 'profile.read',
+      'GET /:userId/stats': 'sessions.read',
+      'POST /:userId/skills': 'profile.write'
+    }
+  },
+  {
+    mount: '/api/connections',
+    file: './routes/connections',
+    routes: {
+      'GET /:userId': 'connections.read',
+      'GET /requests/pending/:userId': 'connections.read',
+      'GET /requests/sent/:userId': 'connections.read',
+      'POST /request': 'connections.request',
+      'POST /request/:requestId/accept': 'connections.respond',
+      'POST /request/:requestId/reject': 'connections.respond',
+      'GET /status/:userId1/:userId2': 'connections.read'
+    }
+  },
+  {
+    mount: '/api/batches',
+    file: './routes/batches',
+    routes: {
+      'POST /': 'batches.manage',
+      'GET /:batchId': 'batches.read'
+    }
+  },
+  {
+    mount: '/api/jobs',
+    file: './routes/jobs',
+    routes: {
+      'GET /:jobId': 'analyses.read',
+      'DELETE /:jobId': 'analyses.cancel'
+    }
+  },
+  {
+    mount: '/api',
+    file: './routes/media',
+    routes: {
+      'GET /frames/:outputId': 'media.read',
+      'GET /frame/:outputId/:filename': 'media.read',
+      'GET /video/:outputId/:filename': 'media.read',
+      'GET /hls/:outputId/:filename': 'media.read',
+      'GET /hls/:outputId/:rendition/:filename': 'media.read',
+      'GET /clip/:outputId/:filename': 'media.read',
+      'GET /preview/:outputId/:filename': 'media.read'
+    }
+  },
+  {
+    mount: '/api/admin',
+    file: './routes/admin',
+    routes: {
+      'GET /storage': 'admin.access',
+      'POST /storage/sweep': 'admin.access',
+      'POST /reanalyze': 'admin.access',
+      'GET /reanalyze/:sessionId/:jobId': 'admin.access'
+    }
+  },
+  {
+    mount: '/api/db',
+    file: './db-utils',
+    routes: {
+      'GET /health': 'db.access',
+      'GET /stats': 'db.access',
+      'GET /users': 'db.access',
+      'GET /sessions': 'db.access',
+      'GET /sessions/:id': 'db.access',
+      'GET /reps': 'db.access',
+      'GET /athletes': 'db.access'
+    }
+  }
+];
+
+// Routes server.js defines itself; null means requireAuth only because the route hands the
+// request to a router route that checks the action
+const SERVER_ROUTES = {
+  'GET /api/analyzers': 'admin.access',
+  'POST /api/process-video': 'videos.analyze',
+  'GET /api/process-video/:outputId/events': 'analyses.read',
+  'POST /api/uploads': 'videos.analyze',
+  'GET /api/uploads/:uploadId': 'uploads.write',
+  'PUT /api/uploads/:uploadId/chunks/:index': 'uploads.write',
+  'POST /api/uploads/:uploadId/complete': 'uploads.write',
+  'POST /api/start-live-recording': 'videos.analyze',
+  'GET /api/results/:outputId': 'analyses.read',
+  'GET /api/results/:outputId/keypoints': 'analyses.read',
+  'POST /api/save-workout': null
+};
+
+// Open to everyone: status endpoints, login/signup (auth guards its own routes) and the activity catalog
+const PUBLIC_ROUTES = ['GET /', 'GET /api/health', 'GET /api/test'];
+const PUBLIC_MOUNTS = ['/api/auth', '/api/activities'];
+
+let failures = 0;
+let checks = 0;
+
+function check(ok, message) {
+  checks++;
+  if (!ok) {
+    failures++;
+    console.log(`   ❌ ${message}`);
+  }
+}
+
+function checkDecisions() {
+  console.log('🧪 Policy decisions');
+  const relations = [
+    ['self', user => ({ targetUserId: user.userId, linked: false })],
+    ['linked', () => ({ targetUserId: 'athlete_linked', linked: true })],
+    ['other', () => ({ targetUserId: 'athlete_other', linked: false })]
+  ];
+
+  Object.keys(POLICY).forEach((action) => {
+    check(DECISIONS[action], `${action} is missing from the expected decisions`);
+  });
+
+  Object.entries(DECISIONS).forEach(([action, byRole]) => {
+    check(POLICY[action], `${action} is not in POLICY`);
+    ROLES.forEach((role) => {
+      const user = { userId: `${role.toLowerCase()}_me`, role };
+      relations.forEach(([relation, facts], i) => {
+        const expected = byRole[role][i] === 'y';
+        const decision = decide(action, user, facts(user));
+        check(decision.allowed === expected,
+          `${role} ${action} (${relation}): expected ${expected ? 'allow' : 'deny'}, got ${decision.allowed ? 'allow' : 'deny'}`);
+        check(decision.allowed || typeof decision.reason === 'string',
+          `${role} ${action} (${relation}): denial without a reason`);
+      });
+    });
+  });
+
+  // Unknown roles, missing users and unresolved targets are denied
+  check(!decide('profile.read', { userId: 'x', role: 'GUEST' }).allowed, 'unknown role is allowed');
+  check(!decide('profile.read', null).allowed, 'missing user is allowed');
+  check(!decide('profile.write', { userId: 'x', role: 'ATHLETE' }, { targetUserId: null }).allowed, 'self rule passes without a target');
+  check(!decide('no.such.action', { userId: 'x', role: 'SAI_ADMIN' }).allowed, 'unknown action is allowed');
+}
+
+function routePermissions(router) {
+  const routes = {};
+  let routerLevel = null;
+  router.stack.forEach((layer) => {
+    if (!layer.route) {
+      if (layer.handle.permission) routerLevel = layer.handle.permission;
+      return;
+    }
+    const own = layer.route.stack.map(entry => entry.handle.permission).filter(Boolean);
+    Object.keys(layer.route.methods).forEach((method) => {
+      routes[`${method.toUpperCase()} ${layer.route.path}`] = own.length > 0 ? own : (routerLevel ? [routerLevel] : []);
+    });
+  });
+  return routes;
+}
+
+function checkRoutes() {
+  console.log('🧪 Route permissions');
+  ROUTERS.forEach(({ mount, file, routes: expected }) => {
+    const actual = routePermissions(require(file));
+
+    Object.entries(actual).forEach(([route, permissions]) => {
+      check(expected[route], `${mount} ${route} has no expected permission in this test`);
+      check(permissions.length === 1, `${mount} ${route} declares ${permissions.length} permissions`);
+      if (expected[route]) {
+        check(permissions[0] === expected[route], `${mount} ${route} uses ${permissions[0]}, expected ${expected[route]}`);
+      }
+    });
+    Object.keys(expected).forEach((route) => {
+      check(actual[route], `${mount} ${route} does not exist`);
+    });
+  });
+}
+
+function checkMounts() {
+  console.log('🧪 Router mounts');
+  const server = fs.readFileSync(path.join(__dirname, 'server.js'), 'utf8');
+  ROUTERS.forEach(({ mount }) => {
+    const mounted = new RegExp(`app\\.use\\('${mount.replace(/\//g, '\\/')}', requireAuth,`).test(server);
+    check(mounted, `${mount} is not mounted behind requireAuth`);
+  });
+}
+
+function checkServerRoutes() {
+  console.log('🧪 Server routes');
+  const server = fs.readFileSync(path.join(__dirname, 'server.js'), 'utf8');
+
+  const seen = new Set();
+  const routePattern = /app\.(get|post|put|patch|delete)\(\s*'([^']+)',([\s\S]*?)(?:async\s*)?\(req, res\)/g;
+  for (const [, method, routePath, middleware] of server.matchAll(routePattern)) {
+    const route = `${method.toUpperCase()} ${routePath}`;
+    seen.add(route);
+    if (PUBLIC_ROUTES.includes(route)) continue;
+
+    check(route in SERVER_ROUTES, `${route} has no expected permission in this test`);
+    if (!(route in SERVER_ROUTES)) continue;
+
+    const permissions = [...middleware.matchAll(/permit\('([\w.]+)'/g)].map(match => match[1]);
+    check(/^\s*requireAuth,/.test(middleware), `${route} does not start with requireAuth`);
+    const expected = SERVER_ROUTES[route] ? [SERVER_ROUTES[route]] : [];
+    check(permissions.join() === expected.join(),
+      `${route} declares ${permissions.join(', ') || 'no permission'}, expected ${expected.join(', ') || 'none'}`);
+  }
+  Object.keys(SERVER_ROUTES).forEach((route) => {
+    check(seen.has(route), `${route} does not exist in server.js`);
+  });
+
+  const mounts = [...server.matchAll(/app\.use\('([^']+)'/g)].map(match => match[1]);
+  mounts.forEach((mount) => {
+    check(PUBLIC_MOUNTS.includes(mount) || ROUTERS.some(router => router.mount === mount),
+      `${mount} is mounted but not covered by this test`);
+  });
+
+  // The live WebSocket authenticates in verifyClient instead of Express middleware
+  const { authenticateUpgrade } = require('./utils/liveSessions');
+  check(authenticateUpgrade.permission === 'videos.analyze',
+    `the live WebSocket uses ${authenticateUpgrade.permission}, expected videos.analyze`);
+}
+
+// The middleware itself, with targets that need no database
+async function checkMiddleware() {
+  console.log('🧪 Middleware responses');
+  const run = async (middleware, req) => {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      }
+    };
+    let passed = false;
+    await middleware({ params: {}, query: {}, body: {}, ...req }, res, () => {
+      passed = true;
+    });
+    return { passed, res };
+  };
+
+  const athlete = { userId: 'athlete_me', role: 'ATHLETE' };
+  const editProfile = permit('profile.write', targets.param('userId'));
+
+  let result = await run(editProfile, { user: athlete, params: { userId: 'athlete_me' } });
+  check(result.passed, 'athlete editing own profile is blocked');
+
+  result = await run(editProfile, { user: athlete, params: { userId: 'athlete_other' } });
+  check(!result.passed && result.res.statusCode === 403, 'athlete editing another profile is not a 403');
+  check(result.res.body && result.res.body.reason, '403 carries no reason');
+
+  result = await run(permit('users.listAll'), { user: { userId: 'coach_me', role: 'COACH' } });
+  check(!result.passed && result.res.statusCode === 403, 'coach listing all users is not a 403');
+
+  result = await run(permit('users.listAll'), { user: { userId: 'admin_me', role: 'SAI_ADMIN' } });
+  check(result.passed, 'admin listing all users is blocked');
+
+  result = await run(permit('connections.read', targets.connectionPair), {
+    user: athlete,
+    params: { userId1: 'coach_x', userId2: 'athlete_me' }
+  });
+  check(result.passed, 'athlete checking own connection status is blocked');
+}
+
+(async () => {
+  checkDecisions();
+  checkRoutes();
+  checkMounts();
+  checkServerRoutes();
+  await checkMiddleware();
+
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} of ${checks} permission checks failed`);
+    process.exit(1);
+  }
+  console.log(`\n✅ All ${checks} permission checks passed`);
+  process.exit(0);
+})();
@@ -0,0 +1,107 @@
+// One-time account tokens for TalentTrack: password reset and email verification
+// The token is only ever sent by mail; account_tokens keeps its SHA-256 with the
+// purpose, an expiry and usedAt. A token works once, before it expires, and
+// requesting a new one invalidates the earlier ones of the same purpose.
+const crypto = require('crypto');
+const { getDB } = require('../db');
+const { sendMail } = require('./mailer');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const PURPOSES = {
+  passwordReset: {
+    id: 'password_reset',
+    ttlMs: (parseInt(process.env.PASSWORD_RESET_TTL_MIN) || 30) * 60 * 1000
+  },
+  emailVerification: {
+    id: 'email_verification',
+    ttlMs: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000
+  }
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+async function createAccountToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const tokens = getDB().collection('account_tokens');
+  const now = new Date();
+
+  await tokens.updateMany(
+    { userId, purpose: purpose.id, usedAt: null },
+    { $set: { usedAt: now, supersededAt: now } }
+  );
+  await tokens.insertOne({
+    tokenHash: hashToken(token),
+    userId,
+    purpose: purpose.id,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + purpose.ttlMs),
+    usedAt: null
+  });
+
+  return token;
+}
+
+/**
+ * Use up a token
+ * @param {string} token - Token from the mail link
+ * @param {object} purpose - PURPOSES entry
+ * @returns {Promise<string|null>} - userId, or null if the token is unknown, used or expired
+ */
+async function consumeAccountToken(token, purpose) {
+  if (!token) return null;
+
+  // Marking it used in the same step makes a second request with the same token fail
+  const now = new Date();
+  const claimed = await getDB().collection('account_tokens').findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose: purpose.id, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+  return claimed ? claimed.userId : null;
+}
+
+/**
+ * Mail a password reset link
+ * @param {object} user - users document
+ */
+async function sendPasswordResetMail(user) {
+  const token = await createAccountToken(user.userId, PURPOSES.passwordReset);
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  const minutes = Math.round(PURPOSES.passwordReset.ttlMs / 60000);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your TalentTrack password',
+    text: `Hi ${user.name || ''},\n\nUse this link to choose a new password. It works once and expires in ${minutes} minutes:\n${link}\n\nIf you didn't ask for this, you can ignore this mail.`,
+    html: `<p>Hi ${escapeHtml(user.name || '')},</p><p>Use this link to choose a new password. It works once and expires in ${minutes} minutes:</p><p><a href="${link}">Reset password</a></p><p>If you didn't ask for this, you can ignore this mail.</p>`
+  });
+}
+
+/**
+ * Mail an email verification link
+ * @param {object} user - users document
+ */
+async function sendVerificationMail(user) {
+  const token = await createAccountToken(user.userId, PURPOSES.emailVerification);
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your TalentTrack email',
+    text: `Hi ${user.name || ''},\n\nPlease confirm this is your email address:\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.name || '')},</p><p>Please confirm this is your email address:</p><p><a href="${link}">Confirm email</a></p>`
+  });
+}
+
+module.exports = {
+  PURPOSES,
+  consumeAccountToken,
+  sendPasswordResetMail,
+  sendVerificationMail
+};
@@ -0,0 +1,156 @@
+// Activity Registry for TalentTrack
+// Activities are declared as JSON files in config/activities/ and can be
+// added or overridden by documents in the activities MongoDB collection.
+// Each entry:
+//   { id, displayName, aliases, scripts: { video: { file, contract }, live: { file, contract } },
+//     csvColumns, metricColumn, repTimeColumns, primaryMetric: 'reps' | 'height' | 'seconds' | 'distance',
+//     unit, timeoutSec, inputLimits }
+// repTimeColumns names the CSV columns (in seconds) that bound each rep, e.g. ["down_time", "up_time"].
+// inputLimits overrides the upload checks in utils/videoPreflight.js (e.g. { "maxDurationSec": 300 }).
+const fs = require('fs-extra');
+const path = require('path');
+const { getDB } = require('../db');
+const { registerAnalyzer } = require('./analyzers');
+
+const ACTIVITIES_DIR = path.join(__dirname, '..', 'config', 'activities');
+const PRIMARY_METRICS = ['reps', 'height', 'seconds', 'distance'];
+
+const activities = new Map();
+let lookup = new Map();
+
+function normalizeKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+function validateActivity(entry, source) {
+  const problems = [];
+  if (!entry.id) problems.push('id is required');
+  if (!entry.displayName) problems.push('displayName is required');
+  if (!entry.scripts || !entry.scripts.video || !entry.scripts.video.file) {
+    problems.push('scripts.video.file is required');
+  }
+  if (!PRIMARY_METRICS.includes(entry.primaryMetric)) {
+    problems.push(`primaryMetric must be one of ${PRIMARY_METRICS.join(', ')}`);
+  }
+  if (!entry.unit) problems.push('unit is required');
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid activity in ${source}: ${problems.join('; ')}`);
+  }
+}
+
+function addActivity(entry, source) {
+  validateActivity(entry, source);
+
+  const activity = {
+    id: entry.id,
+    displayName: entry.displayName,
+    aliases: entry.aliases || [],
+    scripts: entry.scripts,
+    csvColumns: entry.csvColumns || [],
+    metricColumn: entry.metricColumn || null,
+    repTimeColumns: entry.repTimeColumns || [],
+    primaryMetric: entry.primaryMetric,
+    unit: entry.unit,
+    timeoutSec: entry.timeoutSec || null,
+    inputLimits: entry.inputLimits || null
+  };
+
+  activities.set(activity.id, activity);
+
+  Object.entries(activity.scripts).forEach(([kind, script]) => {
+    registerAnalyzer(script.file, { kind, contract: !!script.contract });
+  });
+}
+
+// Rebuild the name/alias index after activities change
+function rebuildLookup() {
+  lookup = new Map();
+  for (const activity of activities.values()) {
+    [activity.id, activity.displayName, ...activity.aliases]
+      .forEach(name => lookup.set(normalizeKey(name), activity));
+  }
+}
+
+/**
+ * Load activity definitions from config/activities/*.json
+ * @returns {number} - Number of activities loaded
+ */
+function loadActivitiesFromConfig() {
+  const files = fs.existsSync(ACTIVITIES_DIR)
+    ? fs.readdirSync(ACTIVITIES_DIR).filter(file => file.endsWith('.json')).sort()
+    : [];
+
+  files.forEach(file => addActivity(fs.readJsonSync(path.join(ACTIVITIES_DIR, file)), file));
+  rebuildLookup();
+
+  return files.length;
+}
+
+/**
+ * Load activity definitions from the activities collection.
+ * Documents with the same id as a config file replace it.
+ * @returns {Promise<number>} - Number of activities loaded
+ */
+async function loadActivitiesFromDB() {
+  const docs = await getDB().collection('activities').find({}).toArray();
+
+  docs.forEach(doc => {
+    try {
+      addActivity(doc, `activities collection (${doc._id})`);
+    } catch (error) {
+      console.warn('⚠️', error.message);
+    }
+  });
+  rebuildLookup();
+
+  if (docs.length > 0) {
+    console.log(`✅ Loaded ${docs.length} activities from MongoDB`);
+  }
+  return docs.length;
+}
+
+/**
+ * Find an activity by id, display name or alias (case-insensitive)
+ * @param {string} name - Activity name as sent by the client
+ * @returns {object|null} - Activity entry or null if unknown
+ */
+function getActivity(name) {
+  if (!name) return null;
+  return lookup.get(normalizeKey(name)) || null;
+}
+
+/**
+ * Work out which activity produced an output directory from its outputId
+ * (`<timestamp>_<Display_Name>` or `live_<timestamp>_<Display_Name>`)
+ * @param {string} outputId - Output directory name
+ * @returns {object|null} - Activity entry or null if none matches
+ */
+function getActivityForOutputId(outputId) {
+  const suffix = String(outputId).replace(/^(live_)?\d+_/, '');
+  for (const activity of activities.values()) {
+    if (activity.displayName.replace(/[^a-zA-Z0-9]/g, '_') === suffix) {
+      return activity;
+    }
+  }
+  return null;
+}
+
+/**
+ * List all registered activities
+ * @returns {object[]} - Activity entries sorted by display name
+ */
+function listActivities() {
+  return Array.from(activities.values())
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+loadActivitiesFromConfig();
+
+module.exports = {
+  PRIMARY_METRICS,
+  getActivity,
+  getActivityForOutputId,
+  listActivities,
+  loadActivitiesFromDB
+};
@@ -0,0 +1,293 @@
+// Analyzer Script Registry for TalentTrack
+// Declares how each Talent Track Python script is invoked.
+//
+// Analyzer contract: a script that supports it natively accepts
+//   --input <video path>  --output-dir <dir>  --headless
+// and the same values through TALENTTRACK_INPUT, TALENTTRACK_OUTPUT_DIR and
+// TALENTTRACK_HEADLESS. It writes its CSV and *_annotated.mp4 into the output
+// directory. Live scripts get --input - and read raw bgr24 frames from stdin
+// (size and rate in TALENTTRACK_FRAME_WIDTH/HEIGHT/FPS), printing rep lines
+// as they go. Scripts registered with contract: false still go through the
+// legacy regex patcher until they are updated; for live scripts it replaces the
+// webcam (cv2.VideoCapture(0)) with the same stdin frames. Scripts and their contract
+// flag are declared per activity in config/activities/*.json.
+// Scripts that track pose landmarks may also write per-frame keypoints to the
+// path in TALENTTRACK_KEYPOINTS (JSON Lines, see utils/keypoints.js).
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { CAMERA_CAPTURE_PATTERN, readsCamera, createModifiedScript, createModifiedLiveScript } = require('./legacyScriptPatcher');
+const { getKeypointsTarget } = require('./keypoints');
+
+const PYTHON_BIN = process.env.PYTHON_BIN || 'python';
+
+// Folders searched for scripts, in order
+const SCRIPT_DIRS = [
+  path.join(__dirname, '..', '..', 'Talent Track py scripts'),
+  path.join(__dirname, '..', '..', 'scripts')
+];
+
+// Filled from the activity registry - see config/activities/*.json
+const analyzerScripts = {};
+
+// Source fragments the legacy patcher rewrites - if one is missing the patch silently does nothing
+const LEGACY_ANCHORS = {
+  video: [
+    { pattern: /video_path = filedialog\.askopenfilename\(/, problem: 'no filedialog video_path assignment to replace' },
+    { pattern: /output_folder = filename/, problem: 'no "output_folder = filename" line to redirect output' }
+  ],
+  live: [
+    { pattern: /output_folder = filename/, problem: 'no "output_folder = filename" line to redirect output' },
+    { pattern: new RegExp(CAMERA_CAPTURE_PATTERN.source), problem: 'no cv2.VideoCapture(0) to replace with the streamed frames' }
+  ]
+};
+
+// Printed by the interpreter during the self-check; missing packages come back as null
+const VERSIONS_SNIPPET = [
+  'import json, platform',
+  'def version(name):',
+  '    try:',
+  '        return __import__(name).__version__',
+  '    except Exception:',
+  '        return None',
+  "print(json.dumps({'python': platform.python_version(), 'opencv': version('cv2'), 'mediapipe': version('mediapipe'), 'numpy': version('numpy')}))"
+].join('\n');
+
+let lastSelfCheck = null;
+
+// scriptPath -> { mtimeMs, size, version } so unchanged scripts aren't re-hashed
+const versionCache = new Map();
+
+/**
+ * Register a script with the analyzer registry
+ * @param {string} scriptName - Script file name (e.g. pushup_video.py)
+ * @param {object} entry - { kind: 'video' | 'live', contract: boolean }
+ */
+function registerAnalyzer(scriptName, entry) {
+  analyzerScripts[scriptName] = { kind: entry.kind, contract: !!entry.contract };
+}
+
+/**
+ * Get the registry entry for a script
+ * @param {string} scriptName - Script file name (e.g. pushup_video.py)
+ * @returns {object|null} - { kind, contract } or null if not registered
+ */
+function getAnalyzer(scriptName) {
+  return analyzerScripts[scriptName] || null;
+}
+
+/**
+ * Find a script on disk
+ * @param {string} scriptName - Script file name
+ * @returns {string|null} - Absolute path, or null if not found
+ */
+function resolveScriptPath(scriptName) {
+  for (const dir of SCRIPT_DIRS) {
+    const scriptPath = path.join(dir, scriptName);
+    if (fs.existsSync(scriptPath)) {
+      return scriptPath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a live script can analyze a stream as it arrives: contract scripts read
+ * frames from stdin, legacy ones once their webcam capture is patched to do so
+ * @param {string} scriptPath - Absolute script path
+ * @returns {boolean}
+ */
+function acceptsFrameStream(scriptPath) {
+  const analyzer = getAnalyzer(path.basename(scriptPath));
+  if (!analyzer) return false;
+  return analyzer.contract || readsCamera(scriptPath);
+}
+
+/**
+ * Version of a script: SHA-256 of its contents (first 16 hex chars).
+ * Changes whenever the file is edited, which invalidates cached analyses.
+ * @param {string} scriptPath - Absolute script path
+ * @returns {string} - Short content hash
+ */
+function getScriptVersion(scriptPath) {
+  const stat = fs.statSync(scriptPath);
+  const cached = versionCache.get(scriptPath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.version;
+  }
+
+  const version = crypto.createHash('sha256')
+    .update(fs.readFileSync(scriptPath))
+    .digest('hex')
+    .substring(0, 16);
+  versionCache.set(scriptPath, { mtimeMs: stat.mtimeMs, size: stat.size, version });
+  return version;
+}
+
+/**
+ * Build the python command line and environment for a run
+ * @param {object} options - { scriptPath, outputDir, videoPath, live, extraEnv }
+ *   videoPath '-' tells a contract script to read raw frames from stdin
+ * @returns {{ args: string[], env: object, tempScriptPath: string|null, contract: boolean }}
+ */
+function buildInvocation({ scriptPath, outputDir, videoPath = null, live = false, extraEnv = {} }) {
+  const analyzer = getAnalyzer(path.basename(scriptPath));
+  const contract = !!(analyzer && analyzer.contract);
+
+  const env = {
+    ...process.env,
+    TALENTTRACK_OUTPUT_DIR: outputDir,
+    TALENTTRACK_OUTPUT_ID: path.basename(outputDir),
+    TALENTTRACK_HEADLESS: '1',
+    TALENTTRACK_KEYPOINTS: getKeypointsTarget(outputDir),
+    ...extraEnv
+  };
+  if (videoPath) {
+    env.TALENTTRACK_INPUT = videoPath;
+  }
+
+  if (contract) {
+    const args = [scriptPath, '--output-dir', outputDir, '--headless'];
+    if (videoPath) {
+      args.push('--input', videoPath);
+    }
+    return { args, env, tempScriptPath: null, contract };
+  }
+
+  // Legacy script - write a patched copy into the output directory
+  const tempScriptPath = path.join(outputDir, live ? 'temp_live_script.py' : 'temp_script.py');
+  const patched = live
+    ? createModifiedLiveScript(scriptPath, outputDir)
+    : createModifiedScript(scriptPath, videoPath, outputDir);
+  fs.writeFileSync(tempScriptPath, patched);
+
+  return { args: [tempScriptPath], env, tempScriptPath, contract };
+}
+
+function checkPython() {
+  const result = spawnSync(PYTHON_BIN, ['--version'], { encoding: 'utf8', timeout: 10000 });
+  if (result.error || result.status !== 0) {
+    return { available: false, bin: PYTHON_BIN, error: result.error ? result.error.message : result.stderr };
+  }
+  return {
+    available: true,
+    bin: PYTHON_BIN,
+    version: (result.stdout || result.stderr).trim(),
+    packages: checkPackages()
+  };
+}
+
+function checkPackages() {
+  const result = spawnSync(PYTHON_BIN, ['-c', VERSIONS_SNIPPET], { encoding: 'utf8', timeout: 30000 });
+  if (result.error || result.status !== 0) {
+    return null;
+  }
+  try {
+    return JSON.parse(result.stdout.trim().split('\n').pop());
+  } catch (error) {
+    return null;
+  }
+}
+
+function checkScript(scriptName, analyzer, pythonAvailable) {
+  const scriptPath = resolveScriptPath(scriptName);
+  const report = {
+    script: scriptName,
+    kind: analyzer.kind,
+    mode: analyzer.contract ? 'contract' : 'legacy',
+    path: scriptPath,
+    invocable: false,
+    problems: []
+  };
+
+  if (!scriptPath) {
+    report.problems.push('script file not found');
+    return report;
+  }
+
+  const source = fs.readFileSync(scriptPath, 'utf8');
+  if (analyzer.contract) {
+    ['--input', '--output-dir', '--headless']
+      .filter(flag => !source.includes(flag))
+      .forEach(flag => report.problems.push(`registered as contract script but never mentions ${flag}`));
+  } else {
+    (LEGACY_ANCHORS[analyzer.kind] || [])
+      .filter(anchor => !anchor.pattern.test(source))
+      .forEach(anchor => report.problems.push(`legacy patch anchor missing: ${anchor.problem}`));
+  }
+
+  if (!pythonAvailable) {
+    report.problems.push(`python interpreter "${PYTHON_BIN}" not available`);
+  }
+
+  report.invocable = report.problems.length === 0;
+  return report;
+}
+
+/**
+ * Check every registered script can be invoked and log a summary
+ * @returns {object} - { python, scripts: [...], checkedAt }
+ */
+function runSelfCheck() {
+  const python = checkPython();
+  const scripts = Object.entries(analyzerScripts)
+    .map(([scriptName, analyzer]) => checkScript(scriptName, analyzer, python.available));
+
+  lastSelfCheck = { python, scripts, checkedAt: new Date().toISOString() };
+
+  const ok = scripts.filter(s => s.invocable).length;
+  console.log(`🐍 Analyzer self-check: ${ok}/${scripts.length} scripts invocable (${python.available ? python.version : 'python missing'})`);
+  scripts
+    .filter(s => !s.invocable)
+    .forEach(s => console.warn(`⚠️  ${s.script} [${s.mode}]: ${s.problems.join('; ')}`));
+
+  return lastSelfCheck;
+}
+
+/**
+ * Get the most recent self-check report, running one if needed
+ * @returns {object} - Self-check report
+ */
+function getSelfCheck() {
+  return lastSelfCheck || runSelfCheck();
+}
+
+/**
+ * Describe the analyzer a run used, for storing next to its results
+ * @param {string} scriptPath - Absolute script path
+ * @param {object} parameters - Settings the run was made with (timeouts, normalization, ...)
+ * @returns {object} - { script, scriptVersion, mode, runtime, parameters }
+ */
+function describeAnalyzer(scriptPath, parameters = {}) {
+  const scriptName = path.basename(scriptPath);
+  const analyzer = getAnalyzer(scriptName);
+  const { python } = getSelfCheck();
+  const packages = python.packages || {};
+
+  return {
+    script: scriptName,
+    scriptVersion: getScriptVersion(scriptPath),
+    mode: analyzer && analyzer.contract ? 'contract' : 'legacy',
+    runtime: {
+      python: packages.python || null,
+      opencv: packages.opencv || null,
+      mediapipe: packages.mediapipe || null,
+      numpy: packages.numpy || null
+    },
+    parameters
+  };
+}
+
+module.exports = {
+  PYTHON_BIN,
+  registerAnalyzer,
+  getAnalyzer,
+  resolveScriptPath,
+  acceptsFrameStream,
+  getScriptVersion,
+  buildInvocation,
+  describeAnalyzer,
+  runSelfCheck,
+  getSelfCheck
+};
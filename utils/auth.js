@@ -0,0 +1,268 @@
+// Token authentication for TalentTrack
+// Login hands out a short-lived access token and a long-lived refresh token.
+// - Access tokens are HS256 JWTs signed with AUTH_TOKEN_SECRET and checked
+//   statelessly by requireAuth, which attaches req.user.
+// - Refresh tokens are random strings; only their SHA-256 is stored, in
+//   refresh_tokens. Each one is single-use: /api/auth/refresh marks it rotated and
+//   issues a new pair in the same family. Presenting a rotated token again means
+//   it was copied, so the whole family is revoked.
+const crypto = require('crypto');
+const { getDB } = require('../db');
+
+const ACCESS_TOKEN_TTL_SEC = parseInt(process.env.ACCESS_TOKEN_TTL_SEC) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Placeholder values that are known to everyone who has seen .env.example
+const EXAMPLE_SECRETS = ['change-me-to-a-long-random-string'];
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Why AUTH_TOKEN_SECRET can't be used to sign tokens; the server refuses to start then
+ * @returns {string|null} - The problem, or null when the secret is fine
+ */
+function tokenSecretProblem() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret) return 'AUTH_TOKEN_SECRET is not set';
+  if (EXAMPLE_SECRETS.includes(secret)) return 'AUTH_TOKEN_SECRET is still the example value';
+  if (secret.length < MIN_SECRET_LENGTH) return `AUTH_TOKEN_SECRET must be at least ${MIN_SECRET_LENGTH} characters`;
+  return null;
+}
+
+// Scripts and tests that load this module without starting the server get a random secret
+let TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET;
+if (tokenSecretProblem()) {
+  TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create a signed access token for a user
+ * @param {object} user - users document
+ * @returns {string} - JWT
+ */
+function createAccessToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({
+    sub: user.userId,
+    role: user.role,
+    email: user.email,
+    name: user.name,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SEC
+  })}`;
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Check an access token's signature and expiry
+ * @param {string} token - JWT from the Authorization header
+ * @returns {object} - Claims ({ sub, role, email, name, iat, exp })
+ */
+function verifyAccessToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw authError(401, 'Malformed access token');
+
+  const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+  const given = Buffer.from(parts[2]);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw authError(401, 'Invalid access token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (error) {
+    throw authError(401, 'Malformed access token');
+  }
+  if (header.alg !== 'HS256' || !claims.sub) throw authError(401, 'Invalid access token');
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) throw authError(401, 'Access token expired');
+  return claims;
+}
+
+/**
+ * Issue an access token and a new refresh token
+ * @param {object} user - users document
+ * @param {string} familyId - Refresh token family to continue (omit to start a new login)
+ * @returns {Promise<object>} - { accessToken, refreshToken, tokenType, expiresIn }
+ */
+async function issueTokens(user, familyId = null) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await getDB().collection('refresh_tokens').insertOne({
+    tokenHash: hashToken(refreshToken),
+    userId: user.userId,
+    familyId: familyId || crypto.randomUUID(),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    rotatedAt: null,
+    revokedAt: null
+  });
+
+  return {
+    accessToken: createAccessToken(user),
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SEC
+  };
+}
+
+async function revokeFamily(familyId) {
+  await getDB().collection('refresh_tokens').updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+/**
+ * Exchange a refresh token for a new token pair; the old refresh token stops working
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<object>} - { tokens, user }
+ */
+async function rotateRefreshToken(refreshToken) {
+  const db = getDB();
+  const tokenHash = hashToken(refreshToken);
+  const stored = await db.collection('refresh_tokens').findOne({ tokenHash });
+
+  if (!stored || stored.revokedAt || stored.expiresAt <= new Date()) {
+    throw authError(401, 'Invalid or expired refresh token');
+  }
+  if (stored.rotatedAt) {
+    console.warn('⚠️ Refresh token reused - revoking token family of:', stored.userId);
+    await revokeFamily(stored.familyId);
+    throw authError(401, 'Refresh token already used');
+  }
+
+  // Claim the token so two concurrent refreshes can't both succeed
+  const claimed = await db.collection('refresh_tokens').updateOne(
+    { tokenHash, rotatedAt: null, revokedAt: null },
+    { $set: { rotatedAt: new Date() } }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw authError(401, 'Refresh token already used');
+  }
+
+  const user = await db.collection('users').findOne({ userId: stored.userId });
+  if (!user) {
+    await revokeFamily(stored.familyId);
+    throw authError(401, 'Account no longer exists');
+  }
+
+  return { tokens: await issueTokens(user, stored.familyId), user };
+}
+
+/**
+ * Log out one device: revoke the refresh token's family. Unknown tokens are ignored.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<boolean>} - Whether a token was found
+ */
+async function revokeRefreshToken(refreshToken) {
+  const stored = await getDB().collection('refresh_tokens').findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) return false;
+  await revokeFamily(stored.familyId);
+  return true;
+}
+
+/**
+ * Log out every device of a user
+ * @param {string} userId - User ID
+ */
+async function revokeUserTokens(userId) {
+  await getDB().collection('refresh_tokens').updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+// GET requests may pass the token as ?access_token= instead - <video>, <img> and
+// EventSource can't set headers
+function requestToken(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  const queryToken = ['GET', 'HEAD'].includes(req.method) && req.query && req.query.access_token;
+  return typeof queryToken === 'string' && queryToken ? queryToken : null;
+}
+
+/**
+ * Express middleware: require "Authorization: Bearer <access token>" (or ?access_token=
+ * on GET requests) and attach req.user = { userId, role, email, name }
+ */
+function requireAuth(req, res, next) {
+  const token = requestToken(req);
+  if (!token) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const claims = verifyAccessToken(token);
+    req.user = { userId: claims.sub, role: claims.role, email: claims.email, name: claims.name };
+    next();
+  } catch (err) {
+    res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+    res.status(401).json({
+      success: false,
+      error: err.message
+    });
+  }
+}
+
+/**
+ * Express middleware for actions that need a confirmed email address (after requireAuth).
+ * Read from the database so a verification counts straight away, not only after the next refresh.
+ */
+async function requireVerifiedEmail(req, res, next) {
+  try {
+    const user = await getDB().collection('users').findOne(
+      { userId: req.user.userId },
+      { projection: { emailVerified: 1 } }
+    );
+    if (user && user.emailVerified === true) return next();
+
+    res.status(403).json({
+      success: false,
+      error: 'Email not verified',
+      reason: 'Confirm your email address first (POST /api/auth/resend-verification sends a new link)'
+    });
+  } catch (err) {
+    console.error('❌ Error checking email verification:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Error checking email verification',
+      details: err.message
+    });
+  }
+}
+
+module.exports = {
+  tokenSecretProblem,
+  issueTokens,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+  requireAuth,
+  requireVerifiedEmail
+};
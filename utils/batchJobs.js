@@ -0,0 +1,588 @@
+// Batch video processing for TalentTrack
+// A coach uploads many videos at once - as separate files or one ZIP - with a
+// manifest mapping each file to an athlete and activity:
+//   [{ "file": "ravi.mp4", "athleteId": "u123", "activityName": "Push-ups" }, ...]
+// (or manifest.csv with file,athleteId,activityName columns). Every file is
+// queued as a normal processing job tagged with its batch, and when a job
+// finishes its workout_sessions and rep_images records are saved through
+// saveWorkoutSession, the same way POST /api/sessions/add saves them.
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const yauzl = require('yauzl');
+const { getDB } = require('../db');
+const { JOB_STATES, getJobs, onJobFinished } = require('./jobQueue');
+const progressEvents = require('./progressEvents');
+const { getActivity } = require('./activityRegistry');
+const { queueVideoJob } = require('./videoJobs');
+const { captureRepImages } = require('./previews');
+const { saveWorkoutSession } = require('./workoutSessions');
+const { authorize } = require('./permissions');
+const { FAILURE_REASONS } = require('./processControl');
+
+const MAX_BATCH_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 50;
+const MAX_ARCHIVE_BYTES = (parseInt(process.env.BATCH_MAX_ARCHIVE_MB) || 2048) * 1024 * 1024;
+const MAX_VIDEO_BYTES = 100 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const MANIFEST_NAMES = ['manifest.json', 'manifest.csv'];
+const VIDEO_EXTENSIONS = new Set(['.mp4', '.mov', '.m4v', '.webm', '.avi', '.mkv', '.3gp']);
+// createBatch renews this lease before each item it queues; items still without a job once it
+// has run out were left behind by a process that died while queueing
+const QUEUE_LEASE_MS = 5 * 60 * 1000;
+
+// Session state of an item once its job is queued
+const SESSION_STATES = {
+  PENDING: 'pending',
+  SAVING: 'saving',
+  SAVED: 'saved',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+let outputsRoot = null;
+let uploadsRoot = null;
+
+function batchesCollection() {
+  return getDB().collection('processing_batches');
+}
+
+function batchError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Set where batch videos wait to be processed and where their outputs land,
+ * and start saving sessions for finished batch jobs
+ * @param {object} dirs - { outputsDir, uploadsDir }
+ */
+function configureBatches({ outputsDir, uploadsDir }) {
+  outputsRoot = outputsDir;
+  uploadsRoot = uploadsDir;
+  onJobFinished((job) => (job && job.batchId ? finishItem(job) : null));
+}
+
+function storedName(fileName) {
+  return `${Date.now()}_${crypto.randomBytes(3).toString('hex')}_${fileName.replace(/[^\w.-]/g, '_')}`;
+}
+
+/**
+ * Where to store an uploaded batch file until it is queued
+ * @param {string} fileName - Original file name
+ * @returns {string} - Unique path in uploads/
+ */
+function batchUploadPath(fileName) {
+  return path.join(uploadsRoot, storedName(fileName));
+}
+
+// Copy one ZIP entry to disk, stopping if it turns out bigger than it claimed
+function extractEntry(zip, entry, targetPath, limit) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (err, stream) => {
+      if (err) return reject(err);
+
+      let bytes = 0;
+      const output = fs.createWriteStream(targetPath);
+      stream.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (bytes > limit) {
+          stream.destroy(batchError(413, `${entry.fileName} is larger than ${Math.round(limit / 1024 / 1024)}MB`));
+        }
+      });
+      stream.on('error', (error) => {
+        output.destroy();
+        reject(error);
+      });
+      output.on('error', reject);
+      output.on('finish', resolve);
+      stream.pipe(output);
+    });
+  });
+}
+
+/**
+ * Unpack the videos and manifest of a ZIP into uploads/. Folders inside the
+ * archive are ignored - files are matched to the manifest by name only.
+ * @param {string} archivePath - Uploaded ZIP
+ * @returns {Promise<object>} - { files: Map(name -> path), manifest: { name, text } | null }
+ */
+function extractArchive(archivePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true }, (err, zip) => {
+      if (err) return reject(batchError(400, 'Archive is not a valid ZIP file'));
+
+      const files = new Map();
+      let manifest = null;
+
+      const fail = async (error) => {
+        zip.close();
+        await Promise.all([...files.values()].map(filePath => fs.remove(filePath)));
+        reject(error.status ? error : batchError(400, `Could not read archive: ${error.message}`));
+      };
+
+      zip.on('entry', async (entry) => {
+        const name = path.posix.basename(entry.fileName);
+        const lowerName = name.toLowerCase();
+        const isDirectory = entry.fileName.endsWith('/');
+        const isManifest = MANIFEST_NAMES.includes(lowerName);
+        const isVideo = VIDEO_EXTENSIONS.has(path.extname(lowerName));
+
+        // Skip folders, macOS metadata and anything that is neither a video nor the manifest
+        if (isDirectory || name.startsWith('.') || entry.fileName.includes('__MACOSX') || (!isManifest && !isVideo)) {
+          return zip.readEntry();
+        }
+
+        try {
+          if (isManifest) {
+            if (entry.uncompressedSize > MAX_MANIFEST_BYTES) {
+              throw batchError(413, 'Manifest is too large');
+            }
+            const tempPath = batchUploadPath(name);
+            await extractEntry(zip, entry, tempPath, MAX_MANIFEST_BYTES);
+            manifest = { name: lowerName, text: await fs.readFile(tempPath, 'utf8') };
+            await fs.remove(tempPath);
+          } else {
+            if (files.has(name)) {
+              throw batchError(400, `Archive contains more than one file named ${name}`);
+            }
+            if (files.size >= MAX_BATCH_ITEMS) {
+              throw batchError(413, `Archive contains more than ${MAX_BATCH_ITEMS} videos`);
+            }
+            if (entry.uncompressedSize > MAX_VIDEO_BYTES) {
+              throw batchError(413, `${name} is larger than ${MAX_VIDEO_BYTES / 1024 / 1024}MB`);
+            }
+            const targetPath = batchUploadPath(name);
+            files.set(name, targetPath);
+            await extractEntry(zip, entry, targetPath, MAX_VIDEO_BYTES);
+          }
+          zip.readEntry();
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      zip.on('end', () => resolve({ files, manifest }));
+      zip.on('error', fail);
+      zip.readEntry();
+    });
+  });
+}
+
+function parseCsvManifest(text) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([text])
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Parse a manifest into entries
+ * @param {string} text - JSON array (or { items: [...] }) or CSV with a header row
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Promise<object[]>} - [{ file, athleteId, athleteName, activityName, timestamp }]
+ */
+async function parseManifest(text, format) {
+  let rows;
+  if (format === 'csv') {
+    rows = await parseCsvManifest(text);
+  } else {
+    try {
+      const parsed = JSON.parse(text);
+      rows = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+    } catch (error) {
+      throw batchError(400, `Manifest is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw batchError(400, 'Manifest must list at least one video');
+  }
+  if (rows.length > MAX_BATCH_ITEMS) {
+    throw batchError(413, `A batch can hold at most ${MAX_BATCH_ITEMS} videos`);
+  }
+
+  return rows.map(row => ({
+    file: String(row.file || row.fileName || '').trim(),
+    athleteId: String(row.athleteId || '').trim(),
+    athleteName: row.athleteName ? String(row.athleteName).trim() : null,
+    activityName: String(row.activityName || row.activity || '').trim(),
+    timestamp: row.timestamp || null
+  }));
+}
+
+// Fill in the athlete's name and picture from their profile
+async function resolveAthlete(entry) {
+  const user = entry.athleteId
+    ? await getDB().collection('users').findOne({ userId: entry.athleteId })
+    : null;
+
+  return {
+    athleteName: (user && user.name) || entry.athleteName,
+    athleteProfilePic: user && user.profilePic ? user.profilePic : undefined
+  };
+}
+
+function checkEntry(entry, files, seen) {
+  if (!entry.file) return 'Manifest entry has no file name';
+  if (seen.has(entry.file)) return `${entry.file} is listed more than once`;
+  if (!files.has(entry.file)) return `${entry.file} was not uploaded`;
+  if (!entry.athleteId) return 'Manifest entry has no athleteId';
+  if (!getActivity(entry.activityName)) return `Unknown activity: ${entry.activityName}`;
+  return null;
+}
+
+/**
+ * Validate a batch, store it and queue every valid item.
+ * Items that can't be queued are kept in the batch as rejected, with the reason.
+ * Sessions are only created for athletes the caller may save sessions for
+ * (a coach's linked athletes, anyone for an admin).
+ * @param {object} input - { files: Map(name -> path), manifest: entries from parseManifest, user: req.user }
+ * @returns {Promise<object>} - Batch status, see getBatchStatus
+ */
+async function createBatch({ files, manifest, user }) {
+  const batchId = `batch_${crypto.randomBytes(8).toString('hex')}`;
+  const seen = new Set();
+  const items = [];
+
+  for (const [index, entry] of manifest.entries()) {
+    const invalid = checkEntry(entry, files, seen);
+    seen.add(entry.file);
+    const athlete = invalid ? {} : await resolveAthlete(entry);
+    const decision = invalid ? null : await authorize('sessions.create', user, entry.athleteId);
+    const error = invalid
+      || (decision.allowed ? null : `Not allowed for athlete ${entry.athleteId}: ${decision.reason}`)
+      || (athlete.athleteName ? null : `Unknown athlete: ${entry.athleteId}`);
+
+    items.push({
+      index,
+      file: entry.file,
+      athleteId: entry.athleteId || null,
+      athleteName: athlete.athleteName || null,
+      athleteProfilePic: athlete.athleteProfilePic,
+      activityName: invalid ? entry.activityName : getActivity(entry.activityName).displayName,
+      timestamp: entry.timestamp ? new Date(entry.timestamp) : null,
+      jobId: null,
+      outputId: null,
+      error,
+      failureReason: null,
+      sessionId: null,
+      // Set before queueing so a job that finishes straight away still gets its session
+      sessionState: error ? null : SESSION_STATES.PENDING,
+      sessionError: null
+    });
+  }
+
+  // Uploaded files the manifest doesn't mention are dropped
+  const ignoredFiles = [...files.keys()].filter(name => !seen.has(name));
+  await Promise.all(ignoredFiles.map(name => fs.remove(files.get(name))));
+
+  const now = new Date();
+  await batchesCollection().insertOne({
+    batchId,
+    createdBy: user.userId,
+    ignoredFiles,
+    items,
+    queueingUntil: new Date(now.getTime() + QUEUE_LEASE_MS),
+    createdAt: now,
+    updatedAt: now
+  });
+  console.log(`📦 Batch ${batchId}: ${items.length} item(s)`);
+
+  // A file listed twice is queued for its valid row - the rejected row must not delete it
+  const queuedFiles = new Set(items.filter(item => !item.error).map(item => item.file));
+
+  // Sequential - each item is hashed and probed before it is queued
+  for (const item of items) {
+    const videoPath = files.get(item.file);
+    if (item.error) {
+      if (videoPath && !queuedFiles.has(item.file)) await fs.remove(videoPath);
+      continue;
+    }
+
+    try {
+      await batchesCollection().updateOne({ batchId }, { $set: { queueingUntil: new Date(Date.now() + QUEUE_LEASE_MS) } });
+      await queueItem(batchId, item, videoPath, user.userId);
+    } catch (error) {
+      console.warn(`⚠️ Could not queue ${item.file}:`, error.message);
+      await fs.remove(videoPath);
+      await updateItem(batchId, item.index, { error: error.message, sessionState: null });
+    }
+  }
+  await batchesCollection().updateOne({ batchId }, { $unset: { queueingUntil: '' } });
+
+  return getBatchStatus(batchId);
+}
+
+async function updateItem(batchId, index, fields) {
+  const update = { updatedAt: new Date() };
+  Object.entries(fields).forEach(([field, value]) => {
+    update[`items.${index}.${field}`] = value;
+  });
+  await batchesCollection().updateOne({ batchId }, { $set: update });
+}
+
+async function queueItem(batchId, item, videoPath, userId) {
+  const { status, body } = await queueVideoJob(getActivity(item.activityName), videoPath, {
+    mode: 'batch',
+    userId,
+    jobData: { batchId, batchItem: item.index }
+  });
+
+  if (status >= 400) {
+    await updateItem(batchId, item.index, {
+      error: body.error,
+      failureReason: body.failureReason || null,
+      sessionState: null
+    });
+    return;
+  }
+
+  await updateItem(batchId, item.index, { jobId: body.jobId, outputId: body.outputId });
+
+  // Answered from the analysis cache - the job is already done
+  if (body.cached) {
+    await finishItem({ ...(await getJobs([body.jobId]))[0], batchId, batchItem: item.index });
+  }
+}
+
+// Session fields the app sends to /api/sessions/add, filled from the analysis
+function buildSessionMeta(item, job, batchId) {
+  const { summary = {}, reps = [], analyzer } = job.result || {};
+  const sessionMeta = {
+    athleteId: item.athleteId,
+    athleteName: item.athleteName,
+    activityName: item.activityName,
+    outputId: job.outputId,
+    totalReps: typeof summary.totalReps === 'number' ? summary.totalReps : reps.length,
+    timestamp: item.timestamp || job.finishedAt || new Date(),
+    batchId,
+    source: 'batch'
+  };
+
+  ['correctReps', 'incorrectReps', 'accuracy']
+    .filter(field => typeof summary[field] === 'number')
+    .forEach((field) => {
+      sessionMeta[field] = summary[field];
+    });
+
+  const sourceVideo = analyzer && analyzer.parameters && analyzer.parameters.sourceVideo;
+  if (sourceVideo && sourceVideo.durationSec) {
+    sessionMeta.duration = Math.round(sourceVideo.durationSec);
+  }
+  if (item.athleteProfilePic) {
+    sessionMeta.athleteProfilePic = item.athleteProfilePic;
+  }
+  return sessionMeta;
+}
+
+/**
+ * Save the session for a finished batch job. Safe to call more than once -
+ * only the first call for an item does anything.
+ * @param {object} job - Finished job carrying batchId and batchItem
+ */
+async function finishItem(job) {
+  const { batchId, batchItem: index } = job;
+
+  // Claim the item so a listener and a resume pass never both save it
+  const claimed = await batchesCollection().updateOne(
+    { batchId, [`items.${index}.sessionState`]: SESSION_STATES.PENDING },
+    { $set: { [`items.${index}.sessionState`]: SESSION_STATES.SAVING, [`items.${index}.jobId`]: job.jobId, updatedAt: new Date() } }
+  );
+  if (claimed.modifiedCount === 0) return;
+
+  if (job.state !== JOB_STATES.DONE) {
+    await updateItem(batchId, index, {
+      sessionState: SESSION_STATES.SKIPPED,
+      error: job.error,
+      failureReason: job.failureReason
+    });
+    return;
+  }
+
+  const batch = await batchesCollection().findOne({ batchId });
+  const item = batch.items[index];
+
+  try {
+    const outputDir = path.join(outputsRoot, job.outputId);
+    let repImages = [];
+    if (job.result && job.result.videoFile) {
+      try {
+        repImages = await captureRepImages(outputDir, job.result.videoFile, job.result.reps);
+      } catch (error) {
+        console.warn(`⚠️ Could not capture rep images for ${item.file}:`, error.message);
+      }
+    }
+
+    const saved = await saveWorkoutSession(buildSessionMeta(item, job, batchId), repImages);
+    await updateItem(batchId, index, { sessionState: SESSION_STATES.SAVED, sessionId: saved.sessionId });
+    console.log(`✅ Batch ${batchId}: saved session for ${item.file}`);
+  } catch (error) {
+    console.error(`❌ Batch ${batchId}: could not save session for ${item.file}:`, error.message);
+    await updateItem(batchId, index, { sessionState: SESSION_STATES.FAILED, sessionError: error.message });
+  }
+}
+
+// 0-100 for one item: finished items count as complete, running ones use their live progress
+function itemProgress(item, job) {
+  if (!job) return item.error ? 100 : 0;
+  if (job.state === JOB_STATES.DONE || job.state === JOB_STATES.FAILED) return 100;
+  if (job.state === JOB_STATES.QUEUED) return 0;
+
+  const replay = progressEvents.getHistory(job.outputId);
+  const lastProgress = replay && replay.history.filter(event => event.type === 'progress').pop();
+  return lastProgress ? lastProgress.data.overall : 0;
+}
+
+/**
+ * Overall and per-item progress of a batch
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object|null>} - { batchId, state, progress, counts, items, ... } or null if unknown
+ */
+async function getBatchStatus(batchId) {
+  const batch = await batchesCollection().findOne({ batchId });
+  if (!batch) return null;
+
+  const jobIds = batch.items.map(item => item.jobId).filter(Boolean);
+  const jobs = new Map((jobIds.length > 0 ? await getJobs(jobIds) : []).map(job => [job.jobId, job]));
+
+  const items = batch.items.map((item) => {
+    const job = item.jobId ? jobs.get(item.jobId) : null;
+    // Items interrupted before they were queued count as failed, not as rejected input
+    const unqueuedState = item.failureReason === FAILURE_REASONS.INTERRUPTED ? JOB_STATES.FAILED : 'rejected';
+    const state = job ? job.state : (item.error ? unqueuedState : JOB_STATES.QUEUED);
+    return {
+      index: item.index,
+      file: item.file,
+      athleteId: item.athleteId,
+      athleteName: item.athleteName,
+      activityName: item.activityName,
+      state,
+      progress: Math.round(itemProgress(item, job)),
+      jobId: item.jobId,
+      outputId: item.outputId,
+      error: (job && job.error) || item.error,
+      failureReason: (job && job.failureReason) || item.failureReason,
+      sessionId: item.sessionId,
+      sessionState: item.sessionState,
+      sessionError: item.sessionError,
+      statusUrl: item.jobId ? `/api/jobs/${item.jobId}` : null,
+      eventsUrl: item.outputId ? `/api/process-video/${item.outputId}/events` : null
+    };
+  });
+
+  const counts = { total: items.length, queued: 0, processing: 0, done: 0, failed: 0, rejected: 0, saved: 0 };
+  items.forEach((item) => {
+    if (item.state === JOB_STATES.QUEUED) counts.queued++;
+    else if (item.state === JOB_STATES.DONE) counts.done++;
+    else if (item.state === JOB_STATES.FAILED) counts.failed++;
+    else if (item.state === 'rejected') counts.rejected++;
+    else counts.processing++;
+    if (item.sessionState === SESSION_STATES.SAVED) counts.saved++;
+  });
+
+  const settled = items.every(item => item.state === 'rejected' ||
+    [SESSION_STATES.SAVED, SESSION_STATES.FAILED, SESSION_STATES.SKIPPED].includes(item.sessionState));
+
+  return {
+    batchId,
+    state: settled ? 'completed' : 'processing',
+    progress: items.length > 0 ? Math.round(items.reduce((sum, item) => sum + item.progress, 0) / items.length) : 100,
+    counts,
+    ignoredFiles: batch.ignoredFiles,
+    items,
+    createdBy: batch.createdBy,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt
+  };
+}
+
+// Items a dead process never queued are failed - their upload is gone with it, so they are
+// uploaded again in a new batch. Batches still being queued are checked again once their lease runs out.
+async function failUnqueuedItems(batch) {
+  const unqueued = batch.items.filter(item => !item.jobId && item.sessionState === SESSION_STATES.PENDING);
+  if (unqueued.length === 0) return 0;
+
+  const leaseLeft = batch.queueingUntil ? batch.queueingUntil.getTime() - Date.now() : 0;
+  if (leaseLeft > 0) {
+    setTimeout(() => resumeBatches().catch(error => console.warn('⚠️ Could not resume batches:', error.message)), leaseLeft).unref();
+    return 0;
+  }
+
+  let failed = 0;
+  for (const item of unqueued) {
+    const result = await batchesCollection().updateOne(
+      { batchId: batch.batchId, [`items.${item.index}.jobId`]: null, [`items.${item.index}.sessionState`]: SESSION_STATES.PENDING },
+      {
+        $set: {
+          [`items.${item.index}.sessionState`]: SESSION_STATES.SKIPPED,
+          [`items.${item.index}.error`]: 'The server stopped before this video was queued - upload it again',
+          [`items.${item.index}.failureReason`]: FAILURE_REASONS.INTERRUPTED,
+          updatedAt: new Date()
+        }
+      }
+    );
+    failed += result.modifiedCount;
+  }
+  if (failed > 0) {
+    console.warn(`⚠️ Batch ${batch.batchId}: ${failed} item(s) were never queued`);
+  }
+  return failed;
+}
+
+/**
+ * Save sessions for batch jobs that finished while the server was down (or whose
+ * listener never ran), and fail items that were never queued. Call once on startup
+ * after the database is connected.
+ * @returns {Promise<number>} - Number of items processed
+ */
+async function resumeBatches() {
+  const batches = await batchesCollection()
+    .find({ items: { $elemMatch: { sessionState: { $in: [SESSION_STATES.PENDING, SESSION_STATES.SAVING] } } } })
+    .toArray();
+
+  let resumed = 0;
+  for (const batch of batches) {
+    resumed += await failUnqueuedItems(batch);
+
+    const waiting = batch.items.filter(item => item.jobId &&
+      [SESSION_STATES.PENDING, SESSION_STATES.SAVING].includes(item.sessionState));
+    const jobs = await getJobs(waiting.map(item => item.jobId));
+
+    for (const job of jobs) {
+      if (job.state !== JOB_STATES.DONE && job.state !== JOB_STATES.FAILED) continue;
+      const item = waiting.find(candidate => candidate.jobId === job.jobId);
+      // An interrupted save is started again from scratch
+      if (item.sessionState === SESSION_STATES.SAVING) {
+        await updateItem(batch.batchId, item.index, { sessionState: SESSION_STATES.PENDING });
+      }
+      await finishItem({ ...job, batchId: batch.batchId, batchItem: item.index });
+      resumed++;
+    }
+  }
+
+  if (resumed > 0) {
+    console.log(`📦 Resumed ${resumed} finished batch item(s)`);
+  }
+  return resumed;
+}
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  MAX_ARCHIVE_BYTES,
+  MAX_VIDEO_BYTES,
+  MANIFEST_NAMES,
+  configureBatches,
+  batchUploadPath,
+  extractArchive,
+  parseManifest,
+  createBatch,
+  getBatchStatus,
+  resumeBatches
+};
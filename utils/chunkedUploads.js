@@ -0,0 +1,285 @@
+// Resumable Chunked Uploads for TalentTrack
+// init -> PUT each chunk (any order, retry freely) -> complete.
+// Chunks and a small upload.json live in uploads/chunks/<uploadId>/ so an
+// upload survives restarts; complete() joins them, checks the SHA-256 and
+// returns the assembled file path. Abandoned uploads are swept after a TTL.
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 10 * 1024 * 1024;
+const UPLOAD_TTL_MS = (parseInt(process.env.UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let chunksRoot = null;
+let sweepTimer = null;
+
+function uploadError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function uploadDir(uploadId) {
+  if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+    throw uploadError(400, 'Invalid upload ID');
+  }
+  return path.join(chunksRoot, uploadId);
+}
+
+function chunkPath(dir, index) {
+  return path.join(dir, `chunk_${String(index).padStart(6, '0')}`);
+}
+
+async function readMeta(uploadId) {
+  const dir = uploadDir(uploadId);
+  const metaPath = path.join(dir, 'upload.json');
+  if (!(await fs.pathExists(metaPath))) {
+    throw uploadError(404, 'Upload not found');
+  }
+  return { dir, meta: await fs.readJson(metaPath) };
+}
+
+async function writeMeta(dir, meta) {
+  meta.updatedAt = new Date().toISOString();
+  await fs.writeJson(path.join(dir, 'upload.json'), meta);
+}
+
+function expectedChunkSize(meta, index) {
+  const isLast = index === meta.totalChunks - 1;
+  return isLast ? meta.fileSize - meta.chunkSize * (meta.totalChunks - 1) : meta.chunkSize;
+}
+
+/**
+ * Set the directory chunk folders are kept in (uploads/chunks)
+ * @param {string} uploadsDir - The server's uploads directory
+ */
+function configureChunkedUploads(uploadsDir) {
+  chunksRoot = path.join(uploadsDir, 'chunks');
+  fs.ensureDirSync(chunksRoot);
+}
+
+/**
+ * Start a resumable upload
+ * @param {object} options - { fileName, fileSize, mimeType, sha256, chunkSize, maxFileSize, userId, fields }
+ * @returns {Promise<object>} - Upload status (uploadId, chunkSize, totalChunks, ...)
+ */
+async function initUpload({ fileName, fileSize, mimeType, sha256, chunkSize, maxFileSize, userId = null, fields = {} }) {
+  const size = parseInt(fileSize);
+  if (typeof fileName !== 'string' || !fileName || !size || size <= 0) {
+    throw uploadError(400, 'fileName and a positive fileSize are required');
+  }
+  if (typeof mimeType !== 'string' || !mimeType.startsWith('video/')) {
+    throw uploadError(400, 'Only video files are allowed!');
+  }
+  if (size > maxFileSize) {
+    throw uploadError(413, `File too large (max ${Math.round(maxFileSize / 1024 / 1024)}MB)`);
+  }
+  if (typeof sha256 !== 'string' || !/^[a-fA-F0-9]{64}$/.test(sha256)) {
+    throw uploadError(400, 'sha256 of the whole file is required (64 hex characters)');
+  }
+
+  const requested = parseInt(chunkSize) || DEFAULT_CHUNK_SIZE;
+  const finalChunkSize = Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, requested));
+
+  const uploadId = crypto.randomBytes(16).toString('hex');
+  const dir = uploadDir(uploadId);
+  await fs.ensureDir(dir);
+
+  const meta = {
+    uploadId,
+    fileName: path.basename(fileName),
+    fileSize: size,
+    mimeType,
+    sha256: sha256.toLowerCase(),
+    chunkSize: finalChunkSize,
+    totalChunks: Math.ceil(size / finalChunkSize),
+    fields,
+    userId,
+    status: 'uploading',
+    createdAt: new Date().toISOString()
+  };
+  await writeMeta(dir, meta);
+
+  return getUploadStatus(uploadId);
+}
+
+/**
+ * Store one chunk. Re-sending a chunk overwrites it, so clients can simply retry.
+ * @param {string} uploadId - Upload ID
+ * @param {number} index - Zero-based chunk index
+ * @param {Buffer} data - Chunk bytes
+ * @returns {Promise<object>} - Upload status
+ */
+async function writeChunk(uploadId, index, data) {
+  const { dir, meta } = await readMeta(uploadId);
+  const chunkIndex = parseInt(index);
+
+  if (meta.status !== 'uploading') {
+    throw uploadError(409, `Upload is ${meta.status}`);
+  }
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= meta.totalChunks) {
+    throw uploadError(400, `Chunk index must be between 0 and ${meta.totalChunks - 1}`);
+  }
+  if (!Buffer.isBuffer(data) || data.length !== expectedChunkSize(meta, chunkIndex)) {
+    throw uploadError(400, `Chunk ${chunkIndex} must be ${expectedChunkSize(meta, chunkIndex)} bytes`);
+  }
+
+  // Write then rename so a dropped connection never leaves a half chunk behind
+  const target = chunkPath(dir, chunkIndex);
+  await fs.writeFile(`${target}.part`, data);
+  await fs.rename(`${target}.part`, target);
+  await writeMeta(dir, meta);
+
+  return getUploadStatus(uploadId);
+}
+
+/**
+ * Report which chunks have arrived so a client can resume
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<object>} - { uploadId, status, chunkSize, totalChunks, received, missing }
+ */
+async function getUploadStatus(uploadId) {
+  const { dir, meta } = await readMeta(uploadId);
+  const files = new Set(await fs.readdir(dir));
+
+  const received = [];
+  const missing = [];
+  for (let i = 0; i < meta.totalChunks; i++) {
+    (files.has(path.basename(chunkPath(dir, i))) ? received : missing).push(i);
+  }
+
+  return {
+    uploadId,
+    fileName: meta.fileName,
+    fileSize: meta.fileSize,
+    status: meta.status,
+    chunkSize: meta.chunkSize,
+    totalChunks: meta.totalChunks,
+    received,
+    missing
+  };
+}
+
+/**
+ * User who started an upload
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<string|null>} - userId, null for uploads started before owners were recorded
+ */
+async function getUploadOwner(uploadId) {
+  const { meta } = await readMeta(uploadId);
+  return meta.userId || null;
+}
+
+/**
+ * Join all chunks into targetDir, verify the SHA-256 and remove the chunk folder
+ * @param {string} uploadId - Upload ID
+ * @param {string} targetDir - Directory for the assembled file
+ * @returns {Promise<object>} - { filePath, fileName, fields, sha256 }
+ */
+async function completeUpload(uploadId, targetDir) {
+  const { dir, meta } = await readMeta(uploadId);
+
+  if (meta.status !== 'uploading') {
+    throw uploadError(409, `Upload is ${meta.status}`);
+  }
+
+  const status = await getUploadStatus(uploadId);
+  if (status.missing.length > 0) {
+    const error = uploadError(400, `Missing ${status.missing.length} chunk(s)`);
+    error.missing = status.missing;
+    throw error;
+  }
+
+  meta.status = 'assembling';
+  await writeMeta(dir, meta);
+
+  const filePath = path.join(targetDir, `${Date.now()}_${meta.fileName}`);
+  const hash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(filePath);
+
+  try {
+    for (let i = 0; i < meta.totalChunks; i++) {
+      const data = await fs.readFile(chunkPath(dir, i));
+      hash.update(data);
+      if (!output.write(data)) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+    }
+    await new Promise((resolve, reject) => output.end(err => (err ? reject(err) : resolve())));
+  } catch (error) {
+    output.destroy();
+    await fs.remove(filePath);
+    meta.status = 'uploading';
+    await writeMeta(dir, meta);
+    throw error;
+  }
+
+  const digest = hash.digest('hex');
+  if (digest !== meta.sha256) {
+    await fs.remove(filePath);
+    await fs.remove(dir);
+    throw uploadError(422, 'Checksum mismatch - the upload was corrupted, please start again');
+  }
+
+  await fs.remove(dir);
+
+  return { filePath, fileName: meta.fileName, fields: meta.fields, sha256: digest };
+}
+
+/**
+ * Delete upload folders that have not been touched within the TTL
+ * @returns {Promise<number>} - Number of uploads removed
+ */
+async function sweepAbandonedUploads() {
+  const entries = await fs.readdir(chunksRoot);
+  const cutoff = Date.now() - UPLOAD_TTL_MS;
+  let removed = 0;
+
+  for (const entry of entries) {
+    const dir = path.join(chunksRoot, entry);
+    try {
+      const metaPath = path.join(dir, 'upload.json');
+      const lastActivity = (await fs.pathExists(metaPath))
+        ? new Date((await fs.readJson(metaPath)).updatedAt).getTime()
+        : (await fs.stat(dir)).mtimeMs;
+
+      if (!(lastActivity >= cutoff)) {
+        await fs.remove(dir);
+        removed++;
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not sweep upload', entry, error.message);
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} abandoned upload(s)`);
+  }
+  return removed;
+}
+
+/**
+ * Run the abandoned-upload sweeper now and then every hour
+ */
+function startUploadSweeper() {
+  if (sweepTimer) return;
+  const sweep = () => sweepAbandonedUploads().catch(err => console.warn('⚠️ Upload sweep failed:', err.message));
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  MAX_CHUNK_SIZE,
+  configureChunkedUploads,
+  initUpload,
+  writeChunk,
+  getUploadStatus,
+  getUploadOwner,
+  completeUpload,
+  sweepAbandonedUploads,
+  startUploadSweeper
+};
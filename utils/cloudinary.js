@@ -109,6 +109,43 @@ async function uploadVideo(base64Data, folder = 'talenttrack/videos', publicId =
     }
 }
 
+/**
+ * Upload a file from disk to Cloudinary without reading it into memory
+ * Images and PDFs are streamed in one request, videos in chunks
+ * @param {string} filePath - Local file path
+ * @param {string} kind - 'image', 'pdf' or 'video'
+ * @param {string} folder - Cloudinary folder path
+ * @param {string} publicId - Optional public ID
+ * @returns {Promise<string>} - Cloudinary secure URL
+ */
+async function uploadFile(filePath, kind, folder, publicId = null) {
+    const options = {
+        image: { resource_type: 'image', format: 'jpg', quality: 'auto:good' },
+        pdf: { resource_type: 'raw', format: 'pdf' },
+        video: { resource_type: 'video', format: 'webm' }
+    }[kind];
+    if (!options) {
+        throw new Error(`Unknown upload kind: ${kind}`);
+    }
+
+    Object.assign(options, { folder, access_mode: 'public', type: 'upload' });
+    if (publicId) {
+        options.public_id = publicId;
+    }
+
+    try {
+        const result = kind === 'video'
+            ? await new Promise((resolve, reject) => {
+                cloudinary.uploader.upload_large(filePath, options, (error, uploaded) => (error ? reject(error) : resolve(uploaded)));
+            })
+            : await cloudinary.uploader.upload(filePath, options);
+        return result.secure_url;
+    } catch (error) {
+        console.error(`Cloudinary ${kind} file upload error:`, error);
+        throw error;
+    }
+}
+
 /**
  * Delete file from Cloudinary
  * @param {string} publicId - Cloudinary public ID
@@ -129,6 +166,7 @@ module.exports = {
     uploadImage,
     uploadPDF,
     uploadVideo,
+    uploadFile,
     deleteFile,
     cloudinary
 };
@@ -0,0 +1,23 @@
+// File hashing helpers for TalentTrack
+// SHA-256 digests used to recognise re-uploaded videos and changed analyzer scripts.
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+/**
+ * SHA-256 of a file, streamed so large videos are never held in memory
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+module.exports = {
+  hashFile
+};
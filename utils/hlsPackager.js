@@ -0,0 +1,145 @@
+// HLS packaging for annotated workout videos
+// After analysis the annotated MP4 is re-encoded into a few bitrate ladders
+// and segmented into outputs/<outputId>/hls/:
+//   hls/master.m3u8, hls/<rendition>/index.m3u8, hls/<rendition>/segment_000.ts ...
+// Renditions taller than the source are skipped. The package is written to a
+// temporary folder and renamed at the end, so clients never see half a playlist.
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const HLS_DIR = 'hls';
+const MASTER_PLAYLIST = 'master.m3u8';
+const SEGMENT_SEC = parseInt(process.env.HLS_SEGMENT_SEC) || 4;
+const HLS_ENABLED = process.env.HLS_ENABLED !== 'false';
+
+// Highest first; the smallest one is always produced
+const HLS_RENDITIONS = [
+  { name: '720p', height: 720, videoBitrate: 2800 },
+  { name: '480p', height: 480, videoBitrate: 1400 },
+  { name: '360p', height: 360, videoBitrate: 800 },
+  { name: '240p', height: 240, videoBitrate: 400 }
+];
+
+function probeHeight(inputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, metadata) => {
+      if (err) return reject(err);
+      const video = metadata.streams.find(stream => stream.codec_type === 'video');
+      if (!video) return reject(new Error('No video stream found'));
+      resolve(video.height);
+    });
+  });
+}
+
+function selectRenditions(sourceHeight) {
+  const fitting = HLS_RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+  return fitting.length > 0 ? fitting : [HLS_RENDITIONS[HLS_RENDITIONS.length - 1]];
+}
+
+/**
+ * Public URL of the master playlist if the output folder has an HLS package
+ * @param {string} outputDir - outputs/<outputId>
+ * @returns {string|null} - /api/hls/<outputId>/master.m3u8 or null
+ */
+function getHlsUrl(outputDir) {
+  if (!fs.existsSync(path.join(outputDir, HLS_DIR, MASTER_PLAYLIST))) {
+    return null;
+  }
+  return `/api/hls/${path.basename(outputDir)}/${MASTER_PLAYLIST}`;
+}
+
+/**
+ * Encode the annotated video into a multi-bitrate HLS package
+ * @param {string} outputDir - Output directory holding the video
+ * @param {string} videoFile - Annotated MP4 file name
+ * @param {Function} onProgress - Optional (percent) => void
+ * @param {AbortSignal} signal - Optional; aborting kills ffmpeg
+ * @returns {Promise<object>} - { url, renditions }
+ */
+async function packageHls(outputDir, videoFile, onProgress, signal) {
+  const inputPath = path.join(outputDir, videoFile);
+  const finalDir = path.join(outputDir, HLS_DIR);
+  const workDir = path.join(outputDir, `${HLS_DIR}_tmp`);
+
+  const renditions = selectRenditions(await probeHeight(inputPath));
+  await fs.remove(workDir);
+  await Promise.all(renditions.map(rendition => fs.ensureDir(path.join(workDir, rendition.name))));
+
+  const splitLabels = renditions.map((rendition, i) => `[v${i}]`).join('');
+  const filters = [`[0:v]split=${renditions.length}${splitLabels}`]
+    .concat(renditions.map((rendition, i) => `[v${i}]scale=-2:${rendition.height}[v${i}out]`));
+
+  const args = [];
+  renditions.forEach((rendition, i) => {
+    args.push(
+      '-map', `[v${i}out]`,
+      `-c:v:${i}`, 'libx264',
+      `-b:v:${i}`, `${rendition.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(rendition.videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${rendition.videoBitrate * 2}k`
+    );
+  });
+  args.push(
+    '-an',
+    '-preset', 'veryfast',
+    '-pix_fmt', 'yuv420p',
+    // Keyframe at every segment boundary so all renditions switch cleanly
+    '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SEC})`,
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SEC),
+    '-hls_playlist_type', 'vod',
+    '-hls_flags', 'independent_segments',
+    '-hls_segment_filename', path.join(workDir, '%v', 'segment_%03d.ts'),
+    '-master_pl_name', MASTER_PLAYLIST,
+    '-var_stream_map', renditions.map((rendition, i) => `v:${i},name:${rendition.name}`).join(' ')
+  );
+
+  console.log(`Packaging HLS (${renditions.map(r => r.name).join(', ')})...`);
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath)
+      .complexFilter(filters.join(';'))
+      .outputOptions(...args)
+      .output(path.join(workDir, '%v', 'index.m3u8'))
+      .on('start', (cmd) => {
+        console.log('FFmpeg command:', cmd);
+      })
+      .on('progress', (progress) => {
+        if (onProgress && progress.percent) {
+          onProgress(Math.min(100, progress.percent));
+        }
+      })
+      .on('end', resolve)
+      .on('error', (err) => {
+        if (signal && signal.aborted) {
+          return reject(signal.reason);
+        }
+        reject(err);
+      });
+
+    if (signal) {
+      signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    }
+    command.run();
+  }).catch(async (err) => {
+    await fs.remove(workDir);
+    throw err;
+  });
+
+  await fs.remove(finalDir);
+  await fs.rename(workDir, finalDir);
+  console.log('✅ HLS package ready');
+
+  return {
+    url: getHlsUrl(outputDir),
+    renditions: renditions.map(({ name, height, videoBitrate }) => ({ name, height, videoBitrate }))
+  };
+}
+
+module.exports = {
+  HLS_ENABLED,
+  HLS_RENDITIONS,
+  getHlsUrl,
+  packageHls
+};
@@ -0,0 +1,439 @@
+// Persistent Job Queue for TalentTrack video processing
+// Jobs live in the processing_jobs collection so they survive restarts;
+// a small in-process worker pool claims queued jobs and runs them.
+// A claim is a lease: the worker renews leaseExpiresAt while the job runs, and
+// only jobs whose lease ran out (their instance died) are recovered, so several
+// instances can share the collection.
+const os = require('os');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { getDB } = require('../db');
+const { FAILURE_REASONS, processFailure } = require('./processControl');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PREPARING: 'preparing',
+  EXTRACTING_FRAMES: 'extracting_frames',
+  PACKAGING: 'packaging',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const ACTIVE_STATES = [JOB_STATES.RUNNING, JOB_STATES.PREPARING, JOB_STATES.EXTRACTING_FRAMES, JOB_STATES.PACKAGING];
+
+const concurrency = Math.max(1, parseInt(process.env.JOB_CONCURRENCY) || 2);
+const maxAttempts = Math.max(1, parseInt(process.env.JOB_MAX_ATTEMPTS) || 2);
+const pollIntervalMs = 5000;
+const leaseMs = Math.max(15000, parseInt(process.env.JOB_LEASE_MS) || 60000);
+
+// Identifies this process in the jobs it claims
+const WORKER_ID = `${os.hostname()}_${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+
+let processor = null;
+let activeCount = 0;
+let pollTimer = null;
+
+// AbortControllers for jobs running in this process, keyed by jobId
+const runningJobs = new Map();
+
+// Called with the stored job once it is done or failed
+const finishListeners = [];
+
+function jobsCollection() {
+  return getDB().collection('processing_jobs');
+}
+
+/**
+ * Register the function that does the actual work for a job
+ * @param {Function} fn - async (job, setState, signal) => result; should stop when signal aborts
+ */
+function registerProcessor(fn) {
+  processor = fn;
+}
+
+/**
+ * Get notified when a job finishes (done, failed or cancelled while queued)
+ * @param {Function} listener - async (job) => void; job is the stored document after the update
+ */
+function onJobFinished(listener) {
+  finishListeners.push(listener);
+}
+
+async function notifyFinished(jobId) {
+  if (finishListeners.length === 0) return;
+  const job = await getJob(jobId);
+  for (const listener of finishListeners) {
+    try {
+      await listener(job);
+    } catch (error) {
+      console.warn('⚠️ Job finish listener failed:', jobId, error.message);
+    }
+  }
+}
+
+/**
+ * Store a new job and wake the worker pool
+ * @param {object} data - Job payload (activityName, videoPath, outputId, ...)
+ * @returns {Promise<object>} - The stored job document
+ */
+async function enqueueJob(data) {
+  const now = new Date();
+  const job = {
+    jobId: `job_${crypto.randomBytes(8).toString('hex')}`,
+    ...data,
+    state: JOB_STATES.QUEUED,
+    attempts: 0,
+    result: null,
+    error: null,
+    failureReason: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await jobsCollection().insertOne(job);
+  console.log('📥 Job queued:', job.jobId, data.activityName);
+
+  setImmediate(pump);
+  return job;
+}
+
+/**
+ * Store a job that already ran outside the worker pool (e.g. a live recording), so its
+ * output has owners and a result like the output of any queued job
+ * @param {object} data - Job payload (activityName, outputId, requestedBy, ...)
+ * @param {object} outcome - { result } when it succeeded, { error, failureReason } when it failed
+ * @returns {Promise<object>} - The stored job document
+ */
+async function recordFinishedJob(data, outcome) {
+  const now = new Date();
+  const job = {
+    jobId: `job_${crypto.randomBytes(8).toString('hex')}`,
+    ...data,
+    state: outcome.error ? JOB_STATES.FAILED : JOB_STATES.DONE,
+    attempts: 1,
+    result: outcome.result || null,
+    error: outcome.error || null,
+    failureReason: outcome.failureReason || null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: now
+  };
+
+  await jobsCollection().insertOne(job);
+  return job;
+}
+
+/**
+ * Get a job by its jobId
+ * @param {string} jobId - Job ID returned by enqueueJob
+ * @returns {Promise<object|null>} - Job document or null
+ */
+async function getJob(jobId) {
+  return jobsCollection().findOne({ jobId });
+}
+
+/**
+ * Get several jobs at once
+ * @param {string[]} jobIds - Job IDs
+ * @returns {Promise<object[]>} - Job documents that exist (in no particular order)
+ */
+async function getJobs(jobIds) {
+  return jobsCollection().find({ jobId: { $in: jobIds } }).toArray();
+}
+
+/**
+ * Get the job that writes to a given output directory
+ * @param {string} outputId - Output ID assigned when the job was queued
+ * @returns {Promise<object|null>} - Job document or null
+ */
+async function getJobByOutputId(outputId) {
+  return jobsCollection().findOne({ outputId });
+}
+
+/**
+ * Record another user as a requester of a job (e.g. one whose cached analysis they were given)
+ * @param {string} jobId - Job ID
+ * @param {string} userId - Requesting user
+ */
+async function addJobRequester(jobId, userId) {
+  await jobsCollection().updateOne({ jobId }, { $addToSet: { requestedBy: userId } });
+}
+
+/**
+ * Find the latest finished job for the same video, activity and script version
+ * @param {object} key - { videoHash, activityId, scriptVersion }
+ * @returns {Promise<object|null>} - Done job or null
+ */
+async function findCompletedJob({ videoHash, activityId, scriptVersion }) {
+  return jobsCollection().findOne(
+    { videoHash, activityId, scriptVersion, state: JOB_STATES.DONE },
+    { sort: { finishedAt: -1 } }
+  );
+}
+
+async function updateJob(jobId, fields) {
+  await jobsCollection().updateOne(
+    { jobId },
+    { $set: { ...fields, updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Jobs that are queued or running - their uploads and output folders are still needed
+ * @returns {Promise<object[]>} - Jobs with jobId, outputId and videoPath
+ */
+async function getUnfinishedJobs() {
+  return jobsCollection()
+    .find(
+      { state: { $in: [JOB_STATES.QUEUED, ...ACTIVE_STATES] } },
+      { projection: { jobId: 1, outputId: 1, videoPath: 1 } }
+    )
+    .toArray();
+}
+
+// Atomically move the oldest queued job to running so two workers never share one
+async function claimNextJob() {
+  const now = new Date();
+  return jobsCollection().findOneAndUpdate(
+    { state: JOB_STATES.QUEUED },
+    {
+      $set: {
+        state: JOB_STATES.RUNNING,
+        workerId: WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs),
+        startedAt: now,
+        updatedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+// Keep the lease alive; if another instance recovered the job meanwhile, stop working on it
+function holdLease(job, controller) {
+  const renew = async () => {
+    try {
+      const renewed = await jobsCollection().updateOne(
+        { jobId: job.jobId, workerId: WORKER_ID, state: { $in: ACTIVE_STATES } },
+        { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+      );
+      if (renewed.matchedCount === 0) {
+        controller.abort(processFailure(FAILURE_REASONS.INTERRUPTED, 'Job lease was lost'));
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not renew job lease:', job.jobId, error.message);
+    }
+  };
+  return setInterval(renew, Math.floor(leaseMs / 3));
+}
+
+// Final state update, only while this instance still holds the job
+async function finishJob(jobId, fields) {
+  await jobsCollection().updateOne(
+    { jobId, workerId: WORKER_ID },
+    { $set: { ...fields, updatedAt: new Date() }, $unset: { leaseExpiresAt: '' } }
+  );
+}
+
+async function runJob(job) {
+  const setState = (state) => updateJob(job.jobId, { state });
+  const controller = new AbortController();
+  runningJobs.set(job.jobId, controller);
+  const leaseTimer = holdLease(job, controller);
+
+  try {
+    const result = await processor(job, setState, controller.signal);
+    await finishJob(job.jobId, {
+      state: JOB_STATES.DONE,
+      result,
+      finishedAt: new Date()
+    });
+    console.log('✅ Job done:', job.jobId);
+  } catch (error) {
+    console.error('❌ Job failed:', job.jobId, error.message);
+    try {
+      await finishJob(job.jobId, {
+        state: JOB_STATES.FAILED,
+        error: error.message,
+        failureReason: error.reason || FAILURE_REASONS.CRASHED,
+        finishedAt: new Date()
+      });
+    } catch (updateError) {
+      // The lease runs out and recoverJobs() settles the job later
+      console.error('❌ Could not store job failure:', job.jobId, updateError.message);
+    }
+    // Failed jobs are not retried, so the upload is no longer needed - unless another instance took the job over
+    const leaseLost = controller.signal.aborted && controller.signal.reason
+      && controller.signal.reason.reason === FAILURE_REASONS.INTERRUPTED;
+    if (job.videoPath && !leaseLost) {
+      fs.removeSync(job.videoPath);
+    }
+  } finally {
+    clearInterval(leaseTimer);
+    runningJobs.delete(job.jobId);
+  }
+
+  await notifyFinished(job.jobId).catch(error => console.warn('⚠️ Could not notify job listeners:', error.message));
+}
+
+/**
+ * Cancel a job. Queued jobs are failed straight away; running jobs are
+ * aborted so the processor can kill its process.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} - { cancelled, state, job } or null if the job doesn't exist
+ */
+async function cancelJob(jobId) {
+  const cancelledQueued = await jobsCollection().findOneAndUpdate(
+    { jobId, state: JOB_STATES.QUEUED },
+    {
+      $set: {
+        state: JOB_STATES.FAILED,
+        error: 'Cancelled before processing started',
+        failureReason: FAILURE_REASONS.CANCELLED,
+        finishedAt: new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { returnDocument: 'after' }
+  );
+  if (cancelledQueued) {
+    if (cancelledQueued.videoPath) {
+      fs.removeSync(cancelledQueued.videoPath);
+    }
+    await notifyFinished(jobId);
+    return { cancelled: true, state: cancelledQueued.state, job: cancelledQueued };
+  }
+
+  const job = await getJob(jobId);
+  if (!job) return null;
+
+  const controller = runningJobs.get(jobId);
+  if (controller) {
+    controller.abort(processFailure(FAILURE_REASONS.CANCELLED, 'Cancelled by request'));
+    return { cancelled: true, state: job.state, job };
+  }
+
+  // Already finished, or running on another server instance
+  return { cancelled: false, state: job.state, job };
+}
+
+// Fill free worker slots with queued jobs
+async function pump() {
+  if (!processor) return;
+
+  while (activeCount < concurrency) {
+    let job;
+    activeCount++;
+    try {
+      job = await claimNextJob();
+    } catch (error) {
+      activeCount--;
+      console.warn('⚠️ Could not claim job:', error.message);
+      return;
+    }
+
+    if (!job) {
+      activeCount--;
+      return;
+    }
+
+    runJob(job).finally(() => {
+      activeCount--;
+      setImmediate(pump);
+    });
+  }
+}
+
+// Active jobs whose worker stopped renewing the lease (jobs from before leases: no update for a lease period)
+function expiredLeaseFilter(now) {
+  return {
+    state: { $in: ACTIVE_STATES },
+    $or: [
+      { leaseExpiresAt: { $lte: now } },
+      { leaseExpiresAt: { $exists: false }, updatedAt: { $lte: new Date(now.getTime() - leaseMs) } }
+    ]
+  };
+}
+
+/**
+ * Requeue or fail jobs whose instance died while running them (lease expired).
+ * Jobs whose upload is gone or that already used all attempts are marked failed.
+ * Jobs other live instances are running are left alone.
+ * @returns {Promise<object>} - Counts of resumed and failed jobs
+ */
+async function recoverJobs() {
+  const now = new Date();
+  const interrupted = await jobsCollection()
+    .find(expiredLeaseFilter(now))
+    .toArray();
+
+  let resumed = 0;
+  let failed = 0;
+
+  for (const job of interrupted) {
+    const fields = job.attempts < maxAttempts && job.videoPath && fs.existsSync(job.videoPath)
+      ? { state: JOB_STATES.QUEUED }
+      : {
+        state: JOB_STATES.FAILED,
+        error: 'Interrupted: the server running it stopped',
+        failureReason: FAILURE_REASONS.INTERRUPTED,
+        finishedAt: new Date()
+      };
+
+    // Conditional, so two instances recovering at once settle each job only once
+    const recovered = await jobsCollection().updateOne(
+      { jobId: job.jobId, ...expiredLeaseFilter(now) },
+      { $set: { ...fields, updatedAt: new Date() }, $unset: { workerId: '', leaseExpiresAt: '' } }
+    );
+    if (recovered.modifiedCount === 0) continue;
+
+    if (fields.state === JOB_STATES.QUEUED) {
+      resumed++;
+    } else {
+      failed++;
+      await notifyFinished(job.jobId).catch(error => console.warn('⚠️ Could not notify job listeners:', error.message));
+    }
+  }
+
+  if (resumed + failed > 0) {
+    console.log(`🔁 Recovered jobs - resumed: ${resumed}, failed: ${failed}`);
+  }
+
+  return { resumed, failed };
+}
+
+/**
+ * Start the worker pool. Polls periodically so queued jobs left over from
+ * a restart (or inserted by another instance) are picked up, and jobs of
+ * instances that died are recovered.
+ */
+function startWorkers() {
+  if (pollTimer) return;
+  console.log(`👷 Job workers started (concurrency: ${concurrency}, worker: ${WORKER_ID})`);
+  pollTimer = setInterval(() => {
+    recoverJobs()
+      .catch(error => console.warn('⚠️ Could not recover jobs:', error.message))
+      .then(pump);
+  }, pollIntervalMs);
+  pump();
+}
+
+module.exports = {
+  JOB_STATES,
+  registerProcessor,
+  onJobFinished,
+  enqueueJob,
+  recordFinishedJob,
+  getJob,
+  getJobs,
+  getJobByOutputId,
+  addJobRequester,
+  findCompletedJob,
+  getUnfinishedJobs,
+  updateJob,
+  cancelJob,
+  recoverJobs,
+  startWorkers
+};
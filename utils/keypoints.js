@@ -0,0 +1,273 @@
+// Pose keypoint export for TalentTrack
+// Analyzers may write the per-frame skeleton next to their CSV, in one of two shapes:
+//   keypoints.jsonl - one JSON object per line:
+//     {"frame": 0, "timeSec": 0.0, "landmarks": [[x, y, z, visibility], ...]}
+//   keypoints.json  - columnar JSON, one array per field, all the same length:
+//     {"frame": [0, 1, ...], "timeSec": [0.0, 0.033, ...], "nose_x": [...], ...}
+// Contract scripts are told where to write it through TALENTTRACK_KEYPOINTS.
+// After a run the file is indexed once (frame count and range, fields) into
+// keypoints_index.json; requests then stream only the frames they ask for.
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+
+const KEYPOINTS_FILES = {
+  jsonl: 'keypoints.jsonl',
+  columnar: 'keypoints.json'
+};
+const INDEX_FILE = 'keypoints_index.json';
+// Columnar files are parsed whole, so keep them bounded
+const MAX_COLUMNAR_BYTES = (parseInt(process.env.KEYPOINTS_MAX_COLUMNAR_MB) || 64) * 1024 * 1024;
+// Rows collected in memory for one columnar response
+const MAX_COLUMNAR_FRAMES = 20000;
+
+function keypointsError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Where an analyzer should write its keypoints (JSON Lines)
+ * @param {string} outputDir - outputs/<outputId>
+ * @returns {string} - Absolute path
+ */
+function getKeypointsTarget(outputDir) {
+  return path.join(outputDir, KEYPOINTS_FILES.jsonl);
+}
+
+// Legacy scripts may prefix the name (e.g. pushup_keypoints.jsonl)
+function findKeypointsFile(outputDir) {
+  const files = fs.existsSync(outputDir) ? fs.readdirSync(outputDir) : [];
+  const jsonl = files.find(file => file.endsWith(KEYPOINTS_FILES.jsonl));
+  if (jsonl) return { file: jsonl, format: 'jsonl' };
+
+  const columnar = files.find(file => file.endsWith(KEYPOINTS_FILES.columnar) && file !== INDEX_FILE);
+  return columnar ? { file: columnar, format: 'columnar' } : null;
+}
+
+function frameNumber(row, index) {
+  const value = row.frame !== undefined ? row.frame : row.frame_index;
+  return Number.isFinite(Number(value)) && value !== null ? Number(value) : index;
+}
+
+async function readColumnar(filePath) {
+  const { size } = await fs.stat(filePath);
+  if (size > MAX_COLUMNAR_BYTES) {
+    throw keypointsError(413, `Columnar keypoints file is larger than ${MAX_COLUMNAR_BYTES / 1024 / 1024}MB`);
+  }
+
+  const columns = await fs.readJson(filePath);
+  const fields = Object.keys(columns || {});
+  if (fields.length === 0 || !fields.every(field => Array.isArray(columns[field]))) {
+    throw keypointsError(422, 'Columnar keypoints must be an object of equal-length arrays');
+  }
+  const length = columns[fields[0]].length;
+  if (!fields.every(field => columns[field].length === length)) {
+    throw keypointsError(422, 'Columnar keypoints arrays differ in length');
+  }
+  return { columns, fields, length };
+}
+
+/**
+ * Iterate the frames of a keypoints file within [from, to] (inclusive, by frame number)
+ * @param {string} filePath - Keypoints file
+ * @param {string} format - 'jsonl' or 'columnar'
+ * @param {object} range - { from, to } - either may be null
+ * @returns {AsyncGenerator<object>} - One row object per frame
+ */
+async function* readFrames(filePath, format, { from = null, to = null } = {}) {
+  const inRange = frame => (from === null || frame >= from) && (to === null || frame <= to);
+
+  if (format === 'columnar') {
+    const { columns, fields, length } = await readColumnar(filePath);
+    for (let i = 0; i < length; i++) {
+      const row = {};
+      fields.forEach((field) => {
+        row[field] = columns[field][i];
+      });
+      if (inRange(frameNumber(row, i))) yield row;
+    }
+    return;
+  }
+
+  // Closing readline leaves its input open, so the file stream is destroyed separately
+  const input = fs.createReadStream(filePath);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let index = 0;
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch (error) {
+        throw keypointsError(422, `Invalid JSON on keypoints line ${index + 1}`);
+      }
+      const frame = frameNumber(row, index++);
+      // Frames are written in order, so nothing after the range can match
+      if (to !== null && frame > to) break;
+      if (inRange(frame)) yield row;
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+/**
+ * Index the keypoints an analyzer wrote, if any. Malformed files are reported, not thrown.
+ * @param {string} outputDir - outputs/<outputId>
+ * @returns {Promise<object|null>} - Keypoints info (see getKeypointsInfo) or null when there is no file
+ */
+async function collectKeypoints(outputDir) {
+  const found = findKeypointsFile(outputDir);
+  if (!found) return null;
+
+  const filePath = path.join(outputDir, found.file);
+  const index = {
+    file: found.file,
+    format: found.format,
+    bytes: (await fs.stat(filePath)).size,
+    frames: 0,
+    firstFrame: null,
+    lastFrame: null,
+    fields: [],
+    error: null
+  };
+
+  try {
+    const fields = new Set();
+    for await (const row of readFrames(filePath, found.format)) {
+      const frame = frameNumber(row, index.frames);
+      if (index.firstFrame === null) index.firstFrame = frame;
+      index.lastFrame = frame;
+      index.frames++;
+      // Field names come from the first rows; later rows normally repeat them
+      if (index.frames <= 10) Object.keys(row).forEach(field => fields.add(field));
+    }
+    index.fields = [...fields];
+    console.log(`✅ Collected keypoints: ${index.frames} frames (${found.format})`);
+  } catch (error) {
+    console.warn('⚠️ Keypoints file could not be read:', error.message);
+    index.error = error.message;
+  }
+
+  await fs.writeJson(path.join(outputDir, INDEX_FILE), index);
+  return getKeypointsInfo(outputDir);
+}
+
+/**
+ * Keypoints available for an output
+ * @param {string} outputDir - outputs/<outputId>
+ * @returns {object|null} - { url, format, frames, firstFrame, lastFrame, fields, bytes } or null
+ */
+function getKeypointsInfo(outputDir) {
+  const found = findKeypointsFile(outputDir);
+  if (!found) return null;
+
+  const indexPath = path.join(outputDir, INDEX_FILE);
+  const index = fs.existsSync(indexPath) ? fs.readJsonSync(indexPath, { throws: false }) : null;
+  // Index is stale if the analyzer wrote a different file since
+  const current = index && index.file === found.file ? index : { file: found.file, format: found.format };
+  if (current.error) return null;
+
+  return {
+    url: `/api/results/${path.basename(outputDir)}/keypoints`,
+    format: current.format,
+    frames: current.frames !== undefined ? current.frames : null,
+    firstFrame: current.firstFrame !== undefined ? current.firstFrame : null,
+    lastFrame: current.lastFrame !== undefined ? current.lastFrame : null,
+    fields: current.fields || null,
+    bytes: current.bytes || fs.statSync(path.join(outputDir, found.file)).size
+  };
+}
+
+function parseFrameParam(value, name) {
+  if (value === undefined || value === '') return null;
+  const frame = Number(value);
+  if (!Number.isInteger(frame) || frame < 0) {
+    throw keypointsError(400, `${name} must be a non-negative frame number`);
+  }
+  return frame;
+}
+
+/**
+ * Answer a keypoints request: ?from=&to= select a frame range (inclusive),
+ * ?format=jsonl (default, streamed as NDJSON) or columnar (one array per field)
+ * @param {object} res - Express response
+ * @param {string} outputDir - outputs/<outputId>
+ * @param {object} query - req.query
+ */
+async function sendKeypoints(res, outputDir, query) {
+  const found = outputDir ? findKeypointsFile(outputDir) : null;
+  if (!found) {
+    return res.status(404).json({ error: 'No keypoints for this output' });
+  }
+
+  const range = { from: parseFrameParam(query.from, 'from'), to: parseFrameParam(query.to, 'to') };
+  if (range.from !== null && range.to !== null && range.from > range.to) {
+    throw keypointsError(400, 'from must not be after to');
+  }
+  const format = query.format || 'jsonl';
+  if (!['jsonl', 'columnar'].includes(format)) {
+    throw keypointsError(400, 'format must be jsonl or columnar');
+  }
+
+  const filePath = path.join(outputDir, found.file);
+  const frames = readFrames(filePath, found.format, range);
+
+  if (format === 'columnar') {
+    const columns = {};
+    let count = 0;
+    for await (const row of frames) {
+      if (++count > MAX_COLUMNAR_FRAMES) {
+        throw keypointsError(413, `More than ${MAX_COLUMNAR_FRAMES} frames - narrow the range with from/to or use format=jsonl`);
+      }
+      Object.keys(row).forEach((field) => {
+        // Fields missing from earlier rows are padded with null to keep columns aligned
+        if (!columns[field]) columns[field] = new Array(count - 1).fill(null);
+      });
+      Object.keys(columns).forEach((field) => {
+        columns[field].push(row[field] !== undefined ? row[field] : null);
+      });
+    }
+    return res.json({ format: 'columnar', from: range.from, to: range.to, frames: count, columns });
+  }
+
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `inline; filename="${path.basename(outputDir)}_keypoints.jsonl"`);
+  try {
+    for await (const row of frames) {
+      if (!res.write(`${JSON.stringify(row)}\n`)) {
+        // Whichever fires first removes the other listener, so long streams don't pile them up
+        await new Promise((resolve) => {
+          const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+          };
+          res.once('drain', done);
+          res.once('close', done);
+        });
+      }
+      // Client went away
+      if (res.destroyed) return;
+    }
+  } catch (error) {
+    // Headers are gone by now - cut the stream so the client sees it is incomplete
+    if (res.headersSent) {
+      console.warn('⚠️ Keypoints stream failed:', error.message);
+      return res.destroy(error);
+    }
+    throw error;
+  }
+  res.end();
+}
+
+module.exports = {
+  getKeypointsTarget,
+  collectKeypoints,
+  getKeypointsInfo,
+  sendKeypoints
+};
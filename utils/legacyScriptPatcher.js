@@ -0,0 +1,145 @@
+// Legacy Python Script Patcher for TalentTrack
+// Rewrites Talent Track scripts that predate the analyzer contract so they
+// run headless against our upload and output directory. Only used for
+// scripts registered with contract: false in utils/analyzers.js.
+const fs = require('fs-extra');
+const path = require('path');
+
+// Legacy live scripts open the webcam with this; the patch swaps it for frames read from stdin
+const CAMERA_CAPTURE_PATTERN = /cv2\.VideoCapture\(\s*0\s*\)/g;
+
+// Stand-in for cv2.VideoCapture(0): raw bgr24 frames of TALENTTRACK_FRAME_WIDTH x HEIGHT from stdin
+const STDIN_CAPTURE_SHIM = `
+class _TalentTrackStdinCapture:
+    def __init__(self):
+        self.width = int(os.environ.get("TALENTTRACK_FRAME_WIDTH", "640"))
+        self.height = int(os.environ.get("TALENTTRACK_FRAME_HEIGHT", "480"))
+        self.fps = float(os.environ.get("TALENTTRACK_FPS", "15"))
+        self.frame_bytes = self.width * self.height * 3
+        self.opened = True
+
+    def isOpened(self):
+        return self.opened
+
+    def read(self):
+        import numpy
+        data = sys.stdin.buffer.read(self.frame_bytes) if self.opened else b""
+        if len(data) < self.frame_bytes:
+            self.opened = False
+            return False, None
+        return True, numpy.frombuffer(data, dtype=numpy.uint8).reshape((self.height, self.width, 3)).copy()
+
+    def get(self, prop):
+        import cv2
+        return {cv2.CAP_PROP_FPS: self.fps, cv2.CAP_PROP_FRAME_WIDTH: self.width,
+                cv2.CAP_PROP_FRAME_HEIGHT: self.height}.get(prop, 0)
+
+    def set(self, prop, value):
+        return True
+
+    def release(self):
+        self.opened = False
+`;
+
+// Create modified script that doesn't require GUI file selection
+function createModifiedScript(originalScriptPath, videoPath, outputDir) {
+  let script = fs.readFileSync(originalScriptPath, 'utf8');
+
+  // Remove tkinter imports and file dialog
+  script = script.replace(/from tkinter import Tk, filedialog\n/g, '');
+  script = script.replace(/Tk\(\)\.withdraw\(\)\n/g, '');
+
+  // Replace file selection with direct path
+  // Use forward slashes for Python (works on Windows too)
+  const videoPathForPython = videoPath.replace(/\\/g, '/');
+
+  // Remove the file dialog lines
+  // First, remove the entire filedialog line (including nested brackets)
+  const fileDialogPattern = /video_path = filedialog\.askopenfilename\([^)]*\[[^\]]*\][^)]*\)/g;
+  script = script.replace(fileDialogPattern, `video_path = r"${videoPathForPython}"`);
+
+  // Also handle simpler patterns without filetypes
+  script = script.replace(/video_path = filedialog\.askopenfilename\(\)/g, `video_path = r"${videoPathForPython}"`);
+
+  // Remove the exit conditions
+  script = script.replace(/if not video_path:\s*\n\s*print\([^)]*\)\s*\n\s*exit\(\)/g, '');
+  script = script.replace(/if not video_path:\s*\n\s*exit\(\)/g, '');
+
+  // Modify output paths to use our output directory
+  const outputDirForPython = outputDir.replace(/\\/g, '/');
+  const baseFilename = path.basename(outputDir);
+
+  script = script.replace(
+    /filename = os\.path\.splitext\(os\.path\.basename\(video_path\)\)\[0\]/g,
+    `filename = "${baseFilename}"`
+  );
+  script = script.replace(/output_folder = filename/g, `output_folder = r"${outputDirForPython}"`);
+
+  // Ensure output directory exists
+  script = `import os\nimport sys\n${script}`;
+  script = script.replace(
+    /os\.makedirs\(output_folder, exist_ok=True\)/g,
+    `os.makedirs(r"${outputDirForPython}", exist_ok=True)`
+  );
+
+  // Remove cv2.imshow and waitKey calls to run headless
+  // Comment out entire lines with cv2.imshow
+  script = script.replace(/^(\s*)cv2\.imshow\([^)]*\)/gm, '$1pass  # cv2.imshow removed');
+
+  // Replace cv2.waitKey expressions properly
+  script = script.replace(/cv2\.waitKey\(int\(1000\/fps\)\)/g, '1');
+  script = script.replace(/cv2\.waitKey\([^)]*\)/g, '1');
+
+  // Comment out cv2.destroyAllWindows
+  script = script.replace(/^(\s*)cv2\.destroyAllWindows\(\)/gm, '$1pass  # cv2.destroyAllWindows removed');
+
+  return script;
+}
+
+/**
+ * Whether a legacy live script can be patched to read the stream's frames from stdin
+ * @param {string} scriptPath - Absolute script path
+ * @returns {boolean}
+ */
+function readsCamera(scriptPath) {
+  return new RegExp(CAMERA_CAPTURE_PATTERN.source).test(fs.readFileSync(scriptPath, 'utf8'));
+}
+
+// Create modified live script: the webcam becomes the frames piped to stdin, and
+// read() returning False at the end of the stream ends the capture loop
+function createModifiedLiveScript(originalScriptPath, outputDir) {
+  let script = fs.readFileSync(originalScriptPath, 'utf8');
+
+  script = script.replace(CAMERA_CAPTURE_PATTERN, '_TalentTrackStdinCapture()');
+
+  // Modify for headless execution and output to our directory
+  const outputDirForPython = outputDir.replace(/\\/g, '/');
+  script = script.replace(/output_folder = filename/g, `output_folder = r"${outputDirForPython}"`);
+  script = script.replace(/filename = "camera_feed"/g, `filename = "${path.basename(outputDir)}"`);
+
+  // Ensure output directory exists
+  script = `import os\nimport sys\n${STDIN_CAPTURE_SHIM}\n${script}`;
+  script = script.replace(
+    /os\.makedirs\(output_folder, exist_ok=True\)/g,
+    `os.makedirs(r"${outputDirForPython}", exist_ok=True)`
+  );
+
+  // Remove cv2.imshow and waitKey calls to run headless
+  // Comment out entire lines with cv2.imshow
+  script = script.replace(/^(\s*)cv2\.imshow\([^)]*\)/gm, '$1pass  # cv2.imshow removed');
+
+  // Replace cv2.waitKey expressions properly
+  script = script.replace(/cv2\.waitKey\(1\)/g, '1');
+
+  // Comment out cv2.destroyAllWindows
+  script = script.replace(/^(\s*)cv2\.destroyAllWindows\(\)/gm, '$1pass  # cv2.destroyAllWindows removed');
+
+  return script;
+}
+
+module.exports = {
+  CAMERA_CAPTURE_PATTERN,
+  readsCamera,
+  createModifiedScript,
+  createModifiedLiveScript
+};
@@ -0,0 +1,304 @@
+// Live Recording Sessions for TalentTrack
+// The browser streams MediaRecorder WebM chunks over a WebSocket
+// (/api/live?outputId=...&access_token=...). Chunks are saved to
+// outputs/<outputId>/live_input.webm and, when the activity's live script can take
+// a frame stream (contract scripts, or legacy ones with a patchable webcam
+// capture), decoded by ffmpeg into raw frames piped to the script so rep events
+// come back in real time. On stop the session is finalized into the same
+// outputs/<outputId> layout that /api/results/:outputId reads, and the server stores
+// the outcome as a job owned by the user who started the session.
+// Only that user may connect to it.
+//
+// Messages: client sends binary WebM chunks plus { "type": "stop" };
+// server sends { type: 'ready' | 'rep' | 'progress' | 'stage' | 'result' | 'error', ... }
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+const WebSocket = require('ws');
+const { PYTHON_BIN, resolveScriptPath, acceptsFrameStream, buildInvocation } = require('./analyzers');
+const { verifyAccessToken } = require('./auth');
+const { decide } = require('./permissions');
+const { FAILURE_REASONS, processFailure, killProcessTree, createCappedLog } = require('./processControl');
+const { parseScriptOutputLine } = require('./progressEvents');
+
+const FRAME_WIDTH = parseInt(process.env.LIVE_FRAME_WIDTH) || 640;
+const FRAME_HEIGHT = parseInt(process.env.LIVE_FRAME_HEIGHT) || 480;
+const FRAME_RATE = parseInt(process.env.LIVE_FRAME_RATE) || 15;
+const MAX_DURATION_SEC = parseInt(process.env.LIVE_MAX_DURATION_SEC) || 300;
+// Largest single WebSocket message (one MediaRecorder chunk)
+const MAX_CHUNK_BYTES = (parseInt(process.env.LIVE_MAX_CHUNK_MB) || 8) * 1024 * 1024;
+
+// Sessions that were started over HTTP but never connected are dropped after this
+const CONNECT_TIMEOUT_MS = 60 * 1000;
+// How long the analyzer gets to write its CSV/video after the stream ends
+const FINISH_TIMEOUT_MS = 60 * 1000;
+
+const sessions = new Map();
+
+/**
+ * Register a live session that a WebSocket client can then connect to
+ * @param {object} activity - Activity registry entry
+ * @param {string} outputId - Output ID for the session
+ * @param {string} outputDir - Output directory (already created)
+ * @param {string} userId - User who started the session; only they may connect
+ * @returns {object} - Session with a `realtime` flag
+ */
+function createLiveSession(activity, outputId, outputDir, userId) {
+  const liveScript = activity.scripts.live;
+  const liveScriptPath = liveScript ? resolveScriptPath(liveScript.file) : null;
+
+  const session = {
+    outputId,
+    outputDir,
+    activity,
+    userId,
+    recordingPath: path.join(outputDir, 'live_input.webm'),
+    // Scripts that can't take frames from stdin are analyzed with the video script after stop
+    realtime: !!(liveScriptPath && acceptsFrameStream(liveScriptPath)),
+    liveScriptPath,
+    state: 'pending',
+    createdAt: new Date()
+  };
+
+  sessions.set(outputId, session);
+  setTimeout(() => {
+    if (session.state === 'pending') {
+      sessions.delete(outputId);
+    }
+  }, CONNECT_TIMEOUT_MS).unref();
+
+  return session;
+}
+
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+// Start python + ffmpeg for a realtime session; stdout rep lines are forwarded to the socket
+function startRealtimeAnalyzer(session, socket) {
+  const { args, env } = buildInvocation({
+    scriptPath: session.liveScriptPath,
+    outputDir: session.outputDir,
+    videoPath: '-',
+    live: true,
+    extraEnv: {
+      TALENTTRACK_FRAME_WIDTH: String(FRAME_WIDTH),
+      TALENTTRACK_FRAME_HEIGHT: String(FRAME_HEIGHT),
+      TALENTTRACK_FPS: String(FRAME_RATE)
+    }
+  });
+
+  const pythonProcess = spawn(PYTHON_BIN, args, {
+    cwd: session.outputDir,
+    env,
+    detached: process.platform !== 'win32',
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  const log = createCappedLog(path.join(session.outputDir, 'analyzer.log'));
+  let pendingLine = '';
+
+  pythonProcess.stdout.on('data', (data) => {
+    const text = data.toString();
+    log.write('stdout', text);
+
+    const lines = (pendingLine + text).split(/\r?\n|\r/);
+    pendingLine = lines.pop();
+    lines.forEach((line) => {
+      const event = parseScriptOutputLine(line);
+      if (event) send(socket, { type: event.type, ...event.data });
+    });
+  });
+  pythonProcess.stderr.on('data', (data) => log.write('stderr', data.toString()));
+  // Python exiting early closes stdin under ffmpeg - that surfaces in the exit handler instead
+  pythonProcess.stdin.on('error', () => {});
+
+  const decoder = ffmpeg(session.input)
+    .inputFormat('webm')
+    .outputOptions([
+      `-vf scale=${FRAME_WIDTH}:${FRAME_HEIGHT},fps=${FRAME_RATE}`,
+      '-pix_fmt bgr24'
+    ])
+    .format('rawvideo')
+    .on('error', (err) => {
+      if (session.state === 'streaming') {
+        console.warn('⚠️ Live decoder error:', err.message);
+      }
+    });
+  decoder.pipe(pythonProcess.stdin, { end: true });
+
+  session.exited = new Promise((resolve) => {
+    pythonProcess.on('close', (code, signalName) => {
+      log.close().then(() => resolve({ code, signalName, stderr: log.tail('stderr') }));
+    });
+    pythonProcess.on('error', (error) => {
+      log.close().then(() => resolve({ code: null, error }));
+    });
+  });
+  session.pythonProcess = pythonProcess;
+}
+
+/**
+ * Wait for the realtime analyzer of a stopped session to write its results
+ * (finalize calls this, so a crashed script is reported like any other failure)
+ * @param {object} session - Live session with realtime set
+ */
+async function waitForRealtimeAnalyzer(session) {
+  const finishTimer = setTimeout(() => killProcessTree(session.pythonProcess), FINISH_TIMEOUT_MS);
+  const exit = await session.exited;
+  clearTimeout(finishTimer);
+
+  if (exit.error) {
+    throw processFailure(FAILURE_REASONS.CRASHED, `Failed to start Python process: ${exit.error.message}`);
+  }
+  if (exit.code !== 0) {
+    throw processFailure(FAILURE_REASONS.CRASHED, `Live script failed with code ${exit.code !== null ? exit.code : exit.signalName}: ${exit.stderr}`);
+  }
+}
+
+async function stopSession(session, socket, finalize) {
+  if (session.state !== 'streaming') return;
+  session.state = 'finalizing';
+  clearTimeout(session.maxDurationTimer);
+
+  send(socket, { type: 'stage', stage: 'finalizing' });
+  if (session.input) session.input.end();
+  await new Promise(resolve => session.recording.end(resolve));
+
+  try {
+    const results = await finalize(session, (event) => send(socket, { type: event.type, ...event.data }));
+    session.state = 'done';
+    send(socket, { type: 'result', outputId: session.outputId, ...results });
+  } catch (error) {
+    session.state = 'failed';
+    console.error('❌ Live session failed:', session.outputId, error.message);
+    send(socket, { type: 'error', error: error.message, failureReason: error.reason || FAILURE_REASONS.CRASHED });
+  } finally {
+    sessions.delete(session.outputId);
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.close(1000, session.state);
+    }
+  }
+}
+
+function handleConnection(socket, req, finalize) {
+  // Oversized chunks and protocol errors close the socket; 'close' below still finalizes the session
+  socket.on('error', (err) => console.warn('⚠️ Live socket error:', err.message));
+
+  const outputId = new URL(req.url, 'http://localhost').searchParams.get('outputId');
+  const session = outputId && sessions.get(outputId);
+
+  // Someone else's session looks the same as a missing one
+  if (!session || session.state !== 'pending' || session.userId !== req.user.userId) {
+    send(socket, { type: 'error', error: 'Unknown or already started live session' });
+    socket.close(1008, 'unknown session');
+    return;
+  }
+
+  console.log('🎥 Live session connected:', outputId, session.realtime ? '(realtime)' : '(analyze on stop)');
+
+  session.state = 'streaming';
+  session.recording = fs.createWriteStream(session.recordingPath);
+
+  // Only the realtime decoder reads the in-memory copy of the stream
+  if (session.realtime) {
+    session.input = new PassThrough();
+    startRealtimeAnalyzer(session, socket);
+  }
+
+  session.maxDurationTimer = setTimeout(() => {
+    send(socket, { type: 'stage', stage: 'max-duration-reached', maxDurationSec: MAX_DURATION_SEC });
+    stopSession(session, socket, finalize);
+  }, MAX_DURATION_SEC * 1000);
+
+  socket.on('message', (data, isBinary) => {
+    if (isBinary) {
+      if (session.state === 'streaming') {
+        session.recording.write(data);
+        if (session.input) session.input.write(data);
+      }
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (err) {
+      send(socket, { type: 'error', error: 'Invalid control message' });
+      return;
+    }
+
+    if (message.type === 'stop') {
+      stopSession(session, socket, finalize);
+    }
+  });
+
+  // A dropped connection still finalizes so the recording isn't lost
+  socket.on('close', () => stopSession(session, socket, finalize));
+
+  send(socket, {
+    type: 'ready',
+    outputId,
+    realtime: session.realtime,
+    frame: { width: FRAME_WIDTH, height: FRAME_HEIGHT, fps: FRAME_RATE },
+    maxDurationSec: MAX_DURATION_SEC
+  });
+}
+
+/**
+ * Whether a live session is still pending, streaming or finalizing
+ * @param {string} outputId - Output ID of the session
+ * @returns {boolean}
+ */
+function isLiveSessionActive(outputId) {
+  return sessions.has(outputId);
+}
+
+// Browsers can't set headers on a WebSocket, so the access token may also come as ?access_token=
+function authenticateUpgrade({ req }, done) {
+  const header = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  const token = header ? header[1] : new URL(req.url, 'http://localhost').searchParams.get('access_token');
+  if (!token) return done(false, 401, 'Authentication required');
+
+  try {
+    const claims = verifyAccessToken(token);
+    req.user = { userId: claims.sub, role: claims.role, email: claims.email, name: claims.name };
+  } catch (err) {
+    return done(false, 401, err.message);
+  }
+
+  const decision = decide(authenticateUpgrade.permission, req.user);
+  if (!decision.allowed) return done(false, 403, decision.reason);
+  done(true);
+}
+// Same action as POST /api/start-live-recording; checked by npm run test:permissions
+authenticateUpgrade.permission = 'videos.analyze';
+
+/**
+ * Attach the live WebSocket endpoint to an HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @param {Function} finalize - async (session, onProgress) => results, run after the stream stops;
+ *   realtime sessions must await waitForRealtimeAnalyzer(session) first
+ * @returns {WebSocket.Server} - The WebSocket server
+ */
+function attachLiveSocket(server, finalize) {
+  const wss = new WebSocket.Server({
+    server,
+    path: '/api/live',
+    maxPayload: MAX_CHUNK_BYTES,
+    verifyClient: authenticateUpgrade
+  });
+  wss.on('connection', (socket, req) => handleConnection(socket, req, finalize));
+  return wss;
+}
+
+module.exports = {
+  createLiveSession,
+  waitForRealtimeAnalyzer,
+  isLiveSessionActive,
+  authenticateUpgrade,
+  attachLiveSocket
+};
@@ -0,0 +1,116 @@
+// Outgoing mail for TalentTrack
+// Mail goes through a transport - any object with
+//   name: string
+//   send({ from, to, subject, text, html }): Promise<void>
+// MAIL_TRANSPORT picks one:
+//   smtp    - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS (via nodemailer)
+//   file    - each message written as JSON to MAIL_DIR (default mail-outbox/), for development and tests
+//   console - each message logged
+// Without MAIL_TRANSPORT it is smtp when SMTP_HOST is set, else console.
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'TalentTrack <no-reply@talenttrack.local>';
+
+/**
+ * SMTP transport
+ * @param {object} options - { host, port, secure, user, pass }
+ * @returns {object} - Transport
+ */
+function createSmtpTransport({ host, port = 587, secure = false, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+/**
+ * File transport: one JSON file per message
+ * @param {string} dir - Output directory
+ * @returns {object} - Transport
+ */
+function createFileTransport(dir) {
+  fs.ensureDirSync(dir);
+
+  return {
+    name: 'file',
+    dir,
+    send: async (message) => {
+      const fileName = `${Date.now()}_${crypto.randomBytes(3).toString('hex')}.json`;
+      await fs.writeJson(path.join(dir, fileName), { ...message, sentAt: new Date().toISOString() }, { spaces: 2 });
+    }
+  };
+}
+
+/**
+ * Console transport: log each message
+ * @returns {object} - Transport
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async ({ to, subject, text }) => {
+      console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    }
+  };
+}
+
+function transportFromEnv() {
+  const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  if (kind === 'smtp') {
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+  if (kind === 'file') {
+    return createFileTransport(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox'));
+  }
+  if (kind !== 'console') {
+    console.warn(`⚠️ Unknown MAIL_TRANSPORT "${kind}" - logging mail to the console`);
+  }
+  return createConsoleTransport();
+}
+
+let transport = null;
+
+/**
+ * Replace the mail transport (defaults to the one MAIL_TRANSPORT selects)
+ * @param {object} customTransport - Object with name and send(message)
+ */
+function configureMailer(customTransport) {
+  transport = customTransport;
+  console.log(`📧 Mail transport: ${transport.name}`);
+}
+
+/**
+ * Send a message
+ * @param {object} message - { to, subject, text, html }
+ */
+async function sendMail(message) {
+  if (!transport) configureMailer(transportFromEnv());
+  await transport.send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  configureMailer,
+  sendMail
+};
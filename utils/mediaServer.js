@@ -0,0 +1,246 @@
+// Media serving for TalentTrack outputs
+// Annotated videos, extracted frames, HLS packages, rep clips and previews are served from
+// outputs/<outputId>. Requested names are only ever matched against the
+// directory listing, so a request can never reach outside the output folder.
+// Responses go through res.sendFile, which answers Range requests with 206 and
+// handles ETag / Last-Modified revalidation.
+//
+// Requests need a logged-in user (routes/media.js). When MEDIA_SIGNING_SECRET is set
+// every request also needs ?expires=<unix>&sig=<hmac>, signed per outputId, so one
+// token covers a whole output (frames, HLS segments).
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET || null;
+const TOKEN_TTL_SEC = parseInt(process.env.MEDIA_TOKEN_TTL_SEC) || 3600;
+
+const OUTPUT_ID_PATTERN = /^(live_)?\d+_[A-Za-z0-9_]+$/;
+const NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+// Where each kind of media lives inside outputs/<outputId>, what may be served and how long to cache it
+const MEDIA_KINDS = {
+  video: {
+    dir: [],
+    types: { '.mp4': 'video/mp4', '.webm': 'video/webm' },
+    // May be replaced by the browser-format conversion, so revalidate via ETag
+    maxAgeSec: 3600,
+    immutable: false
+  },
+  frame: {
+    dir: ['frames'],
+    types: { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' },
+    maxAgeSec: 31536000,
+    immutable: true
+  },
+  hls: {
+    dir: ['hls'],
+    types: { '.m3u8': 'application/vnd.apple.mpegurl', '.ts': 'video/mp2t' },
+    // Playlists are short-lived, segments never change
+    maxAgeSec: 60,
+    immutable: false,
+    overrides: { '.ts': { maxAgeSec: 31536000, immutable: true } }
+  },
+  clip: {
+    dir: ['clips'],
+    types: { '.mp4': 'video/mp4' },
+    maxAgeSec: 3600,
+    immutable: false
+  },
+  preview: {
+    dir: ['previews'],
+    types: { '.jpg': 'image/jpeg', '.gif': 'image/gif' },
+    maxAgeSec: 3600,
+    immutable: false
+  }
+};
+
+let outputsRoot = null;
+
+/**
+ * Set the outputs directory media is served from
+ * @param {string} outputsDir - The server's outputs directory
+ */
+function configureMediaServer(outputsDir) {
+  outputsRoot = outputsDir;
+}
+
+/**
+ * Directory of an existing output, or null for malformed or unknown IDs
+ * @param {string} outputId - Output ID
+ * @returns {string|null} - Absolute path of outputs/<outputId>
+ */
+function getOutputDir(outputId) {
+  if (!OUTPUT_ID_PATTERN.test(String(outputId))) return null;
+  const outputDir = path.join(outputsRoot, outputId);
+  return fs.existsSync(outputDir) ? outputDir : null;
+}
+
+function isSigningEnabled() {
+  return !!SIGNING_SECRET;
+}
+
+function signature(outputId, expires) {
+  return crypto.createHmac('sha256', SIGNING_SECRET).update(`${outputId}.${expires}`).digest('hex');
+}
+
+/**
+ * Append an expiring signature to a media URL (unchanged when signing is off)
+ * @param {string} url - Media URL, e.g. /api/video/<outputId>/<file>
+ * @param {string} outputId - Output the URL points into
+ * @param {number} ttlSec - Lifetime of the token
+ * @returns {string} - URL with expires and sig query parameters
+ */
+function signMediaUrl(url, outputId, ttlSec = TOKEN_TTL_SEC) {
+  if (!url || !isSigningEnabled()) return url;
+  const expires = Math.floor(Date.now() / 1000) + ttlSec;
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}expires=${expires}&sig=${signature(outputId, expires)}`;
+}
+
+/**
+ * Check the expires/sig query parameters of a media request
+ * @param {string} outputId - Output being requested
+ * @param {object} query - req.query
+ * @returns {boolean} - true when signing is off or the token is valid and unexpired
+ */
+function verifyMediaSignature(outputId, query) {
+  if (!isSigningEnabled()) return true;
+  // ?sig[]=... arrives as an array and would pass the pattern check as a string
+  if (typeof query.sig !== 'string' || typeof query.expires !== 'string') return false;
+
+  const expires = parseInt(query.expires);
+  if (!expires || expires < Date.now() / 1000 || !/^[a-f0-9]{64}$/.test(query.sig)) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(signature(outputId, expires), 'hex'),
+    Buffer.from(query.sig, 'hex')
+  );
+}
+
+/**
+ * Find a file the job actually produced. Every path segment must be an entry
+ * of the directory above it; nothing user-supplied is joined blindly.
+ * @param {string} kind - 'video', 'frame', 'hls', 'clip' or 'preview'
+ * @param {string} outputId - Output ID
+ * @param {string[]} names - Sub-directories (HLS rendition) followed by the file name
+ * @returns {object|null} - { filePath, extension, contentType } or null
+ */
+function resolveMediaFile(kind, outputId, names) {
+  const media = MEDIA_KINDS[kind];
+  if (!media || !OUTPUT_ID_PATTERN.test(outputId) || !names.every(name => NAME_PATTERN.test(name))) {
+    return null;
+  }
+
+  let current = path.join(outputsRoot, outputId, ...media.dir);
+  for (let i = 0; i < names.length; i++) {
+    const isFile = i === names.length - 1;
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (error) {
+      return null;
+    }
+
+    const entry = entries.find(candidate => candidate.name === names[i]);
+    if (!entry || (isFile ? !entry.isFile() : !entry.isDirectory())) {
+      return null;
+    }
+    current = path.join(current, entry.name);
+  }
+
+  const extension = path.extname(current).toLowerCase();
+  const contentType = media.types[extension];
+  return contentType ? { filePath: current, extension, contentType } : null;
+}
+
+// Playlists must carry the signature and a query access token on to the variant playlists
+// and segments they list - players request those without the page's headers
+const PLAYLIST_PARAMS = ['expires', 'sig', 'access_token'];
+
+function playlistSuffix(query) {
+  return PLAYLIST_PARAMS
+    .filter(name => typeof query[name] === 'string' && query[name])
+    .map(name => `${name}=${encodeURIComponent(query[name])}`)
+    .join('&');
+}
+
+function sendPlaylist(res, file, suffix) {
+  const playlist = fs.readFileSync(file.filePath, 'utf8')
+    .split('\n')
+    .map(line => (line && !line.startsWith('#') ? `${line}${line.includes('?') ? '&' : '?'}${suffix}` : line))
+    .join('\n');
+
+  res.setHeader('Content-Type', file.contentType);
+  res.send(playlist);
+}
+
+/**
+ * Express handler factory serving one kind of media
+ * @param {string} kind - 'video', 'frame', 'hls', 'clip' or 'preview'
+ * @param {Function} getNames - req => [subdir..., filename]
+ * @returns {Function} - (req, res) handler
+ */
+function serveMedia(kind, getNames) {
+  const media = MEDIA_KINDS[kind];
+  const label = kind.charAt(0).toUpperCase() + kind.slice(1);
+
+  return (req, res) => {
+    const { outputId } = req.params;
+
+    if (!verifyMediaSignature(outputId, req.query)) {
+      return res.status(403).json({ error: 'Invalid or expired media token' });
+    }
+
+    const file = resolveMediaFile(kind, outputId, getNames(req));
+    if (!file) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    const { maxAgeSec, immutable } = { ...media, ...(media.overrides || {})[file.extension] };
+    // Media is per user, so shared caches must not keep it
+    res.setHeader('Cache-Control', `private, max-age=${maxAgeSec}${immutable ? ', immutable' : ''}`);
+
+    const suffix = file.extension === '.m3u8' ? playlistSuffix(req.query) : '';
+    if (suffix) {
+      return sendPlaylist(res, file, suffix);
+    }
+
+    res.setHeader('Content-Type', file.contentType);
+    res.sendFile(file.filePath, (err) => {
+      if (err && !res.headersSent) {
+        res.status(err.status || 500).json({ error: `Could not send ${kind}` });
+      }
+    });
+  };
+}
+
+/**
+ * List extracted frames of an output as (signed) URLs
+ * @param {string} outputId - Output ID
+ * @returns {string[]|null} - Frame URLs in order, or null if there are none
+ */
+function listFrameUrls(outputId) {
+  if (!OUTPUT_ID_PATTERN.test(outputId)) return null;
+
+  const framesDir = path.join(outputsRoot, outputId, ...MEDIA_KINDS.frame.dir);
+  if (!fs.existsSync(framesDir)) return null;
+
+  return fs.readdirSync(framesDir)
+    .filter(f => f.endsWith('.jpg'))
+    .sort()
+    .map(f => signMediaUrl(`/api/frame/${outputId}/${f}`, outputId));
+}
+
+module.exports = {
+  configureMediaServer,
+  getOutputDir,
+  isSigningEnabled,
+  signMediaUrl,
+  verifyMediaSignature,
+  resolveMediaFile,
+  serveMedia,
+  listFrameUrls
+};
@@ -0,0 +1,121 @@
+// Password hashing for TalentTrack accounts
+// Passwords are stored in users.passwordHash as
+//   scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+// with a random salt per user. Accounts created before hashing still have a
+// plaintext users.password; it is replaced by a hash on the next successful
+// login (see migrate-passwords.js for accounts that never log in again).
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Raising these makes verifyUserPassword() report existing hashes for upgrade
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+// 128 * N * r with headroom - Node's default limit is right at the edge for N=16384
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+// Fields that hold credentials - never sent to clients or set through profile updates
+const CREDENTIAL_FIELDS = ['password', 'passwordHash'];
+const CREDENTIAL_PROJECTION = Object.fromEntries(CREDENTIAL_FIELDS.map(field => [field, 0]));
+
+async function deriveKey(password, salt, { N, r, p }) {
+  return scrypt(String(password).normalize('NFKC'), salt, KEY_LENGTH, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+function parseHash(encoded) {
+  const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return null;
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  if (![N, r, p].every(Number.isInteger)) return null;
+  return { params: { N, r, p }, salt: Buffer.from(parts[4], 'base64'), hash: Buffer.from(parts[5], 'base64') };
+}
+
+/**
+ * Hash a password with a fresh salt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - Encoded hash for users.passwordHash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await deriveKey(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against an encoded hash in constant time
+ * @param {string} password - Plaintext password
+ * @param {string} encoded - Value of users.passwordHash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, encoded) {
+  const parsed = parseHash(encoded);
+  if (!parsed || parsed.hash.length === 0) return false;
+
+  const hash = await deriveKey(password, parsed.salt, parsed.params);
+  return hash.length === parsed.hash.length && crypto.timingSafeEqual(hash, parsed.hash);
+}
+
+// Compare digests so the plaintext check doesn't leak the stored length
+function plaintextMatches(password, stored) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(password), digest(stored));
+}
+
+// Hashed once, on the first login attempt without a stored hash to compare against
+let dummyHash = null;
+
+// Spend the same scrypt time as a real check, so unknown accounts don't answer faster
+async function rejectSlowly(password) {
+  if (!dummyHash) dummyHash = hashPassword(crypto.randomBytes(SALT_BYTES).toString('base64'));
+  await verifyPassword(password, await dummyHash);
+  return { valid: false, upgradeHash: null };
+}
+
+/**
+ * Check a login attempt against a user document, hashed or legacy plaintext
+ * @param {object} user - users document, or null when no account has the email
+ * @param {string} password - Password from the request
+ * @returns {Promise<object>} - { valid, upgradeHash } - upgradeHash is set when the stored
+ *   credential should be replaced (plaintext, or a hash with outdated parameters)
+ */
+async function verifyUserPassword(user, password) {
+  if (!user) return rejectSlowly(password);
+
+  if (user.passwordHash) {
+    const valid = await verifyPassword(password, user.passwordHash);
+    const { params } = parseHash(user.passwordHash) || {};
+    const outdated = !params || Object.keys(SCRYPT_PARAMS).some(key => params[key] !== SCRYPT_PARAMS[key]);
+    return { valid, upgradeHash: valid && outdated ? await hashPassword(password) : null };
+  }
+
+  if (typeof user.password === 'string' && user.password.length > 0) {
+    const valid = plaintextMatches(password, user.password);
+    return { valid, upgradeHash: valid ? await hashPassword(password) : null };
+  }
+
+  return rejectSlowly(password);
+}
+
+/**
+ * Copy of a profile update without credential fields
+ * @param {object} updates - Fields from the request body
+ * @returns {object}
+ */
+function withoutCredentials(updates) {
+  const copy = { ...updates };
+  CREDENTIAL_FIELDS.forEach((field) => {
+    delete copy[field];
+  });
+  return copy;
+}
+
+module.exports = {
+  CREDENTIAL_PROJECTION,
+  hashPassword,
+  verifyPassword,
+  verifyUserPassword,
+  withoutCredentials
+};
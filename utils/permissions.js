@@ -0,0 +1,389 @@
+// Role-based access control for TalentTrack
+// POLICY says which roles may perform each action and how the caller must relate
+// to the user the request is about (the "target"):
+//   any    - every user of the role
+//   self   - the target is the caller
+//   linked - the target has an accepted connection with the caller (coach <-> athlete)
+// Routes declare their action with permit(action, target), where target resolves
+// the target user from the request (see targets below). requireAuth must run first.
+// decide() is pure so the policy matrix can be checked without a database
+// (npm run test:permissions).
+const fs = require('fs-extra');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+const { getUploadOwner } = require('./chunkedUploads');
+const { isSigningEnabled, verifyMediaSignature } = require('./mediaServer');
+
+const ROLES = ['ATHLETE', 'COACH', 'SAI_ADMIN'];
+// Roles anyone may sign up with - admins are only made through roles.assign
+const SIGNUP_ROLES = ['ATHLETE', 'COACH'];
+
+const POLICY = {
+  'sessions.create': {
+    description: 'save workout sessions',
+    roles: { ATHLETE: ['self'], COACH: ['linked'], SAI_ADMIN: ['any'] }
+  },
+  'sessions.read': {
+    description: 'view workout sessions',
+    roles: { ATHLETE: ['self'], COACH: ['self', 'linked'], SAI_ADMIN: ['any'] }
+  },
+  'sessions.update': {
+    description: 'change workout sessions',
+    roles: { ATHLETE: ['self'], COACH: ['linked'], SAI_ADMIN: ['any'] }
+  },
+  'sessions.delete': {
+    description: 'delete workout sessions',
+    roles: { ATHLETE: ['self'], SAI_ADMIN: ['any'] }
+  },
+  'sessions.listAthletes': {
+    description: 'list every athlete with workouts',
+    roles: { SAI_ADMIN: ['any'] }
+  },
+  'profile.read': {
+    description: 'view profiles',
+    roles: { ATHLETE: ['any'], COACH: ['any'], SAI_ADMIN: ['any'] }
+  },
+  'profile.write': {
+    description: 'edit profiles',
+    roles: { ATHLETE: ['self'], COACH: ['self'], SAI_ADMIN: ['any'] }
+  },
+  'roles.assign': {
+    description: 'change roles',
+    roles: { SAI_ADMIN: ['any'] }
+  },
+  'users.browse': {
+    description: 'browse coaches and athletes',
+    roles: { ATHLETE: ['any'], COACH: ['any'], SAI_ADMIN: ['any'] }
+  },
+  'users.listAll': {
+    description: 'list all users',
+    roles: { SAI_ADMIN: ['any'] }
+  },
+  'connections.read': {
+    description: 'view connections',
+    roles: { ATHLETE: ['self'], COACH: ['self'], SAI_ADMIN: ['any'] }
+  },
+  'connections.request': {
+    description: 'send connection requests',
+    roles: { ATHLETE: ['self'], COACH: ['self'], SAI_ADMIN: ['any'] }
+  },
+  'connections.respond': {
+    description: 'answer connection requests',
+    roles: { ATHLETE: ['self'], COACH: ['self'], SAI_ADMIN: ['any'] }
+  },
+  'batches.manage': {
+    description: 'run batch assessments',
+    roles: { COACH: ['any'], SAI_ADMIN: ['any'] }
+  },
+  'batches.read': {
+    description: 'view batch assessments',
+    roles: { COACH: ['self'], SAI_ADMIN: ['any'] }
+  },
+  'videos.analyze': {
+    description: 'analyze videos',
+    roles: { ATHLETE: ['any'], COACH: ['any'], SAI_ADMIN: ['any'] }
+  },
+  'uploads.write': {
+    description: 'continue resumable uploads',
+    roles: { ATHLETE: ['self'], COACH: ['self'], SAI_ADMIN: ['any'] }
+  },
+  'analyses.read': {
+    description: 'view analysis jobs and results',
+    roles: { ATHLETE: ['self'], COACH: ['self', 'linked'], SAI_ADMIN: ['any'] }
+  },
+  'analyses.cancel': {
+    description: 'cancel analysis jobs',
+    roles: { ATHLETE: ['self'], COACH: ['self'], SAI_ADMIN: ['any'] }
+  },
+  'media.read': {
+    description: 'view analysis media',
+    roles: { ATHLETE: ['self'], COACH: ['self', 'linked'], SAI_ADMIN: ['any'] }
+  },
+  'admin.access': {
+    description: 'use the admin endpoints',
+    roles: { SAI_ADMIN: ['any'] }
+  },
+  'db.access': {
+    description: 'use the database utility endpoints',
+    roles: { SAI_ADMIN: ['any'] }
+  }
+};
+
+// Target resolver result for requests about something that doesn't exist - the route answers 400/404 itself
+const NO_RESOURCE = Symbol('NO_RESOURCE');
+
+const RELATION_TEXT = {
+  self: 'themselves',
+  linked: 'linked athletes'
+};
+
+/**
+ * Decide whether a user may perform an action
+ * @param {string} action - POLICY key
+ * @param {object} user - req.user ({ userId, role })
+ * @param {object} facts - { targetUserId, linked } - linked: target has an accepted connection with the user
+ * @returns {object} - { allowed, reason }
+ */
+function decide(action, user, facts = {}) {
+  const policy = POLICY[action];
+  if (!policy) {
+    return { allowed: false, reason: `Unknown action: ${action}` };
+  }
+  if (!user || !ROLES.includes(user.role)) {
+    return { allowed: false, reason: `Role ${user ? user.role : 'none'} has no permissions` };
+  }
+
+  const relations = policy.roles[user.role];
+  if (!relations) {
+    return { allowed: false, reason: `${user.role} may not ${policy.description}` };
+  }
+
+  const { targetUserId = null, linked = false } = facts;
+  const granted = relations.some(relation => relation === 'any'
+    || (relation === 'self' && targetUserId !== null && targetUserId === user.userId)
+    || (relation === 'linked' && targetUserId !== null && linked));
+
+  return granted
+    ? { allowed: true, reason: null }
+    : { allowed: false, reason: `${user.role} may only ${policy.description} of ${relations.map(r => RELATION_TEXT[r]).join(' or ')}` };
+}
+
+async function isLinked(userId, otherUserId) {
+  const connection = await getDB().collection('connections').findOne({
+    status: 'accepted',
+    $or: [
+      { fromUserId: userId, toUserId: otherUserId },
+      { fromUserId: otherUserId, toUserId: userId }
+    ]
+  });
+  return !!connection;
+}
+
+// Facts decide() needs about a target, only looking up the connection when the role can use it
+async function targetFacts(user, relations, targetUserId) {
+  return {
+    targetUserId: targetUserId || null,
+    linked: relations.includes('linked') && !!targetUserId && targetUserId !== user.userId
+      && await isLinked(user.userId, targetUserId)
+  };
+}
+
+/**
+ * Decide an action about a given user outside of a route (e.g. each item of a batch)
+ * @param {string} action - POLICY key
+ * @param {object} user - req.user ({ userId, role })
+ * @param {string} targetUserId - User the action is about
+ * @returns {Promise<object>} - { allowed, reason }, see decide
+ */
+async function authorize(action, user, targetUserId) {
+  const relations = user && POLICY[action] && POLICY[action].roles[user.role];
+  const facts = relations ? await targetFacts(user, relations, targetUserId) : {};
+  return decide(action, user, facts);
+}
+
+/**
+ * The user with a given name - names aren't unique, so only when exactly one user has it
+ * @param {string} name - Exact name
+ * @returns {Promise<string|null>} - userId, null when no or several users have the name
+ */
+async function userIdByName(name) {
+  if (typeof name !== 'string' || !name) return null;
+  const users = await getDB().collection('users')
+    .find({ name }, { projection: { userId: 1 } })
+    .limit(2)
+    .toArray();
+  return users.length === 1 ? users[0].userId : null;
+}
+
+// The caller when they are one of several owners, else the first one (checked for a link)
+function ownerFor(user, owners) {
+  const userIds = owners.filter(Boolean);
+  return userIds.includes(user.userId) ? user.userId : (userIds[0] || null);
+}
+
+// The users who queued the job behind an analysis output
+async function outputRequesters(outputId) {
+  const job = await getDB().collection('processing_jobs').findOne({ outputId }, { projection: { requestedBy: 1 } });
+  return (job && job.requestedBy) || [];
+}
+
+/**
+ * The owner of an analysis output to check an action against: the athletes of sessions saved
+ * from it and whoever queued it. Outputs with neither (older jobs) are left to admins.
+ * @param {object} user - req.user ({ userId, role })
+ * @param {string} outputId - Analysis output ID
+ * @returns {Promise<string|null>} - userId, the caller when they are one of the owners
+ */
+async function outputOwner(user, outputId) {
+  const [sessions, requesters] = await Promise.all([
+    getDB().collection('workout_sessions').find({ outputId }, { projection: { athleteId: 1 } }).limit(20).toArray(),
+    outputRequesters(outputId)
+  ]);
+  return ownerFor(user, [...sessions.map(session => session.athleteId), ...requesters]);
+}
+
+/**
+ * Whether a user may link an analysis output to a session they save. Only whoever queued it
+ * (or an admin) may - linking makes the session's athlete an owner of the output.
+ * @param {object} user - req.user ({ userId, role })
+ * @param {string} outputId - Analysis output ID from the request
+ * @returns {Promise<boolean>}
+ */
+async function mayLinkOutput(user, outputId) {
+  if (typeof outputId !== 'string' || !outputId) return false;
+  const requesters = await outputRequesters(outputId);
+  const targetUserId = requesters.includes(user.userId) ? user.userId : null;
+  return decide('analyses.read', user, { targetUserId }).allowed;
+}
+
+// Multipart uploads land on disk before the check runs - drop them when it fails
+async function discardUploads(req) {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  await Promise.all(files.filter(file => file.path).map(file => fs.remove(file.path)));
+}
+
+/**
+ * Express middleware enforcing POLICY[action]
+ * @param {string} action - POLICY key
+ * @param {Function} target - async (req) => target userId, null if unknown, or NO_RESOURCE
+ * @returns {Function} - Middleware, tagged with .permission for the route matrix test
+ */
+function permit(action, target = null) {
+  const policy = POLICY[action];
+  if (!policy) throw new Error(`Unknown permission: ${action}`);
+  const needsTarget = Object.values(policy.roles).some(relations => !relations.includes('any'));
+
+  const middleware = async (req, res, next) => {
+    try {
+      const relations = req.user && policy.roles[req.user.role];
+      let facts = {};
+
+      // Roles granted "any" (or nothing) don't need the target looked up
+      if (target && needsTarget && relations && !relations.includes('any')) {
+        const targetUserId = await target(req);
+        if (targetUserId === NO_RESOURCE) return next();
+        facts = await targetFacts(req.user, relations, targetUserId);
+      }
+
+      const decision = decide(action, req.user, facts);
+      if (decision.allowed) return next();
+
+      console.warn(`🚫 ${req.user ? req.user.userId : 'anonymous'} denied ${action}: ${decision.reason}`);
+      await discardUploads(req);
+      res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        reason: decision.reason
+      });
+    } catch (err) {
+      console.error('❌ Error checking permissions:', err);
+      await discardUploads(req);
+      res.status(500).json({
+        success: false,
+        error: 'Error checking permissions',
+        details: err.message
+      });
+    }
+  };
+  middleware.permission = action;
+  return middleware;
+}
+
+// Target resolvers for permit()
+const targets = {
+  // A route or query parameter that is a userId
+  param: name => async req => req.params[name] || null,
+  query: name => async req => req.query[name] || null,
+  body: name => async req => (req.body && req.body[name]) || null,
+
+  // The athlete a new session is saved for; athletes may leave athleteId out
+  newSession: async (req) => {
+    const sessionMeta = req.body && req.body.sessionMeta;
+    if (!sessionMeta) return NO_RESOURCE;
+    if (!sessionMeta.athleteId && req.user.role === 'ATHLETE') {
+      sessionMeta.athleteId = req.user.userId;
+    }
+    return sessionMeta.athleteId || null;
+  },
+
+  // The athlete a stored session belongs to (older sessions only carry the name)
+  session: async (req) => {
+    const { sessionId } = req.params;
+    if (!ObjectId.isValid(sessionId)) return NO_RESOURCE;
+    const session = await getDB().collection('workout_sessions').findOne(
+      { _id: new ObjectId(sessionId) },
+      { projection: { athleteId: 1, athleteName: 1 } }
+    );
+    if (!session) return NO_RESOURCE;
+    return session.athleteId || userIdByName(session.athleteName);
+  },
+
+  // The one user with the name in the path; the route answers 404 when the name isn't unique
+  athleteName: async req => (await userIdByName(req.params.athleteName)) || NO_RESOURCE,
+
+  // Only the recipient answers a connection request
+  connectionRecipient: async (req) => {
+    const { requestId } = req.params;
+    if (!ObjectId.isValid(requestId)) return NO_RESOURCE;
+    const connection = await getDB().collection('connections').findOne({ _id: new ObjectId(requestId) });
+    return connection ? connection.toUserId : NO_RESOURCE;
+  },
+
+  // The coach who created a batch
+  batchOwner: async (req) => {
+    const batch = await getDB().collection('processing_batches').findOne(
+      { batchId: req.params.batchId },
+      { projection: { createdBy: 1 } }
+    );
+    return batch ? batch.createdBy : NO_RESOURCE;
+  },
+
+  // Whoever queued a job - a cached analysis is shared by everyone who sent the same video
+  job: async (req) => {
+    const job = await getDB().collection('processing_jobs').findOne(
+      { jobId: req.params.jobId },
+      { projection: { requestedBy: 1 } }
+    );
+    return job ? ownerFor(req.user, job.requestedBy || []) : NO_RESOURCE;
+  },
+
+  // An analysis output, see outputOwner
+  output: async req => outputOwner(req.user, req.params.outputId),
+
+  // A valid media signature was handed out by a route that already checked access - it
+  // stands in for ownership; without signing the output's owners decide
+  media: async (req) => {
+    if (isSigningEnabled() && verifyMediaSignature(req.params.outputId, req.query)) return req.user.userId;
+    return targets.output(req);
+  },
+
+  // The user who started a resumable upload
+  upload: async (req) => {
+    try {
+      return await getUploadOwner(req.params.uploadId);
+    } catch (error) {
+      if (error.status) return NO_RESOURCE;
+      throw error;
+    }
+  },
+
+  // Either side may check the status between two users
+  connectionPair: async (req) => {
+    const { userId1, userId2 } = req.params;
+    return [userId1, userId2].includes(req.user.userId) ? req.user.userId : userId1;
+  }
+};
+
+module.exports = {
+  ROLES,
+  SIGNUP_ROLES,
+  POLICY,
+  NO_RESOURCE,
+  decide,
+  authorize,
+  permit,
+  targets,
+  outputOwner,
+  mayLinkOutput,
+  userIdByName
+};
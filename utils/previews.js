@@ -0,0 +1,224 @@
+// Preview images for processed workout videos
+// Written to outputs/<outputId>/previews/ after analysis:
+//   poster.jpg        - one representative frame
+//   contact_sheet.jpg - a grid with one frame per detected rep (middle of startSec..endSec)
+//   preview.gif       - a short time-lapse of the whole video
+// Frames come from the 10 FPS frames/ folder when it exists, otherwise ffmpeg grabs them.
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const sharp = require('sharp');
+
+const PREVIEWS_DIR = 'previews';
+const PREVIEW_FILES = {
+  poster: 'poster.jpg',
+  contactSheet: 'contact_sheet.jpg',
+  animated: 'preview.gif'
+};
+
+const FRAMES_FPS = 10;
+const POSTER_WIDTH = 640;
+const TILE_WIDTH = 240;
+const SHEET_COLUMNS = 4;
+const MAX_SHEET_TILES = 24;
+// Used when the CSV has no rep times
+const FALLBACK_TILES = 8;
+const GIF_WIDTH = 320;
+const GIF_FRAMES = 20;
+const GIF_FRAME_DELAY_MS = 200;
+
+function probeDuration(inputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inputPath, (err, metadata) => {
+      if (err) return reject(err);
+      resolve(parseFloat(metadata.format.duration) || 0);
+    });
+  });
+}
+
+// Grab one frame at timeSec as a JPEG buffer
+async function grabFrame(source, timeSec) {
+  if (source.frames.length > 0) {
+    const index = Math.min(source.frames.length - 1, Math.max(0, Math.floor(timeSec * FRAMES_FPS)));
+    return fs.readFile(path.join(source.framesDir, source.frames[index]));
+  }
+
+  const tempPath = path.join(source.workDir, `grab_${Date.now()}_${Math.random().toString(36).substring(2, 7)}.jpg`);
+  await new Promise((resolve, reject) => {
+    ffmpeg(source.videoPath)
+      .seekInput(Math.max(0, timeSec))
+      .frames(1)
+      .output(tempPath)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+
+  const buffer = await fs.readFile(tempPath);
+  await fs.remove(tempPath);
+  return buffer;
+}
+
+// Where frames are grabbed from: the frames/ folder if present, otherwise the video itself
+async function openFrameSource(outputDir, videoFile) {
+  const videoPath = path.join(outputDir, videoFile);
+  const framesDir = path.join(outputDir, 'frames');
+  const workDir = path.join(outputDir, PREVIEWS_DIR);
+  await fs.ensureDir(workDir);
+
+  const source = {
+    videoPath,
+    framesDir,
+    workDir,
+    frames: fs.existsSync(framesDir) ? fs.readdirSync(framesDir).filter(f => f.endsWith('.jpg')).sort() : []
+  };
+  const duration = source.frames.length > 0 ? source.frames.length / FRAMES_FPS : await probeDuration(videoPath);
+  return { source, duration };
+}
+
+// Evenly spaced timestamps across the video, avoiding the very first/last frame
+function spacedTimes(duration, count) {
+  return Array.from({ length: count }, (_, i) => (duration * (i + 0.5)) / count);
+}
+
+function repLabel(number, width, height) {
+  return Buffer.from(
+    `<svg width="${width}" height="${height}">
+      <rect x="6" y="6" width="54" height="24" rx="4" fill="black" fill-opacity="0.6"/>
+      <text x="33" y="23" font-family="sans-serif" font-size="14" fill="white" text-anchor="middle">#${number}</text>
+    </svg>`
+  );
+}
+
+async function createContactSheet(source, tiles, targetPath) {
+  // One at a time - without a frames/ folder every grab is an ffmpeg process
+  const images = [];
+  for (const tile of tiles) {
+    const resized = await sharp(await grabFrame(source, tile.timeSec))
+      .resize({ width: TILE_WIDTH })
+      .toBuffer({ resolveWithObject: true });
+    images.push({ ...tile, buffer: resized.data, height: resized.info.height });
+  }
+
+  const tileHeight = Math.max(...images.map(image => image.height));
+  const columns = Math.min(SHEET_COLUMNS, images.length);
+  const rows = Math.ceil(images.length / columns);
+
+  const composites = [];
+  images.forEach((image, i) => {
+    const left = (i % columns) * TILE_WIDTH;
+    const top = Math.floor(i / columns) * tileHeight;
+    composites.push({ input: image.buffer, left, top });
+    if (image.label !== undefined) {
+      composites.push({ input: repLabel(image.label, TILE_WIDTH, tileHeight), left, top });
+    }
+  });
+
+  await sharp({
+    create: { width: columns * TILE_WIDTH, height: rows * tileHeight, channels: 3, background: '#111111' }
+  })
+    .composite(composites)
+    .jpeg({ quality: 80 })
+    .toFile(targetPath);
+}
+
+async function createAnimatedPreview(source, duration, targetPath) {
+  const frames = [];
+  for (const timeSec of spacedTimes(duration, GIF_FRAMES)) {
+    frames.push(await sharp(await grabFrame(source, timeSec)).resize({ width: GIF_WIDTH }).png().toBuffer());
+  }
+
+  await sharp(frames, { join: { animated: true } })
+    .gif({ delay: GIF_FRAME_DELAY_MS, loop: 0 })
+    .toFile(targetPath);
+}
+
+/**
+ * Generate poster, contact sheet and animated preview for an output folder
+ * @param {string} outputDir - outputs/<outputId>
+ * @param {string} videoFile - Annotated video file name
+ * @param {object[]} reps - Normalized reps (startSec/endSec are used when present)
+ * @returns {Promise<object>} - Preview URLs, see getPreviewUrls
+ */
+async function generatePreviews(outputDir, videoFile, reps = []) {
+  const { source, duration } = await openFrameSource(outputDir, videoFile);
+  const workDir = source.workDir;
+
+  const timedReps = reps.filter(rep => typeof rep.startSec === 'number' && typeof rep.endSec === 'number');
+  const tiles = timedReps.length > 0
+    ? timedReps.slice(0, MAX_SHEET_TILES).map(rep => ({ label: rep.rep, timeSec: (rep.startSec + rep.endSec) / 2 }))
+    : spacedTimes(duration, FALLBACK_TILES).map(timeSec => ({ timeSec }));
+
+  // The poster shows the first rep when we know where it is, otherwise a third of the way in
+  const posterTime = timedReps.length > 0 ? tiles[0].timeSec : duration / 3;
+  await sharp(await grabFrame(source, posterTime))
+    .resize({ width: POSTER_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toFile(path.join(workDir, PREVIEW_FILES.poster));
+
+  await createContactSheet(source, tiles, path.join(workDir, PREVIEW_FILES.contactSheet));
+  await createAnimatedPreview(source, duration, path.join(workDir, PREVIEW_FILES.animated));
+
+  console.log('✅ Previews generated');
+  return getPreviewUrls(outputDir);
+}
+
+/**
+ * One screenshot per rep, in the shape POST /api/sessions/add receives from the app.
+ * Reps without startSec/endSec are spread evenly over the video.
+ * @param {string} outputDir - outputs/<outputId>
+ * @param {string} videoFile - Annotated video file name
+ * @param {object[]} reps - Normalized reps
+ * @returns {Promise<object[]>} - [{ repNumber, imageData, correct, details }] with JPEG data URLs
+ */
+async function captureRepImages(outputDir, videoFile, reps = []) {
+  if (reps.length === 0) return [];
+
+  const { source, duration } = await openFrameSource(outputDir, videoFile);
+  const fallbackTimes = spacedTimes(duration, reps.length);
+
+  const images = [];
+  for (const [i, rep] of reps.entries()) {
+    // clipUrl is signed per request and stored separately by saveWorkoutSession
+    const { rep: repNumber, correct, clipUrl, ...details } = rep;
+    const timeSec = typeof rep.startSec === 'number' && typeof rep.endSec === 'number'
+      ? (rep.startSec + rep.endSec) / 2
+      : fallbackTimes[i];
+    const jpeg = await sharp(await grabFrame(source, timeSec))
+      .resize({ width: POSTER_WIDTH, withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    images.push({
+      repNumber,
+      imageData: `data:image/jpeg;base64,${jpeg.toString('base64')}`,
+      correct: typeof correct === 'boolean' ? correct : null,
+      details
+    });
+  }
+  return images;
+}
+
+/**
+ * URLs of the previews that exist for an output folder
+ * @param {string} outputDir - outputs/<outputId>
+ * @returns {object} - { posterUrl, contactSheetUrl, animatedUrl } (null for missing files)
+ */
+function getPreviewUrls(outputDir) {
+  const outputId = path.basename(outputDir);
+  const urlFor = (file) => (fs.existsSync(path.join(outputDir, PREVIEWS_DIR, file))
+    ? `/api/preview/${outputId}/${file}`
+    : null);
+
+  return {
+    posterUrl: urlFor(PREVIEW_FILES.poster),
+    contactSheetUrl: urlFor(PREVIEW_FILES.contactSheet),
+    animatedUrl: urlFor(PREVIEW_FILES.animated)
+  };
+}
+
+module.exports = {
+  generatePreviews,
+  captureRepImages,
+  getPreviewUrls
+};
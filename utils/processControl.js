@@ -0,0 +1,100 @@
+// Process Control helpers for TalentTrack analyzer runs
+// Structured failure reasons, process-tree kills and capped log capture
+// for the Python processes spawned by executeScript.
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+
+const FAILURE_REASONS = {
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  CRASHED: 'crashed',
+  SCRIPT_NOT_FOUND: 'script-not-found',
+  INVALID_INPUT: 'invalid-input',
+  INTERRUPTED: 'interrupted'
+};
+
+// Grace period between SIGTERM and SIGKILL
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Create an Error carrying a structured failure reason
+ * @param {string} reason - One of FAILURE_REASONS
+ * @param {string} message - Human readable message
+ * @returns {Error} - Error with a `reason` property
+ */
+function processFailure(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Kill a child process and everything it started.
+ * On POSIX the child must have been spawned with detached: true so it leads its own process group.
+ * @param {ChildProcess} child - Process to kill
+ */
+function killProcessTree(child) {
+  if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    return;
+  }
+
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (err) {
+      // Group already gone - fall back to the process itself
+      try { child.kill(signal); } catch (ignored) { /* already exited */ }
+    }
+  };
+
+  signalGroup('SIGTERM');
+  // Always signal the group: the leader may have exited on SIGTERM while children that ignore it live on
+  const forceKill = setTimeout(() => {
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch (err) {
+      // Whole group already gone
+    }
+  }, KILL_GRACE_MS);
+  forceKill.unref();
+}
+
+/**
+ * Capture process output: everything goes to a log file, only the last
+ * maxBytes of each stream are kept in memory for error messages.
+ * @param {string} logPath - File the full output is appended to
+ * @param {number} maxBytes - In-memory tail size per stream
+ * @returns {{ write: Function, tail: Function, close: Function }}
+ */
+function createCappedLog(logPath, maxBytes = 64 * 1024) {
+  const file = fs.createWriteStream(logPath, { flags: 'a' });
+  const tails = { stdout: '', stderr: '' };
+
+  file.on('error', (err) => console.warn('⚠️ Could not write analyzer log:', err.message));
+
+  return {
+    write(stream, text) {
+      file.write(stream === 'stderr' ? text.replace(/^(?=.)/gm, '[stderr] ') : text);
+      tails[stream] += text;
+      if (tails[stream].length > maxBytes) {
+        tails[stream] = tails[stream].slice(-maxBytes);
+      }
+    },
+    tail(stream) {
+      return tails[stream];
+    },
+    close() {
+      return new Promise(resolve => file.end(resolve));
+    }
+  };
+}
+
+module.exports = {
+  FAILURE_REASONS,
+  processFailure,
+  killProcessTree,
+  createCappedLog
+};
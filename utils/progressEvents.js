@@ -0,0 +1,114 @@
+// Progress Event Bus for TalentTrack video processing
+// Keeps one channel per outputId so SSE clients can follow a job live,
+// and replays what already happened to clients that connect late.
+const { EventEmitter } = require('events');
+
+// How long a finished channel stays around for late subscribers
+const FINISHED_CHANNEL_TTL_MS = 10 * 60 * 1000;
+const MAX_HISTORY = 200;
+
+const channels = new Map();
+
+function getChannel(outputId) {
+  let channel = channels.get(outputId);
+  if (!channel) {
+    channel = {
+      emitter: new EventEmitter(),
+      history: [],
+      finished: false
+    };
+    channel.emitter.setMaxListeners(0);
+    channels.set(outputId, channel);
+  }
+  return channel;
+}
+
+/**
+ * Publish a progress event for an output
+ * @param {string} outputId - Output ID the event belongs to
+ * @param {string} type - Event type (stage, progress, rep, result, error)
+ * @param {object} data - Event payload
+ */
+function publish(outputId, type, data = {}) {
+  const channel = getChannel(outputId);
+  const event = { type, data: { ...data, timestamp: new Date().toISOString() } };
+
+  // Collapse consecutive progress events so the replay stays short
+  const last = channel.history[channel.history.length - 1];
+  if (type === 'progress' && last && last.type === 'progress') {
+    channel.history[channel.history.length - 1] = event;
+  } else {
+    channel.history.push(event);
+    if (channel.history.length > MAX_HISTORY) {
+      channel.history.shift();
+    }
+  }
+
+  channel.emitter.emit('event', event);
+
+  if (type === 'result' || type === 'error') {
+    channel.finished = true;
+    setTimeout(() => channels.delete(outputId), FINISHED_CHANNEL_TTL_MS).unref();
+  }
+}
+
+/**
+ * Subscribe to events for an output
+ * @param {string} outputId - Output ID to follow
+ * @param {Function} listener - Called with each { type, data } event
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribe(outputId, listener) {
+  const channel = getChannel(outputId);
+  channel.emitter.on('event', listener);
+  return () => channel.emitter.removeListener('event', listener);
+}
+
+/**
+ * Get the events already published for an output
+ * @param {string} outputId - Output ID
+ * @returns {{ history: Array, finished: boolean }|null} - null if nothing was published
+ */
+function getHistory(outputId) {
+  const channel = channels.get(outputId);
+  if (!channel) return null;
+  return { history: channel.history.slice(), finished: channel.finished };
+}
+
+/**
+ * Parse one line of analyzer stdout into a progress or rep event
+ * @param {string} line - A single stdout line
+ * @returns {{ type: string, data: object }|null} - Parsed event or null
+ */
+function parseScriptOutputLine(line) {
+  const repMatch = line.match(/\b(?:reps?|count)\b\s*[:=#]?\s*(\d+)/i);
+  if (repMatch) {
+    const event = { type: 'rep', data: { count: parseInt(repMatch[1]) } };
+    if (/incorrect|wrong|bad/i.test(line)) {
+      event.data.correct = false;
+    } else if (/correct|good/i.test(line)) {
+      event.data.correct = true;
+    }
+    return event;
+  }
+
+  const frameMatch = line.match(/\bframe\s*(\d+)\s*(?:\/|of)\s*(\d+)/i);
+  if (frameMatch && parseInt(frameMatch[2]) > 0) {
+    const percent = (parseInt(frameMatch[1]) / parseInt(frameMatch[2])) * 100;
+    return { type: 'progress', data: { percent: Math.min(100, Math.round(percent)) } };
+  }
+
+  const percentMatch = line.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (percentMatch) {
+    return { type: 'progress', data: { percent: Math.min(100, Math.round(parseFloat(percentMatch[1]))) } };
+  }
+
+  return null;
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  getHistory,
+  parseScriptOutputLine
+};
@@ -0,0 +1,164 @@
+// Rate limiting and lockout for TalentTrack's public auth endpoints
+// Attempts are counted in rate_limits, one document per limit and key
+// (e.g. "login.account:coach@example.com", "login.ip:203.0.113.7"), so every
+// server instance sees the same counts. Each limit allows `free` attempts; every
+// attempt after that locks the key for baseDelayMs, doubling each time up to
+// LOCKOUT_MAX_MIN. Counts start over once a key has been quiet for
+// RATE_LIMIT_WINDOW_MIN.
+const { getDB } = require('../db');
+
+const minutes = (envName, fallback) => (parseInt(process.env[envName]) || fallback) * 60 * 1000;
+
+const WINDOW_MS = minutes('RATE_LIMIT_WINDOW_MIN', 15);
+const MAX_DELAY_MS = minutes('LOCKOUT_MAX_MIN', 15);
+
+const LIMITS = {
+  // Failed logins for one email address, whether or not it has an account
+  loginAccount: {
+    id: 'login.account',
+    free: parseInt(process.env.LOGIN_MAX_FAILURES_ACCOUNT) || 5,
+    baseDelayMs: 30 * 1000
+  },
+  // Failed logins from one client, across all email addresses
+  loginIp: {
+    id: 'login.ip',
+    free: parseInt(process.env.LOGIN_MAX_FAILURES_IP) || 20,
+    baseDelayMs: 30 * 1000
+  },
+  // Signups and email checks from one client
+  signupIp: {
+    id: 'signup.ip',
+    free: parseInt(process.env.SIGNUP_MAX_REQUESTS_IP) || 20,
+    baseDelayMs: 60 * 1000
+  },
+  // Password reset mails requested from one client
+  passwordResetIp: {
+    id: 'password_reset.ip',
+    free: parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS_IP) || 5,
+    baseDelayMs: 60 * 1000
+  }
+};
+
+function limitKey(limit, id) {
+  return `${limit.id}:${String(id).trim().toLowerCase()}`;
+}
+
+function delayAfter(limit, attempts) {
+  if (attempts <= limit.free) return 0;
+  return Math.min(limit.baseDelayMs * 2 ** (attempts - limit.free - 1), MAX_DELAY_MS);
+}
+
+/**
+ * Key for the client IP of a request (set "trust proxy" when behind a proxy)
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+function clientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Seconds until every given key may try again
+ * @param {Array} checks - [limit, id] pairs
+ * @returns {Promise<number>} - 0 when none of them is locked
+ */
+async function retryAfter(checks) {
+  const now = new Date();
+  const locked = await getDB().collection('rate_limits')
+    .find({ key: { $in: checks.map(([limit, id]) => limitKey(limit, id)) }, lockedUntil: { $gt: now } })
+    .toArray();
+
+  const until = Math.max(0, ...locked.map(entry => entry.lockedUntil.getTime()));
+  return until > 0 ? Math.ceil((until - now.getTime()) / 1000) : 0;
+}
+
+/**
+ * Count an attempt against a key and lock it once it is past the free attempts
+ * @param {object} limit - LIMITS entry
+ * @param {string} id - Email address, IP, ...
+ * @returns {Promise<number>} - Seconds the key is now locked for, 0 while it has free attempts left
+ */
+async function recordAttempt(limit, id) {
+  const rateLimits = getDB().collection('rate_limits');
+  const key = limitKey(limit, id);
+  const now = new Date();
+
+  // A quiet key starts over; TTL only cleans up eventually
+  await rateLimits.deleteOne({ key, windowEndsAt: { $lte: now } });
+
+  const update = {
+    $inc: { attempts: 1 },
+    $set: {
+      lastAttemptAt: now,
+      windowEndsAt: new Date(now.getTime() + WINDOW_MS),
+      expiresAt: new Date(now.getTime() + WINDOW_MS + MAX_DELAY_MS)
+    },
+    $setOnInsert: { limit: limit.id, firstAttemptAt: now }
+  };
+  let entry;
+  try {
+    entry = await rateLimits.findOneAndUpdate({ key }, update, { upsert: true, returnDocument: 'after' });
+  } catch (err) {
+    // Another instance inserted the key first - count against its document
+    if (err.code !== 11000) throw err;
+    entry = await rateLimits.findOneAndUpdate({ key }, update, { returnDocument: 'after' });
+  }
+
+  const delay = delayAfter(limit, entry.attempts);
+  if (delay > 0) {
+    await rateLimits.updateOne({ key }, { $max: { lockedUntil: new Date(now.getTime() + delay) } });
+    console.warn(`🚫 ${key} locked for ${Math.ceil(delay / 1000)}s after ${entry.attempts} attempts`);
+  }
+  return Math.ceil(delay / 1000);
+}
+
+/**
+ * Forget the attempts of a key (e.g. after a successful login)
+ * @param {object} limit - LIMITS entry
+ * @param {string} id - Email address, IP, ...
+ */
+async function clearAttempts(limit, id) {
+  await getDB().collection('rate_limits').deleteOne({ key: limitKey(limit, id) });
+}
+
+function tooManyAttempts(res, seconds) {
+  res.setHeader('Retry-After', String(seconds));
+  return res.status(429).json({
+    success: false,
+    error: 'Too many attempts. Please try again later.',
+    retryAfter: seconds
+  });
+}
+
+/**
+ * Express middleware counting every request of a client against a limit
+ * @param {object} limit - LIMITS entry
+ * @returns {Function} - Middleware answering 429 while the client is locked
+ */
+function limitByIp(limit) {
+  return async (req, res, next) => {
+    try {
+      const ip = clientIp(req);
+      const seconds = await retryAfter([[limit, ip]]) || await recordAttempt(limit, ip);
+      if (seconds > 0) return tooManyAttempts(res, seconds);
+      next();
+    } catch (err) {
+      console.error('❌ Error checking rate limit:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Error checking rate limit',
+        details: err.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  LIMITS,
+  clientIp,
+  retryAfter,
+  recordAttempt,
+  clearAttempts,
+  tooManyAttempts,
+  limitByIp
+};
@@ -0,0 +1,187 @@
+// Re-analysis of saved workout sessions for TalentTrack
+// Admins can re-run the current analyzer over sessions whose source video is
+// still stored - the live recording in outputs/<outputId>/live_input.webm, or
+// the video saved with the session (Cloudinary URL or base64 data URL) - and
+// compare the new scores with the ones the athlete originally got.
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Legacy sessions only have the client-side totals on the document itself
+const LEGACY_SUMMARY_FIELDS = ['totalReps', 'correctReps', 'incorrectReps', 'accuracy'];
+const MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+
+let outputsRoot = null;
+let uploadsRoot = null;
+
+/**
+ * Set the directories source videos are looked up in and downloaded to
+ * @param {object} dirs - { outputsDir, uploadsDir }
+ */
+function configureReanalysis({ outputsDir, uploadsDir }) {
+  outputsRoot = outputsDir;
+  uploadsRoot = uploadsDir;
+}
+
+function uploadTarget(session, extension) {
+  return path.join(uploadsRoot, `${Date.now()}_reanalysis_${session._id}${extension}`);
+}
+
+// Streamed to disk; bodies without (or lying about) content-length are cut off at the limit too
+async function downloadVideo(url, targetPath) {
+  const tooLarge = () => new Error(`Stored video is larger than ${Math.round(MAX_DOWNLOAD_BYTES / 1024 / 1024)}MB`);
+  const controller = new AbortController();
+  const response = await fetch(url, { signal: controller.signal });
+  if (!response.ok || !response.body) {
+    throw new Error(`Download failed with status ${response.status}`);
+  }
+
+  const size = parseInt(response.headers.get('content-length'));
+  if (size > MAX_DOWNLOAD_BYTES) {
+    controller.abort();
+    throw tooLarge();
+  }
+
+  let bytes = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > MAX_DOWNLOAD_BYTES) {
+        controller.abort();
+        return callback(tooLarge());
+      }
+      callback(null, chunk);
+    }
+  });
+  await pipeline(Readable.fromWeb(response.body), counter, fs.createWriteStream(targetPath));
+}
+
+/**
+ * Copy a session's source video into uploads/ so it can be queued like an upload
+ * @param {object} session - workout_sessions document
+ * @returns {Promise<string|null>} - Path of the copy, or null if no source video is stored
+ */
+async function prepareSourceVideo(session) {
+  // Live sessions keep the raw recording next to their output
+  if (session.outputId) {
+    const recordingPath = path.join(outputsRoot, path.basename(session.outputId), 'live_input.webm');
+    if (fs.existsSync(recordingPath)) {
+      const targetPath = uploadTarget(session, '.webm');
+      await fs.copy(recordingPath, targetPath);
+      return targetPath;
+    }
+  }
+
+  const videoUrl = session.videoUrl;
+  if (!videoUrl) return null;
+
+  const dataUrl = videoUrl.match(/^data:video\/([\w-]+);base64,(.+)$/);
+  if (dataUrl) {
+    const targetPath = uploadTarget(session, `.${dataUrl[1] === 'quicktime' ? 'mov' : dataUrl[1]}`);
+    await fs.writeFile(targetPath, Buffer.from(dataUrl[2], 'base64'));
+    return targetPath;
+  }
+
+  if (/^https?:\/\//.test(videoUrl)) {
+    const extension = path.extname(new URL(videoUrl).pathname) || '.mp4';
+    const targetPath = uploadTarget(session, extension);
+    try {
+      await downloadVideo(videoUrl, targetPath);
+    } catch (error) {
+      await fs.remove(targetPath);
+      throw error;
+    }
+    return targetPath;
+  }
+
+  return null;
+}
+
+/**
+ * Scores a session was saved with
+ * @param {object} session - workout_sessions document
+ * @returns {object|null} - Normalized summary, or the legacy client totals
+ */
+function getStoredSummary(session) {
+  if (session.analysis && session.analysis.summary) {
+    return session.analysis.summary;
+  }
+
+  const legacy = {};
+  LEGACY_SUMMARY_FIELDS
+    .filter(field => session[field] !== undefined && session[field] !== null)
+    .forEach((field) => {
+      legacy[field] = session[field];
+    });
+  return Object.keys(legacy).length > 0 ? legacy : null;
+}
+
+function pickFields(summary, fields) {
+  if (!summary) return null;
+  const picked = {};
+  fields.forEach((field) => {
+    picked[field] = summary[field];
+  });
+  return picked;
+}
+
+/**
+ * Compare two summaries field by field
+ * @param {object|null} before - Stored summary
+ * @param {object|null} after - Summary of the new analysis
+ * @returns {object[]} - [{ field, before, after, change }] for fields that differ
+ */
+function diffSummaries(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const differences = [];
+
+  fields.forEach((field) => {
+    const oldValue = before && before[field] !== undefined ? before[field] : null;
+    const newValue = after && after[field] !== undefined ? after[field] : null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    differences.push({
+      field,
+      before: oldValue,
+      after: newValue,
+      change: typeof oldValue === 'number' && typeof newValue === 'number'
+        ? Math.round((newValue - oldValue) * 100) / 100
+        : null
+    });
+  });
+
+  return differences;
+}
+
+/**
+ * Compare a saved session with the result of its re-analysis
+ * @param {object} session - workout_sessions document
+ * @param {object} result - Finished job result
+ * @returns {object} - { before, after, differences, analyzer: { before, after } }
+ */
+function compareAnalysis(session, result) {
+  const before = getStoredSummary(session);
+  const after = result.summary || null;
+  // Legacy totals only cover a few fields - don't report everything else as new
+  const compared = session.analysis && session.analysis.summary
+    ? after
+    : pickFields(after, Object.keys(before || {}));
+
+  return {
+    before,
+    after,
+    differences: diffSummaries(before, compared),
+    analyzer: {
+      before: session.analyzer || null,
+      after: result.analyzer || null
+    }
+  };
+}
+
+module.exports = {
+  configureReanalysis,
+  prepareSourceVideo,
+  getStoredSummary,
+  compareAnalysis
+};
@@ -0,0 +1,100 @@
+// Per-rep video clips for TalentTrack
+// Cuts outputs/<outputId>/clips/rep_001.mp4, rep_002.mp4, ... from the annotated
+// video using each rep's startSec/endSec (from the activity's repTimeColumns),
+// padded by REP_CLIP_PADDING_SEC on both sides so the whole movement is visible.
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+const CLIPS_DIR = 'clips';
+const PADDING_SEC = parseFloat(process.env.REP_CLIP_PADDING_SEC) || 0.5;
+const MAX_CLIP_SEC = 15;
+const CLIP_NAME_PATTERN = /^rep_(\d+)\.mp4$/;
+
+function clipFileName(repNumber) {
+  return `rep_${String(repNumber).padStart(3, '0')}.mp4`;
+}
+
+function cutClip(inputPath, startSec, durationSec, targetPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .seekInput(startSec)
+      .duration(durationSec)
+      .videoCodec('libx264')
+      .outputOptions([
+        '-preset veryfast',
+        '-crf 26',
+        '-pix_fmt yuv420p',
+        '-movflags +faststart'
+      ])
+      .noAudio()
+      .on('end', resolve)
+      .on('error', reject)
+      .save(targetPath);
+  });
+}
+
+/**
+ * Cut one clip per rep that has startSec/endSec. Reps that fail to cut are skipped.
+ * @param {string} outputDir - outputs/<outputId>
+ * @param {string} videoFile - Annotated video file name
+ * @param {object[]} reps - Normalized reps
+ * @returns {Promise<object[]>} - [{ rep, startSec, endSec, clipUrl }]
+ */
+async function cutRepClips(outputDir, videoFile, reps = []) {
+  const timedReps = reps.filter(rep => typeof rep.startSec === 'number' && typeof rep.endSec === 'number');
+  if (timedReps.length === 0) return [];
+
+  const inputPath = path.join(outputDir, videoFile);
+  const clipsDir = path.join(outputDir, CLIPS_DIR);
+  await fs.ensureDir(clipsDir);
+
+  const clips = [];
+  // Sequential on purpose - each cut is a full ffmpeg encode
+  for (const rep of timedReps) {
+    const startSec = Math.max(0, rep.startSec - PADDING_SEC);
+    const durationSec = Math.min(MAX_CLIP_SEC, rep.endSec + PADDING_SEC - startSec);
+    const fileName = clipFileName(rep.rep);
+    const clipPath = path.join(clipsDir, fileName);
+
+    try {
+      await cutClip(inputPath, startSec, durationSec, clipPath);
+      clips.push({
+        rep: rep.rep,
+        startSec,
+        endSec: startSec + durationSec,
+        clipUrl: `/api/clip/${path.basename(outputDir)}/${fileName}`
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not cut clip for rep ${rep.rep}:`, error.message);
+      await fs.remove(clipPath);
+    }
+  }
+
+  console.log(`✅ Cut ${clips.length} rep clip(s)`);
+  return clips;
+}
+
+/**
+ * Clip URLs that exist for an output folder, keyed by rep number
+ * @param {string} outputDir - outputs/<outputId>
+ * @returns {object} - { [repNumber]: clipUrl }
+ */
+function getRepClipUrls(outputDir) {
+  const clipsDir = path.join(outputDir, CLIPS_DIR);
+  const urls = {};
+  if (!fs.existsSync(clipsDir)) return urls;
+
+  fs.readdirSync(clipsDir).forEach((file) => {
+    const match = file.match(CLIP_NAME_PATTERN);
+    if (match) {
+      urls[parseInt(match[1])] = `/api/clip/${path.basename(outputDir)}/${file}`;
+    }
+  });
+  return urls;
+}
+
+module.exports = {
+  cutRepClips,
+  getRepClipUrls
+};
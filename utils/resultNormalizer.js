@@ -0,0 +1,178 @@
+// Result Normalizer for TalentTrack
+// Turns the raw csv-parser rows an analyzer wrote into one typed summary
+// per activity, a typed per-rep array and a list of validation warnings,
+// so clients no longer need to know each script's column names.
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y'];
+const FALSE_VALUES = ['false', '0', 'no', 'n'];
+
+function isBooleanColumn(column) {
+  return column === 'correct' || column.startsWith('is_');
+}
+
+function toCamelCase(column) {
+  return column.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return undefined;
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  const text = String(value).trim();
+  if (text === '') return undefined;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Convert one raw row into a typed rep, collecting warnings as we go
+function typeRow(row, index, columns, warnings) {
+  const rep = { rep: index + 1 };
+
+  columns.forEach(column => {
+    const raw = row[column];
+    if (raw === undefined || raw === null || raw === '') {
+      rep[toCamelCase(column)] = null;
+      return;
+    }
+
+    const value = isBooleanColumn(column) ? parseBoolean(raw) : parseNumber(raw);
+    if (value === undefined) {
+      warnings.push(`Row ${index + 1}: column "${column}" has non-${isBooleanColumn(column) ? 'boolean' : 'numeric'} value "${raw}"`);
+      rep[toCamelCase(column)] = null;
+    } else {
+      rep[toCamelCase(column)] = value;
+    }
+  });
+
+  return rep;
+}
+
+// Add startSec/endSec from the activity's repTimeColumns so clients can seek to a rep
+function addRepWindow(rep, activity) {
+  const times = (activity.repTimeColumns || [])
+    .map(column => rep[toCamelCase(column)])
+    .filter(value => typeof value === 'number');
+
+  rep.startSec = times.length > 0 ? Math.min(...times) : null;
+  rep.endSec = times.length > 0 ? Math.max(...times) : null;
+  return rep;
+}
+
+function metricValues(reps, column) {
+  if (!column) return [];
+  const key = toCamelCase(column);
+  return reps.map(rep => rep[key]).filter(value => typeof value === 'number');
+}
+
+// Per-metric summaries - each returns the fields for that metric plus primaryValue
+const summarizers = {
+  reps(reps, activity) {
+    const counts = metricValues(reps, activity.metricColumn);
+    const totalReps = counts.length > 0 ? Math.max(reps.length, ...counts) : reps.length;
+    const hasCorrect = reps.some(rep => typeof rep.correct === 'boolean');
+    const correctReps = hasCorrect ? reps.filter(rep => rep.correct === true).length : null;
+
+    return {
+      primaryValue: totalReps,
+      totalReps,
+      correctReps,
+      incorrectReps: hasCorrect ? reps.filter(rep => rep.correct === false).length : null,
+      accuracy: hasCorrect && totalReps > 0 ? Math.round((correctReps / totalReps) * 100) : null
+    };
+  },
+
+  height(reps, activity) {
+    const heights = metricValues(reps, activity.metricColumn);
+    const best = heights.length > 0 ? Math.max(...heights) : null;
+
+    return {
+      primaryValue: best,
+      attempts: reps.length,
+      bestJumpHeightCm: best,
+      averageJumpHeightCm: heights.length > 0 ? round(heights.reduce((a, b) => a + b, 0) / heights.length) : null
+    };
+  },
+
+  seconds(reps, activity) {
+    const splits = metricValues(reps, activity.metricColumn);
+    const total = splits.length > 0 ? round(splits.reduce((a, b) => a + b, 0)) : null;
+
+    return {
+      primaryValue: total,
+      laps: reps.length,
+      splitTimesSec: splits,
+      totalTimeSec: total,
+      fastestSplitSec: splits.length > 0 ? Math.min(...splits) : null
+    };
+  },
+
+  distance(reps, activity) {
+    const distances = metricValues(reps, activity.metricColumn);
+    const best = distances.length > 0 ? Math.max(...distances) : null;
+
+    return {
+      primaryValue: best,
+      attempts: reps.length,
+      bestDistanceCm: best
+    };
+  }
+};
+
+/**
+ * Normalize raw CSV rows for an activity
+ * @param {object} activity - Activity registry entry
+ * @param {object[]|null} rows - Rows from csv-parser (null if no CSV was found)
+ * @returns {{ activityId: string, primaryMetric: string, unit: string, summary: object, reps: object[], warnings: string[] }}
+ */
+function normalizeResults(activity, rows) {
+  const warnings = [];
+  const expected = activity.csvColumns || [];
+
+  if (!rows) {
+    warnings.push('No CSV output found');
+  } else if (rows.length === 0) {
+    warnings.push('CSV output has no rows');
+  }
+
+  const present = rows && rows.length > 0 ? Object.keys(rows[0]) : [];
+  if (present.length > 0) {
+    expected
+      .filter(column => !present.includes(column))
+      .forEach(column => warnings.push(`Missing expected column "${column}"`));
+  }
+
+  // Type the expected columns; columns the config doesn't know about stay out of the typed view
+  const columns = expected.filter(column => present.includes(column));
+  const reps = (rows || []).map((row, index) => addRepWindow(typeRow(row, index, columns, warnings), activity));
+
+  const summarize = summarizers[activity.primaryMetric] || summarizers.reps;
+  const summary = {
+    ...summarize(reps, activity),
+    unit: activity.unit
+  };
+
+  return {
+    activityId: activity.id,
+    activityName: activity.displayName,
+    primaryMetric: activity.primaryMetric,
+    unit: activity.unit,
+    summary,
+    reps,
+    warnings
+  };
+}
+
+module.exports = {
+  normalizeResults
+};
@@ -0,0 +1,230 @@
+// Retention policy for outputs/ and uploads/
+// Output folders older than OUTPUT_RETENTION_DAYS are deleted, and if outputs/
+// is still above OUTPUT_QUOTA_MB the oldest remaining folders go next.
+// Folders linked to a saved workout_sessions document (sessionMeta.outputId),
+// or still used by an unfinished job or live session, are never touched.
+// Uploads left in uploads/ by failed or interrupted runs are removed once they
+// are older than ORPHAN_UPLOAD_HOURS and no unfinished job points at them.
+const fs = require('fs-extra');
+const path = require('path');
+const { getDB } = require('../db');
+const { getUnfinishedJobs } = require('./jobQueue');
+const { getActivityForOutputId } = require('./activityRegistry');
+const { isLiveSessionActive } = require('./liveSessions');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_AGE_MS = (parseFloat(process.env.OUTPUT_RETENTION_DAYS) || 14) * 24 * HOUR_MS;
+const QUOTA_BYTES = (parseInt(process.env.OUTPUT_QUOTA_MB) || 0) * 1024 * 1024;
+const ORPHAN_UPLOAD_MS = (parseFloat(process.env.ORPHAN_UPLOAD_HOURS) || 6) * HOUR_MS;
+const SWEEP_INTERVAL_MS = (parseInt(process.env.RETENTION_SWEEP_MINUTES) || 60) * 60 * 1000;
+// Never evict for quota anything this fresh - a client may still be fetching it
+const QUOTA_GRACE_MS = HOUR_MS;
+
+// Handled by the chunked upload sweeper
+const SKIP_UPLOAD_ENTRIES = new Set(['chunks']);
+
+let outputsRoot = null;
+let uploadsRoot = null;
+let sweepTimer = null;
+let sweeping = false;
+
+/**
+ * Set the directories the policy applies to
+ * @param {object} dirs - { outputsDir, uploadsDir }
+ */
+function configureRetention({ outputsDir, uploadsDir }) {
+  outputsRoot = outputsDir;
+  uploadsRoot = uploadsDir;
+}
+
+/**
+ * The active policy, as reported by the admin endpoint
+ * @returns {object} - Limits in human units (quotaMb 0 = no quota)
+ */
+function getRetentionPolicy() {
+  return {
+    maxAgeDays: MAX_AGE_MS / (24 * HOUR_MS),
+    quotaMb: QUOTA_BYTES / 1024 / 1024,
+    orphanUploadHours: ORPHAN_UPLOAD_MS / HOUR_MS,
+    sweepIntervalMinutes: SWEEP_INTERVAL_MS / 60 / 1000
+  };
+}
+
+// Total size and newest modification time of a file or directory tree
+async function measure(target) {
+  const stat = await fs.stat(target);
+  if (!stat.isDirectory()) {
+    return { bytes: stat.size, newestMs: stat.mtimeMs };
+  }
+
+  let bytes = 0;
+  let newestMs = stat.mtimeMs;
+  for (const entry of await fs.readdir(target)) {
+    const child = await measure(path.join(target, entry));
+    bytes += child.bytes;
+    newestMs = Math.max(newestMs, child.newestMs);
+  }
+  return { bytes, newestMs };
+}
+
+async function listEntries(root, skip = new Set()) {
+  if (!root || !(await fs.pathExists(root))) return [];
+
+  const entries = [];
+  for (const name of await fs.readdir(root)) {
+    if (skip.has(name)) continue;
+    try {
+      entries.push({ name, ...(await measure(path.join(root, name))) });
+    } catch (error) {
+      // Removed while we were looking at it
+    }
+  }
+  return entries;
+}
+
+// outputId -> sessionId for every output folder a saved session points at
+async function getLinkedOutputs(outputIds) {
+  if (outputIds.length === 0) return new Map();
+
+  const sessions = await getDB().collection('workout_sessions')
+    .find({ outputId: { $in: outputIds } }, { projection: { outputId: 1 } })
+    .toArray();
+
+  return new Map(sessions.map(session => [session.outputId, session._id.toString()]));
+}
+
+/**
+ * Measure outputs/ and uploads/ and work out what a sweep would delete right now
+ * @returns {Promise<object>} - { policy, outputs, uploads, toDelete, reclaimBytes }
+ */
+async function planSweep() {
+  const now = Date.now();
+  const [outputEntries, uploadEntries, unfinishedJobs] = await Promise.all([
+    listEntries(outputsRoot),
+    listEntries(uploadsRoot, SKIP_UPLOAD_ENTRIES),
+    getUnfinishedJobs()
+  ]);
+  const linked = await getLinkedOutputs(outputEntries.map(entry => entry.name));
+
+  const busyOutputs = new Set(unfinishedJobs.map(job => job.outputId));
+  const busyUploads = new Set(unfinishedJobs.map(job => job.videoPath && path.basename(job.videoPath)));
+
+  const outputs = outputEntries.map((entry) => {
+    const activity = getActivityForOutputId(entry.name);
+    return {
+      outputId: entry.name,
+      activityName: activity ? activity.displayName : 'Unknown',
+      bytes: entry.bytes,
+      modifiedAt: new Date(entry.newestMs),
+      sessionId: linked.get(entry.name) || null,
+      inUse: busyOutputs.has(entry.name) || isLiveSessionActive(entry.name)
+    };
+  });
+
+  const toDelete = [];
+  const deletable = outputs
+    .filter(output => !output.sessionId && !output.inUse)
+    .sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+  let remainingBytes = outputs.reduce((sum, output) => sum + output.bytes, 0);
+  deletable.forEach((output) => {
+    const age = now - output.modifiedAt.getTime();
+    let reason = null;
+    if (age > MAX_AGE_MS) {
+      reason = 'expired';
+    } else if (QUOTA_BYTES > 0 && remainingBytes > QUOTA_BYTES && age > QUOTA_GRACE_MS) {
+      reason = 'over-quota';
+    }
+
+    if (reason) {
+      toDelete.push({ type: 'output', name: output.outputId, activityName: output.activityName, bytes: output.bytes, reason });
+      remainingBytes -= output.bytes;
+    }
+  });
+
+  uploadEntries.forEach((entry) => {
+    if (!busyUploads.has(entry.name) && now - entry.newestMs > ORPHAN_UPLOAD_MS) {
+      toDelete.push({ type: 'upload', name: entry.name, bytes: entry.bytes, reason: 'orphaned' });
+    }
+  });
+
+  // Disk usage per activity
+  const byActivity = {};
+  outputs.forEach((output) => {
+    const usage = byActivity[output.activityName] || (byActivity[output.activityName] = { count: 0, bytes: 0, linked: 0 });
+    usage.count++;
+    usage.bytes += output.bytes;
+    if (output.sessionId) usage.linked++;
+  });
+
+  return {
+    generatedAt: new Date(now),
+    policy: getRetentionPolicy(),
+    outputs: {
+      count: outputs.length,
+      bytes: outputs.reduce((sum, output) => sum + output.bytes, 0),
+      byActivity
+    },
+    uploads: {
+      count: uploadEntries.length,
+      bytes: uploadEntries.reduce((sum, entry) => sum + entry.bytes, 0)
+    },
+    toDelete,
+    reclaimBytes: toDelete.reduce((sum, item) => sum + item.bytes, 0)
+  };
+}
+
+/**
+ * Delete everything the current plan marks for deletion
+ * @returns {Promise<object>} - { deleted, reclaimedBytes, errors }
+ */
+async function runSweep() {
+  if (sweeping) {
+    return { deleted: [], reclaimedBytes: 0, errors: [], skipped: 'A sweep is already running' };
+  }
+  sweeping = true;
+
+  try {
+    const plan = await planSweep();
+    const deleted = [];
+    const errors = [];
+
+    for (const item of plan.toDelete) {
+      const root = item.type === 'output' ? outputsRoot : uploadsRoot;
+      try {
+        await fs.remove(path.join(root, item.name));
+        deleted.push(item);
+      } catch (error) {
+        errors.push({ ...item, error: error.message });
+      }
+    }
+
+    const reclaimedBytes = deleted.reduce((sum, item) => sum + item.bytes, 0);
+    if (deleted.length > 0) {
+      console.log(`🧹 Retention sweep removed ${deleted.length} item(s), ${(reclaimedBytes / 1024 / 1024).toFixed(1)}MB`);
+    }
+    return { deleted, reclaimedBytes, errors };
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Run the retention sweep now and then every RETENTION_SWEEP_MINUTES.
+ * Needs the database, so start it after connecting and recovering jobs.
+ */
+function startRetentionSweeper() {
+  if (sweepTimer) return;
+  const sweep = () => runSweep().catch(err => console.warn('⚠️ Retention sweep failed:', err.message));
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+module.exports = {
+  configureRetention,
+  getRetentionPolicy,
+  planSweep,
+  runSweep,
+  startRetentionSweeper
+};
@@ -0,0 +1,492 @@
+// Server-side PDF reports for saved workout sessions
+// Rendered with pdfkit from the stored session, so every client gets the same
+// layout: athlete details, metrics, per-rep table, rep screenshots and a trend
+// chart of the athlete's previous attempts at the same activity.
+// Reports are cached in reports/ under a fingerprint of everything they show;
+// when the session, its reps, the athlete or their history changes the
+// fingerprint changes and the next request renders a fresh file.
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../db');
+const { getActivity } = require('./activityRegistry');
+const { userIdByName } = require('./permissions');
+const { athleteSessionsFilter } = require('./workoutSessions');
+
+// Bump when the layout changes so cached reports are rebuilt
+const REPORT_LAYOUT_VERSION = 1;
+const MAX_SCREENSHOTS = 12;
+const MAX_TREND_POINTS = 10;
+const MAX_DETAIL_COLUMNS = 5;
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const PAGE_MARGIN = 40;
+const COLORS = {
+  text: '#1f2933',
+  muted: '#616e7c',
+  accent: '#1565c0',
+  correct: '#2e7d32',
+  incorrect: '#c62828',
+  rule: '#d9e2ec'
+};
+
+// Profile fields worth printing, in order
+const ATHLETE_FIELDS = [
+  ['district', 'District'],
+  ['state', 'State'],
+  ['age', 'Age'],
+  ['gender', 'Gender'],
+  ['height', 'Height'],
+  ['weight', 'Weight']
+];
+
+let reportsRoot = null;
+// Renders in progress, keyed by target file, so concurrent requests share one
+const rendering = new Map();
+
+/**
+ * Set the directory cached reports are written to
+ * @param {string} reportsDir - Directory for generated PDFs
+ */
+function configureReports(reportsDir) {
+  reportsRoot = reportsDir;
+  fs.ensureDirSync(reportsRoot);
+}
+
+function humanize(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/_/g, ' ')
+    .replace(/^./, char => char.toUpperCase());
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  return String(value);
+}
+
+// The headline number of a session: the typed summary if it was analysed server-side, else the client totals
+function primaryValue(session) {
+  const summary = session.analysis && session.analysis.summary;
+  if (summary && typeof summary.primaryValue === 'number') return summary.primaryValue;
+  return typeof session.totalReps === 'number' ? session.totalReps : null;
+}
+
+function sessionMetrics(session) {
+  const summary = (session.analysis && session.analysis.summary) || {
+    totalReps: session.totalReps,
+    correctReps: session.correctReps,
+    incorrectReps: session.incorrectReps,
+    accuracy: session.accuracy
+  };
+
+  const metrics = Object.entries(summary)
+    .filter(([key, value]) => key !== 'unit' && key !== 'primaryValue' && value !== undefined && value !== null)
+    .map(([key, value]) => [humanize(key), key === 'accuracy' ? `${formatValue(value)}%` : formatValue(value)]);
+
+  if (session.duration) metrics.push(['Duration', `${session.duration}s`]);
+  if (session.formScore) metrics.push(['Form score', session.formScore]);
+  return metrics;
+}
+
+// Earlier sessions of the same athlete and activity, oldest first, ending with this one.
+// Without a known athlete only this session is shown.
+async function loadHistory(db, session, athleteId) {
+  const athlete = athleteId ? await athleteSessionsFilter(athleteId) : { _id: session._id };
+  const previous = await db.collection('workout_sessions')
+    .find(
+      { ...athlete, activityName: session.activityName, timestamp: { $lte: session.timestamp } },
+      { projection: { timestamp: 1, totalReps: 1, 'analysis.summary': 1 } }
+    )
+    .sort({ timestamp: -1 })
+    .limit(MAX_TREND_POINTS)
+    .toArray();
+
+  return previous.reverse().map(entry => ({
+    id: entry._id.toString(),
+    timestamp: entry.timestamp,
+    value: primaryValue(entry),
+    current: entry._id.toString() === session._id.toString()
+  }));
+}
+
+async function loadReportData(sessionId) {
+  if (!ObjectId.isValid(sessionId)) return null;
+
+  const db = getDB();
+  const session = await db.collection('workout_sessions').findOne({ _id: new ObjectId(sessionId) });
+  if (!session) return null;
+
+  // Older sessions only carry a name - it only identifies the athlete while no one else has it
+  const athleteId = session.athleteId || await userIdByName(session.athleteName);
+  const [reps, athlete, history] = await Promise.all([
+    db.collection('rep_images').find({ sessionId }).sort({ repNumber: 1 }).toArray(),
+    athleteId ? db.collection('users').findOne({ userId: athleteId }) : null,
+    loadHistory(db, session, athleteId)
+  ]);
+
+  return { session, reps, athlete, history };
+}
+
+// Everything the PDF shows; large blobs are reduced to a hash
+function fingerprint({ session, reps, athlete, history }) {
+  const digest = value => (value ? crypto.createHash('sha256').update(String(value)).digest('hex') : null);
+  const { pdfUrl, videoUrl, ...shown } = session;
+
+  return crypto.createHash('sha256').update(JSON.stringify({
+    layout: REPORT_LAYOUT_VERSION,
+    session: shown,
+    reps: reps.map(rep => ({ ...rep, imageUrl: digest(rep.imageUrl) })),
+    athlete: athlete && {
+      name: athlete.name,
+      profilePic: digest(athlete.profilePic),
+      ...Object.fromEntries(ATHLETE_FIELDS.map(([key]) => [key, athlete[key]]))
+    },
+    history
+  })).digest('hex').substring(0, 16);
+}
+
+// profilePic and imageUrl are client-supplied - only fetch images from our own Cloudinary account
+function isCloudinaryUrl(source) {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  let url;
+  try {
+    url = new URL(source);
+  } catch (error) {
+    return false;
+  }
+  return !!cloudName && url.protocol === 'https:' && url.hostname === 'res.cloudinary.com'
+    && url.pathname.startsWith(`/${cloudName}/`);
+}
+
+async function fetchImage(source) {
+  // No redirects - they could lead anywhere
+  const response = await fetch(source, { redirect: 'error', signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`status ${response.status}`);
+  if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+    throw new Error(`larger than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+  }
+
+  // Count while reading - the length header may be missing or wrong
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_IMAGE_BYTES) throw new Error(`larger than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function loadImage(source) {
+  if (!source) return null;
+  try {
+    let buffer;
+    const dataUrl = source.match(/^data:image\/[\w+.-]+;base64,(.+)$/);
+    if (dataUrl) {
+      if (dataUrl[1].length * 0.75 > MAX_IMAGE_BYTES) throw new Error(`larger than ${MAX_IMAGE_BYTES / 1024 / 1024}MB`);
+      buffer = Buffer.from(dataUrl[1], 'base64');
+    } else if (isCloudinaryUrl(source)) {
+      buffer = await fetchImage(source);
+    } else {
+      return null;
+    }
+    // pdfkit only embeds JPEG and PNG - normalize whatever was stored
+    return await sharp(buffer).rotate().resize({ width: 480, withoutEnlargement: true }).jpeg({ quality: 80 }).toBuffer();
+  } catch (error) {
+    console.warn('⚠️ Could not load report image:', error.message);
+    return null;
+  }
+}
+
+function sectionTitle(doc, title) {
+  if (doc.y > doc.page.height - PAGE_MARGIN - 80) doc.addPage();
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.accent).text(title, PAGE_MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+}
+
+// Two-column label/value list
+function keyValueList(doc, pairs) {
+  const labelWidth = 150;
+  pairs.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fillColor(COLORS.muted).text(label, PAGE_MARGIN, y, { width: labelWidth });
+    doc.font('Helvetica-Bold').fillColor(COLORS.text).text(value, PAGE_MARGIN + labelWidth, y);
+    doc.moveDown(0.2);
+  });
+  doc.font('Helvetica');
+}
+
+function drawHeader(doc, { session }, activity, photo) {
+  const date = session.timestamp ? new Date(session.timestamp) : null;
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text('TalentTrack Workout Report', PAGE_MARGIN, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(12).fillColor(COLORS.muted)
+    .text(`${activity ? activity.displayName : session.activityName}${date ? ` - ${date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}` : ''}`);
+
+  if (photo) {
+    doc.image(photo, doc.page.width - PAGE_MARGIN - 60, PAGE_MARGIN, { fit: [60, 60] });
+  }
+  doc.y = Math.max(doc.y, PAGE_MARGIN + 64);
+}
+
+function drawAthlete(doc, { session, athlete }) {
+  sectionTitle(doc, 'Athlete');
+  const pairs = [['Name', session.athleteName || (athlete && athlete.name) || '-']];
+  if (session.athleteId) pairs.push(['Athlete ID', session.athleteId]);
+  if (athlete) {
+    ATHLETE_FIELDS
+      .filter(([key]) => athlete[key] !== undefined && athlete[key] !== null && athlete[key] !== '')
+      .forEach(([key, label]) => pairs.push([label, formatValue(athlete[key])]));
+  }
+  keyValueList(doc, pairs);
+}
+
+function drawMetrics(doc, { session }, activity) {
+  sectionTitle(doc, 'Metrics');
+  const value = primaryValue(session);
+  const unit = (activity && activity.unit) || 'reps';
+  doc.font('Helvetica-Bold').fontSize(26).fillColor(COLORS.accent)
+    .text(`${formatValue(value)} ${unit}`, PAGE_MARGIN);
+  doc.fontSize(10).fillColor(COLORS.text).moveDown(0.3);
+  keyValueList(doc, sessionMetrics(session));
+
+  if (session.analyzer && session.analyzer.scriptVersion) {
+    doc.moveDown(0.3).fontSize(8).fillColor(COLORS.muted)
+      .text(`Analyzed by ${session.analyzer.script} (${session.analyzer.scriptVersion})`, PAGE_MARGIN);
+    doc.fontSize(10).fillColor(COLORS.text);
+  }
+}
+
+function drawRepTable(doc, { reps }) {
+  sectionTitle(doc, 'Reps');
+  if (reps.length === 0) {
+    doc.fillColor(COLORS.muted).text('No reps recorded.', PAGE_MARGIN);
+    return;
+  }
+
+  // Scalar details shared by the reps become columns
+  const detailKeys = [];
+  reps.forEach((rep) => {
+    Object.entries(rep.details || {}).forEach(([key, value]) => {
+      if (!detailKeys.includes(key) && (typeof value === 'number' || typeof value === 'string')) {
+        detailKeys.push(key);
+      }
+    });
+  });
+  const columns = [['Rep', rep => String(rep.repNumber)], ['Result', rep => (rep.correct === true ? 'Correct' : rep.correct === false ? 'Incorrect' : '-')]]
+    .concat(detailKeys.slice(0, MAX_DETAIL_COLUMNS).map(key => [humanize(key), rep => formatValue(rep.details[key])]));
+
+  const tableWidth = doc.page.width - 2 * PAGE_MARGIN;
+  const columnWidth = tableWidth / columns.length;
+  const rowHeight = 16;
+
+  const drawRow = (cells, options = {}) => {
+    if (doc.y + rowHeight > doc.page.height - PAGE_MARGIN) doc.addPage();
+    const y = doc.y;
+    if (options.fill) {
+      doc.rect(PAGE_MARGIN, y - 3, tableWidth, rowHeight).fill(options.fill);
+    }
+    cells.forEach((cell, i) => {
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+        .fillColor(cell.color || COLORS.text)
+        .text(cell.text, PAGE_MARGIN + i * columnWidth + 4, y, { width: columnWidth - 8, lineBreak: false, ellipsis: true });
+    });
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(([label]) => ({ text: label })), { bold: true, fill: '#eef2f7' });
+  reps.forEach((rep) => {
+    drawRow(columns.map(([label, value]) => ({
+      text: value(rep),
+      color: label === 'Result' ? (rep.correct === true ? COLORS.correct : rep.correct === false ? COLORS.incorrect : COLORS.muted) : null
+    })));
+  });
+  doc.x = PAGE_MARGIN;
+  doc.fontSize(10);
+}
+
+async function drawScreenshots(doc, { reps }) {
+  const withImages = reps.filter(rep => rep.imageUrl).slice(0, MAX_SCREENSHOTS);
+  if (withImages.length === 0) return;
+
+  sectionTitle(doc, 'Rep screenshots');
+  const columns = 3;
+  const gap = 10;
+  const width = (doc.page.width - 2 * PAGE_MARGIN - (columns - 1) * gap) / columns;
+  const height = width * 0.75;
+
+  // One at a time - each may be a download
+  let index = 0;
+  for (const rep of withImages) {
+    const image = await loadImage(rep.imageUrl);
+    if (!image) continue;
+
+    const column = index % columns;
+    if (column === 0 && index > 0) doc.y += height + 22;
+    if (doc.y + height + 20 > doc.page.height - PAGE_MARGIN) doc.addPage();
+
+    const x = PAGE_MARGIN + column * (width + gap);
+    doc.image(image, x, doc.y, { fit: [width, height], align: 'center' });
+    doc.fontSize(8).fillColor(rep.correct === false ? COLORS.incorrect : COLORS.muted)
+      .text(`Rep ${rep.repNumber}${rep.correct === false ? ' (incorrect)' : ''}`, x, doc.y + height + 3, { width, align: 'center', lineBreak: false });
+    doc.y -= doc.currentLineHeight() + height + 3;
+    index++;
+  }
+  if (index > 0) doc.y += height + 22;
+  doc.x = PAGE_MARGIN;
+  doc.fontSize(10).fillColor(COLORS.text);
+}
+
+function drawTrend(doc, { history }, activity) {
+  const points = history.filter(entry => typeof entry.value === 'number');
+  sectionTitle(doc, 'Progress');
+  if (points.length < 2) {
+    doc.fillColor(COLORS.muted).text('Not enough earlier attempts for a trend yet.', PAGE_MARGIN);
+    return;
+  }
+
+  const chartHeight = 150;
+  if (doc.y + chartHeight + 40 > doc.page.height - PAGE_MARGIN) doc.addPage();
+
+  const left = PAGE_MARGIN + 30;
+  const top = doc.y + 5;
+  const width = doc.page.width - PAGE_MARGIN - left;
+  const values = points.map(point => point.value);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const x = i => left + (width * i) / (points.length - 1);
+  const y = value => top + chartHeight - ((value - min) / (max - min)) * chartHeight;
+
+  // Axes and min/max labels
+  doc.lineWidth(0.5).strokeColor(COLORS.rule)
+    .moveTo(left, top).lineTo(left, top + chartHeight).lineTo(left + width, top + chartHeight).stroke();
+  doc.fontSize(8).fillColor(COLORS.muted)
+    .text(formatValue(max), PAGE_MARGIN, top - 4, { width: 26, align: 'right' })
+    .text(formatValue(min), PAGE_MARGIN, top + chartHeight - 4, { width: 26, align: 'right' });
+
+  doc.lineWidth(1.5).strokeColor(COLORS.accent);
+  points.forEach((point, i) => {
+    if (i === 0) doc.moveTo(x(i), y(point.value));
+    else doc.lineTo(x(i), y(point.value));
+  });
+  doc.stroke();
+
+  points.forEach((point, i) => {
+    doc.circle(x(i), y(point.value), point.current ? 4 : 2.5).fill(point.current ? COLORS.incorrect : COLORS.accent);
+    const date = new Date(point.timestamp);
+    doc.fontSize(7).fillColor(COLORS.muted)
+      .text(`${date.getDate()}/${date.getMonth() + 1}`, x(i) - 15, top + chartHeight + 4, { width: 30, align: 'center', lineBreak: false });
+  });
+
+  doc.y = top + chartHeight + 18;
+  doc.x = PAGE_MARGIN;
+  const first = points[0].value;
+  const last = points[points.length - 1].value;
+  doc.fontSize(9).fillColor(COLORS.text)
+    .text(`${points.length} attempts of ${activity ? activity.displayName : 'this activity'}; first ${formatValue(first)}, this one ${formatValue(last)} ${(activity && activity.unit) || ''}.`, PAGE_MARGIN);
+}
+
+async function renderReport(data, targetPath) {
+  const activity = getActivity(data.session.activityName);
+  const photo = data.athlete ? await loadImage(data.athlete.profilePic) : null;
+  const tempPath = `${targetPath}.tmp`;
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${data.session.athleteName || 'Athlete'} - ${data.session.activityName}`,
+      Author: 'TalentTrack'
+    }
+  });
+  const written = new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(tempPath);
+    output.on('finish', resolve);
+    output.on('error', reject);
+    doc.pipe(output);
+  });
+
+  try {
+    drawHeader(doc, data, activity, photo);
+    drawAthlete(doc, data);
+    drawMetrics(doc, data, activity);
+    drawTrend(doc, data, activity);
+    drawRepTable(doc, data);
+    await drawScreenshots(doc, data);
+  } finally {
+    doc.end();
+  }
+
+  try {
+    await written;
+    await fs.rename(tempPath, targetPath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
+
+/**
+ * Remove cached reports of a session (all versions, or all but one file)
+ * @param {string} sessionId - Session ID
+ * @param {string} keepFile - File name to keep
+ */
+async function removeSessionReports(sessionId, keepFile = null) {
+  if (!reportsRoot || !(await fs.pathExists(reportsRoot))) return;
+  const files = await fs.readdir(reportsRoot);
+  await Promise.all(files
+    .filter(file => file.startsWith(`${sessionId}_`) && file !== keepFile)
+    .map(file => fs.remove(path.join(reportsRoot, file))));
+}
+
+/**
+ * Get the PDF report for a session, rendering it if the cached one is missing or stale
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} - { filePath, fileName, version } or null if the session doesn't exist
+ */
+async function getSessionReport(sessionId) {
+  const data = await loadReportData(sessionId);
+  if (!data) return null;
+
+  const version = fingerprint(data);
+  const file = `${sessionId}_${version}.pdf`;
+  const filePath = path.join(reportsRoot, file);
+  const athleteSlug = String(data.session.athleteName || 'athlete').replace(/[^\w-]+/g, '_');
+  const result = {
+    filePath,
+    fileName: `${athleteSlug}_${String(data.session.activityName).replace(/[^\w-]+/g, '_')}_report.pdf`,
+    version
+  };
+
+  if (await fs.pathExists(filePath)) return result;
+
+  if (!rendering.has(filePath)) {
+    console.log('📄 Rendering report for session:', sessionId);
+    rendering.set(filePath, renderReport(data, filePath)
+      .then(() => removeSessionReports(sessionId, file))
+      .finally(() => rendering.delete(filePath)));
+  }
+  await rendering.get(filePath);
+  return result;
+}
+
+module.exports = {
+  configureReports,
+  getSessionReport,
+  removeSessionReports
+};
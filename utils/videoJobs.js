@@ -0,0 +1,181 @@
+// Video job submission for TalentTrack
+// Turns an uploaded file into a queued processing job: resolves the activity's
+// script, answers from the analysis cache when the same video was already
+// analysed by the same script version, runs the ffprobe pre-flight checks and
+// finally enqueues the job for the worker pool.
+const fs = require('fs-extra');
+const path = require('path');
+const { JOB_STATES, enqueueJob, addJobRequester, findCompletedJob } = require('./jobQueue');
+const progressEvents = require('./progressEvents');
+const { resolveScriptPath, getScriptVersion } = require('./analyzers');
+const { FAILURE_REASONS } = require('./processControl');
+const { hashFile } = require('./fileHash');
+const { probeVideoWithDuration, checkInputLimits } = require('./videoPreflight');
+const { getActivity } = require('./activityRegistry');
+
+let outputsRoot = null;
+let resultsLoader = null;
+
+/**
+ * Set the directory job output folders are created in, and how results are read back from one
+ * @param {string} outputsDir - The server's outputs directory
+ * @param {Function} loadResults - async (outputDir, activity) => results with signed media URLs
+ */
+function configureVideoJobs(outputsDir, loadResults) {
+  outputsRoot = outputsDir;
+  resultsLoader = loadResults;
+}
+
+/**
+ * A finished job's result with freshly signed media links. The stored result was
+ * signed when the job ran, so its links expire after MEDIA_TOKEN_TTL_SEC.
+ * @param {object} job - Job document
+ * @returns {Promise<object|null>} - Result, re-read from the output folder when it still exists
+ */
+async function currentJobResult(job) {
+  if (!job || !job.result || !resultsLoader || !job.outputId) {
+    return job ? job.result : null;
+  }
+  const outputDir = path.join(outputsRoot, job.outputId);
+  if (!fs.existsSync(outputDir)) {
+    return job.result;
+  }
+  try {
+    const fresh = await resultsLoader(outputDir, getActivity(job.activityId || job.activityName));
+    return { ...job.result, ...fresh, outputId: job.outputId };
+  } catch (error) {
+    console.warn('⚠️ Could not re-read results of', job.outputId, '-', error.message);
+    return job.result;
+  }
+}
+
+// Accepts true / "true" / "1" from JSON bodies, form fields and query strings
+function isForced(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Look up a finished analysis of the same video by the same script version.
+ * Entries whose output folder is gone are treated as misses.
+ */
+async function findCachedAnalysis(cacheKey) {
+  const job = await findCompletedJob(cacheKey);
+  if (!job || !fs.existsSync(path.join(outputsRoot, job.outputId))) {
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Queue an uploaded video for analysis - shared by /api/process-video, resumable uploads
+ * and admin re-analysis. The upload is removed if it can't be queued.
+ * @param {object} activity - Activity registry entry
+ * @param {string} videoPath - Uploaded video
+ * @param {object} options - { mode, force, videoHash, userId, jobData } - jobData is stored on the job;
+ *   userId is recorded in the job's requestedBy, which decides who may see the job and its output
+ * @returns {Promise<object>} - { status, body } to answer the request with
+ */
+async function queueVideoJob(activity, videoPath, options = {}) {
+  const { mode, force, userId, jobData = {} } = options;
+  const activityName = activity.displayName;
+  const scriptName = activity.scripts.video.file;
+  const scriptPath = resolveScriptPath(scriptName);
+
+  // Check if script exists
+  if (!scriptPath) {
+    fs.removeSync(videoPath);
+    return {
+      status: 404,
+      body: { error: `Script not found: ${scriptName}`, failureReason: FAILURE_REASONS.SCRIPT_NOT_FOUND }
+    };
+  }
+
+  // Same video + activity + script version -> reuse the earlier analysis
+  const cacheKey = {
+    videoHash: options.videoHash || await hashFile(videoPath),
+    activityId: activity.id,
+    scriptVersion: getScriptVersion(scriptPath)
+  };
+
+  if (!isForced(force)) {
+    const cached = await findCachedAnalysis(cacheKey);
+    if (cached) {
+      console.log('♻️ Reusing cached analysis:', cached.outputId);
+      fs.removeSync(videoPath);
+      if (userId) await addJobRequester(cached.jobId, userId);
+      return {
+        status: 200,
+        body: {
+          success: true,
+          cached: true,
+          jobId: cached.jobId,
+          outputId: cached.outputId,
+          state: cached.state,
+          videoHash: cacheKey.videoHash,
+          result: await currentJobResult(cached),
+          analyzedAt: cached.finishedAt,
+          statusUrl: `/api/jobs/${cached.jobId}`
+        }
+      };
+    }
+  }
+
+  // Reject unreadable files and videos outside the activity's limits before queueing
+  let probe;
+  try {
+    probe = await probeVideoWithDuration(videoPath);
+  } catch (error) {
+    fs.removeSync(videoPath);
+    return { status: 422, body: { error: error.message, failureReason: error.reason } };
+  }
+
+  const problems = probe ? checkInputLimits(probe, activity) : [];
+  if (problems.length > 0) {
+    fs.removeSync(videoPath);
+    return {
+      status: 422,
+      body: { error: problems.join('; '), failureReason: FAILURE_REASONS.INVALID_INPUT, problems, video: probe }
+    };
+  }
+
+  const outputId = `${Date.now()}_${activityName.replace(/[^a-zA-Z0-9]/g, '_')}`;
+  const outputDir = path.join(outputsRoot, outputId);
+
+  // Create output directory
+  fs.ensureDirSync(outputDir);
+
+  // Queue the job and answer right away - the worker pool does the heavy lifting
+  const job = await enqueueJob({
+    activityName,
+    activityId: activity.id,
+    mode: mode || 'video',
+    scriptPath,
+    videoPath,
+    outputId,
+    requestedBy: userId ? [userId] : [],
+    ...cacheKey,
+    ...jobData
+  });
+
+  progressEvents.publish(outputId, 'stage', { stage: JOB_STATES.QUEUED, jobId: job.jobId });
+
+  return {
+    status: 202,
+    body: {
+      success: true,
+      cached: false,
+      jobId: job.jobId,
+      outputId: outputId,
+      state: job.state,
+      videoHash: cacheKey.videoHash,
+      statusUrl: `/api/jobs/${job.jobId}`,
+      eventsUrl: `/api/process-video/${outputId}/events`
+    }
+  };
+}
+
+module.exports = {
+  configureVideoJobs,
+  currentJobResult,
+  queueVideoJob
+};
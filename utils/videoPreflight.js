@@ -0,0 +1,245 @@
+// Video pre-flight checks and normalization for TalentTrack
+// probeVideo() runs ffprobe when an upload arrives, so unreadable files and
+// videos outside the activity's limits are rejected before they are queued.
+// Containers without a duration (MediaRecorder WebM) are remuxed first.
+// normalizeVideo() runs in the job, before the analyzer: it applies the rotation
+// from the metadata and transcodes to H.264 / yuv420p at a standard size and fps,
+// unless the file already matches.
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { FAILURE_REASONS, processFailure } = require('./processControl');
+
+const TARGET_LONG_SIDE = parseInt(process.env.NORMALIZE_LONG_SIDE) || 1280;
+const TARGET_SHORT_SIDE = Math.round((TARGET_LONG_SIDE * 9) / 16);
+const TARGET_FPS = parseInt(process.env.NORMALIZE_FPS) || 30;
+
+// Recorded with each analysis so results can be traced back to the input they saw
+const NORMALIZE_TARGET = {
+  longSide: TARGET_LONG_SIDE,
+  shortSide: TARGET_SHORT_SIDE,
+  fps: TARGET_FPS,
+  codec: 'h264',
+  pixelFormat: 'yuv420p'
+};
+
+// Overridable per activity with an `inputLimits` object in its config
+const DEFAULT_INPUT_LIMITS = {
+  minDurationSec: 1,
+  maxDurationSec: parseInt(process.env.PREFLIGHT_MAX_DURATION_SEC) || 180,
+  minShortSide: 240,
+  maxLongSide: 3840
+};
+
+function parseFrameRate(rate) {
+  if (!rate) return null;
+  const [num, den] = String(rate).split('/').map(Number);
+  const fps = den ? num / den : num;
+  return Number.isFinite(fps) && fps > 0 ? fps : null;
+}
+
+function parseRotation(stream) {
+  const raw = (stream.tags && stream.tags.rotate) || stream.rotation || 0;
+  const degrees = ((parseInt(raw) || 0) % 360 + 360) % 360;
+  return degrees;
+}
+
+/**
+ * Read duration, size, fps, codec and rotation of a video
+ * @param {string} videoPath - File to probe
+ * @returns {Promise<object|null>} - Probe info, or null if ffprobe isn't installed
+ */
+function probeVideo(videoPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) {
+        // Without ffprobe we can't check anything - let the analyzer try as before
+        if (err.message.includes('Cannot find ffprobe')) {
+          console.warn('⚠️ ffprobe not found - skipping video pre-flight checks');
+          return resolve(null);
+        }
+        return reject(processFailure(FAILURE_REASONS.INVALID_INPUT, 'The file could not be read as a video'));
+      }
+
+      const video = metadata.streams.find(stream => stream.codec_type === 'video');
+      if (!video || !video.width || !video.height) {
+        return reject(processFailure(FAILURE_REASONS.INVALID_INPUT, 'The file has no video stream'));
+      }
+
+      const rotation = parseRotation(video);
+      const sideways = rotation === 90 || rotation === 270;
+
+      resolve({
+        durationSec: parseFloat(metadata.format.duration) || parseFloat(video.duration) || null,
+        codec: video.codec_name,
+        pixelFormat: video.pix_fmt,
+        fps: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+        rotation,
+        // Dimensions as displayed, i.e. after applying the rotation
+        width: sideways ? video.height : video.width,
+        height: sideways ? video.width : video.height
+      });
+    });
+  });
+}
+
+/**
+ * Rewrite a video's container in place without re-encoding. MediaRecorder WebM
+ * (live recordings, browser uploads) has no duration in its header; ffmpeg
+ * writes one from the stream timestamps while remuxing.
+ * @param {string} videoPath - Video to rewrite
+ */
+async function remuxVideo(videoPath) {
+  const parsed = path.parse(videoPath);
+  // ffmpeg picks the container from the extension; Matroska takes any codec when there is none
+  const targetPath = path.join(parsed.dir, `${parsed.name}_remuxed${parsed.ext || '.mkv'}`);
+
+  await new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .outputOptions(['-c copy'])
+      .on('end', resolve)
+      .on('error', reject)
+      .save(targetPath);
+  }).catch(async (err) => {
+    await fs.remove(targetPath);
+    throw err;
+  });
+
+  await fs.move(targetPath, videoPath, { overwrite: true });
+}
+
+/**
+ * Probe a video, remuxing it first if its container has no duration
+ * @param {string} videoPath - File to probe (may be rewritten in place)
+ * @returns {Promise<object|null>} - Same as probeVideo
+ */
+async function probeVideoWithDuration(videoPath) {
+  const info = await probeVideo(videoPath);
+  if (!info || info.durationSec) return info;
+
+  try {
+    await remuxVideo(videoPath);
+  } catch (error) {
+    console.warn('⚠️ Could not remux video to find its duration:', error.message);
+    return info;
+  }
+  return probeVideo(videoPath);
+}
+
+/**
+ * Check a probed video against the activity's limits
+ * @param {object} info - Result of probeVideo
+ * @param {object} activity - Activity registry entry
+ * @returns {string[]} - Problems found (empty when the video is acceptable)
+ */
+function checkInputLimits(info, activity) {
+  const limits = { ...DEFAULT_INPUT_LIMITS, ...(activity.inputLimits || {}) };
+  const problems = [];
+
+  if (!info.durationSec) {
+    problems.push('Video duration could not be determined');
+  } else if (info.durationSec < limits.minDurationSec) {
+    problems.push(`Video is too short (${info.durationSec.toFixed(1)}s, minimum ${limits.minDurationSec}s)`);
+  } else if (info.durationSec > limits.maxDurationSec) {
+    problems.push(`Video is too long for ${activity.displayName} (${Math.round(info.durationSec)}s, maximum ${limits.maxDurationSec}s)`);
+  }
+
+  const shortSide = Math.min(info.width, info.height);
+  const longSide = Math.max(info.width, info.height);
+  if (shortSide < limits.minShortSide) {
+    problems.push(`Resolution ${info.width}x${info.height} is too low (minimum ${limits.minShortSide}p)`);
+  }
+  if (longSide > limits.maxLongSide) {
+    problems.push(`Resolution ${info.width}x${info.height} is too high (maximum ${limits.maxLongSide}px on the long side)`);
+  }
+
+  return problems;
+}
+
+// Target box keeps the video's orientation: 1280x720 landscape, 720x1280 portrait
+function targetBox(info) {
+  return info.width >= info.height
+    ? { width: TARGET_LONG_SIDE, height: TARGET_SHORT_SIDE }
+    : { width: TARGET_SHORT_SIDE, height: TARGET_LONG_SIDE };
+}
+
+function needsNormalizing(info) {
+  const box = targetBox(info);
+  return info.rotation !== 0 ||
+    info.codec !== 'h264' ||
+    info.pixelFormat !== 'yuv420p' ||
+    !info.fps || info.fps > TARGET_FPS + 0.5 ||
+    info.width > box.width || info.height > box.height;
+}
+
+/**
+ * Rotate and transcode a video to the standard analyzer input if it isn't already
+ * @param {string} videoPath - Uploaded video
+ * @param {object} options - { signal, onProgress }
+ * @returns {Promise<object>} - { videoPath, normalized, info } - videoPath is a new file when normalized
+ */
+async function normalizeVideo(videoPath, options = {}) {
+  const { signal, onProgress } = options;
+  const info = await probeVideo(videoPath);
+
+  if (!info || !needsNormalizing(info)) {
+    return { videoPath, normalized: false, info };
+  }
+
+  const box = targetBox(info);
+  const parsed = path.parse(videoPath);
+  const targetPath = path.join(parsed.dir, `${parsed.name}_normalized.mp4`);
+
+  console.log(`Normalizing video (${info.width}x${info.height} ${info.codec} @ ${info.fps ? info.fps.toFixed(1) : '?'}fps, rotation ${info.rotation}°)...`);
+
+  await new Promise((resolve, reject) => {
+    // ffmpeg applies the rotation metadata while decoding (autorotate is on by default)
+    const command = ffmpeg(videoPath)
+      .videoCodec('libx264')
+      .noAudio()
+      .videoFilters([
+        `scale=w=${box.width}:h=${box.height}:force_original_aspect_ratio=decrease`,
+        'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+        `fps=${TARGET_FPS}`
+      ])
+      .outputOptions([
+        '-preset veryfast',
+        '-crf 20',
+        '-pix_fmt yuv420p',
+        '-metadata:s:v:0 rotate=0',
+        '-movflags +faststart'
+      ])
+      .on('progress', (progress) => {
+        if (onProgress && progress.percent) {
+          onProgress(Math.min(100, progress.percent));
+        }
+      })
+      .on('end', resolve)
+      .on('error', (err) => {
+        if (signal && signal.aborted) {
+          return reject(signal.reason);
+        }
+        reject(err);
+      });
+
+    if (signal) {
+      signal.addEventListener('abort', () => command.kill('SIGKILL'), { once: true });
+    }
+    command.save(targetPath);
+  }).catch(async (err) => {
+    await fs.remove(targetPath);
+    throw err;
+  });
+
+  console.log('✅ Video normalized');
+  return { videoPath: targetPath, normalized: true, info };
+}
+
+module.exports = {
+  DEFAULT_INPUT_LIMITS,
+  NORMALIZE_TARGET,
+  probeVideo,
+  probeVideoWithDuration,
+  checkInputLimits,
+  normalizeVideo
+};
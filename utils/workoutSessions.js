@@ -0,0 +1,227 @@
+// Workout session storage for TalentTrack
+// Saves a session and its rep screenshots the way POST /api/sessions/add always
+// has: PDF, video and screenshots go to Cloudinary (falling back to the base64
+// data of data URLs), the session is linked to its analysis output and the rep images are
+// written to rep_images. Batch processing saves its sessions through here too.
+// Media arrives either as data URLs in the JSON body or, from multipart
+// requests, as files multer already streamed to uploads/.
+const crypto = require('crypto');
+const path = require('path');
+const { getDB } = require('../db');
+const { uploadImage, uploadPDF, uploadVideo, uploadFile } = require('./cloudinary');
+const { getOutputDir } = require('./mediaServer');
+const { getPreviewUrls } = require('./previews');
+const { getRepClipUrls } = require('./repClips');
+const { getJobByOutputId } = require('./jobQueue');
+const { getKeypointsInfo } = require('./keypoints');
+const { userIdByName } = require('./permissions');
+
+const DATA_URL_UPLOADERS = {
+  image: uploadImage,
+  pdf: uploadPDF,
+  video: uploadVideo
+};
+
+let uploadsRoot = null;
+
+/**
+ * Set the directory multipart session uploads are written to
+ * @param {string} uploadsDir - Upload directory
+ */
+function configureWorkoutSessions(uploadsDir) {
+  uploadsRoot = uploadsDir;
+}
+
+/**
+ * Where to store a file part of a session upload until it is sent to Cloudinary
+ * @param {string} fileName - Original file name
+ * @returns {string} - Absolute path in uploads/
+ */
+function sessionUploadPath(fileName) {
+  return path.join(uploadsRoot, `${Date.now()}_session_${crypto.randomBytes(3).toString('hex')}_${fileName.replace(/[^\w.-]/g, '_')}`);
+}
+
+function publicIdPrefix(sessionMeta) {
+  return `${sessionMeta.athleteName.replace(/\s+/g, '_')}_${sessionMeta.activityName.replace(/\s+/g, '_')}`;
+}
+
+// Upload a data URL or a file on disk. When a data URL fails the caller keeps the base64; a failed
+// file part is left out and reported, since its base64 could be past MongoDB's 16MB document limit.
+async function storeMedia({ dataUrl, file }, kind, folder, publicId) {
+  return file
+    ? uploadFile(file.path, kind, folder, publicId)
+    : DATA_URL_UPLOADERS[kind](dataUrl, folder, publicId);
+}
+
+function sizeMB(dataUrl, file) {
+  if (file) return (file.size / 1024 / 1024).toFixed(2);
+  return dataUrl ? (dataUrl.length / 1024 / 1024).toFixed(2) : 0;
+}
+
+/**
+ * Filter for an athlete's workout sessions. Older sessions only carry the athlete's name;
+ * they are included while the athlete is the only user with that name.
+ * @param {string} athleteId - userId of the athlete
+ * @returns {Promise<object>} - workout_sessions filter
+ */
+async function athleteSessionsFilter(athleteId) {
+  const user = await getDB().collection('users').findOne({ userId: athleteId }, { projection: { name: 1 } });
+  if (!user || await userIdByName(user.name) !== athleteId) return { athleteId };
+  return {
+    $or: [
+      { athleteId },
+      { athleteId: { $in: [null, ''] }, athleteName: user.name }
+    ]
+  };
+}
+
+/**
+ * Save a workout session and its rep images
+ * @param {object} sessionMeta - Session fields; activityName must already be a registry display name
+ * @param {object[]} repImages - [{ repNumber, imageData, correct, details }]
+ * @param {object} files - File parts instead of data URLs: { pdf, video, reps: { [repNumber]: file } } (multer files)
+ * @returns {Promise<object>} - { sessionId, pdfUrl, videoUrl, previews, reportUrl, failedUploads }
+ */
+async function saveWorkoutSession(sessionMeta, repImages, files = {}) {
+  const db = getDB();
+
+  console.log('💾 Saving workout session:', sessionMeta.athleteName, sessionMeta.activityName);
+  const repFiles = files.reps || {};
+  // File parts that didn't reach Cloudinary ("pdf", "video", "rep_<repNumber>")
+  const failedUploads = [];
+  console.log(`📦 Payload size - PDF: ${sizeMB(sessionMeta.pdfDataUrl, files.pdf)}MB, Video: ${sizeMB(sessionMeta.videoDataUrl, files.video)}MB, Screenshots: ${repImages?.length || 0}`);
+
+  // Upload PDF to Cloudinary if provided
+  let pdfUrl = null;
+  if (sessionMeta.pdfDataUrl || files.pdf) {
+    console.log('📄 Uploading PDF to Cloudinary...');
+    try {
+      const publicId = `${publicIdPrefix(sessionMeta)}_${Date.now()}`;
+      pdfUrl = await storeMedia({ dataUrl: sessionMeta.pdfDataUrl, file: files.pdf }, 'pdf', 'talenttrack/reports', publicId);
+      console.log('✅ PDF uploaded successfully:', pdfUrl);
+    } catch (error) {
+      console.warn(`⚠️ PDF upload failed, ${files.pdf ? 'not stored' : 'storing base64'}:`, error.message);
+      pdfUrl = sessionMeta.pdfDataUrl || null; // Fallback to base64
+      if (files.pdf) failedUploads.push('pdf');
+    }
+  }
+
+  // Upload video to Cloudinary if provided
+  let videoUrl = null;
+  if (sessionMeta.videoDataUrl || files.video) {
+    console.log('🎥 Uploading video to Cloudinary...');
+    try {
+      const publicId = `${publicIdPrefix(sessionMeta)}_video_${Date.now()}`;
+      videoUrl = await storeMedia({ dataUrl: sessionMeta.videoDataUrl, file: files.video }, 'video', 'talenttrack/videos', publicId);
+      console.log('✅ Video uploaded successfully:', videoUrl);
+    } catch (error) {
+      console.warn(`⚠️ Video upload failed, ${files.video ? 'not stored' : 'storing base64'}:`, error.message);
+      videoUrl = sessionMeta.videoDataUrl || null; // Fallback to base64
+      if (files.video) failedUploads.push('video');
+    }
+  }
+
+  // Link the server-side analysis output (kept by the retention sweeper) and its previews
+  const outputDir = sessionMeta.outputId ? getOutputDir(sessionMeta.outputId) : null;
+  const previews = outputDir ? getPreviewUrls(outputDir) : null;
+  const clipUrls = outputDir ? getRepClipUrls(outputDir) : {};
+  const keypoints = outputDir ? getKeypointsInfo(outputDir) : null;
+
+  // Record which analyzer produced the scores so re-analysis can compare against them
+  const job = outputDir ? await getJobByOutputId(sessionMeta.outputId) : null;
+  const analysis = job && job.result ? {
+    jobId: job.jobId,
+    outputId: job.outputId,
+    videoHash: job.videoHash || null,
+    summary: job.result.summary || null
+  } : null;
+  const analyzer = job && job.result ? job.result.analyzer || null : null;
+
+  // Insert session metadata with Cloudinary URLs
+  const sessionResult = await db.collection("workout_sessions").insertOne({
+    ...sessionMeta,
+    pdfUrl,
+    videoUrl,
+    previews,
+    analysis,
+    analyzer,
+    keypoints,
+    pdfDataUrl: undefined, // Remove base64
+    videoDataUrl: undefined, // Remove base64
+    timestamp: new Date(sessionMeta.timestamp),
+    createdAt: new Date()
+  });
+
+  console.log('✅ Session saved with ID:', sessionResult.insertedId);
+
+  // Upload rep images to Cloudinary with duplicate prevention
+  if (repImages && repImages.length > 0) {
+    console.log(`📸 Uploading ${repImages.length} rep images to Cloudinary...`);
+    
+    // Remove any existing rep images for this session (cleanup)
+    await db.collection("rep_images").deleteMany({ 
+      sessionId: sessionResult.insertedId.toString() 
+    });
+    
+    const repsWithUrls = await Promise.all(
+      repImages.map(async (rep) => {
+        try {
+          const publicId = `${publicIdPrefix(sessionMeta)}_rep${rep.repNumber}_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
+          const imageUrl = await storeMedia({ dataUrl: rep.imageData, file: repFiles[rep.repNumber] }, 'image', 'talenttrack/screenshots', publicId);
+          console.log(`✅ Rep ${rep.repNumber} uploaded: ${imageUrl.substring(0, 50)}...`);
+          
+          return {
+            repNumber: rep.repNumber,
+            imageUrl,
+            clipUrl: clipUrls[rep.repNumber] || null,
+            correct: rep.correct,
+            details: rep.details || {},
+            sessionId: sessionResult.insertedId.toString(),
+            createdAt: new Date()
+          };
+        } catch (error) {
+          console.warn(`⚠️ Rep ${rep.repNumber} upload failed, ${repFiles[rep.repNumber] ? 'not stored' : 'storing base64'}:`, error.message);
+          if (repFiles[rep.repNumber]) failedUploads.push(`rep_${rep.repNumber}`);
+          return {
+            repNumber: rep.repNumber,
+            imageUrl: rep.imageData || null, // Fallback to base64
+            clipUrl: clipUrls[rep.repNumber] || null,
+            correct: rep.correct,
+            details: rep.details || {},
+            sessionId: sessionResult.insertedId.toString(),
+            createdAt: new Date()
+          };
+        }
+      })
+    );
+
+    // Use insertMany with ordered: false to continue on duplicates
+    try {
+      await db.collection("rep_images").insertMany(repsWithUrls, { ordered: false });
+      console.log(`✅ Saved ${repImages.length} rep images to MongoDB`);
+    } catch (error) {
+      // Handle duplicate key errors gracefully
+      if (error.code === 11000) {
+        console.warn('⚠️ Some duplicate rep images were skipped');
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  return {
+    sessionId: sessionResult.insertedId.toString(),
+    pdfUrl,
+    videoUrl,
+    previews,
+    reportUrl: `/api/sessions/${sessionResult.insertedId}/report.pdf`,
+    failedUploads
+  };
+}
+
+module.exports = {
+  configureWorkoutSessions,
+  sessionUploadPath,
+  athleteSessionsFilter,
+  saveWorkoutSession
+};